@@ -3,8 +3,10 @@ import {
   getRememberedPassword,
   setRememberedPassword,
 } from './inbox/inbox-api.js';
+import { categoryTree } from './category-utils.js';
+import { loadDietaryBadges } from './recipe-data.js';
 import {
-  DIETARY_TAGS,
+  DIETARY_BADGES,
   renderIngredientLines,
   renderStepLines,
   groupLinesBySection,
@@ -61,6 +63,8 @@ function attachHelpTrigger(button, key) {
 
 const ingredientNameSet = new Set();
 const categorySet = new Set();
+let categoryTaxonomy = [];
+let dietaryBadges = DIETARY_BADGES;
 const unitChoices = new Map();
 const unitSelects = new Set();
 const sectionSet = new Set();
@@ -144,12 +148,34 @@ function buildUnitDisplay(unitKey, unitDef) {
   return `${label} (${unitKey})`;
 }
 
+function appendCategoryNodes(nodes, container, previousSelection, depth = 0) {
+  nodes.forEach((node) => {
+    // Top-level groups become <optgroup>s; deeper groups stay selectable and indent their children.
+    if (node.children.length && depth === 0) {
+      const group = document.createElement('optgroup');
+      group.label = node.label;
+      appendCategoryNodes(node.children, group, previousSelection, depth + 1);
+      container.appendChild(group);
+      return;
+    }
+    const opt = document.createElement('option');
+    opt.value = node.label;
+    opt.textContent = `${'\u00a0\u00a0'.repeat(Math.max(depth - 1, 0))}${node.label}`;
+    opt.selected = previousSelection.has(node.label);
+    container.appendChild(opt);
+    appendCategoryNodes(node.children, container, previousSelection, depth + 1);
+  });
+}
+
 function syncCategoryOptions() {
   if (!categorySelectEl) return;
   const previousSelection = new Set([...categorySelectEl.selectedOptions].map((opt) => opt.value));
   categorySelectEl.innerHTML = '';
-  const sortedCategories = [...categorySet].sort((a, b) => a.localeCompare(b));
-  if (sortedCategories.length === 0) {
+  const taxonomyLabels = new Set(categoryTaxonomy.map((category) => category.label));
+  const sortedCategories = [...categorySet]
+    .filter((cat) => !taxonomyLabels.has(cat))
+    .sort((a, b) => a.localeCompare(b));
+  if (sortedCategories.length === 0 && taxonomyLabels.size === 0) {
     const placeholder = document.createElement('option');
     placeholder.disabled = true;
     placeholder.textContent = 'Loading categories…';
@@ -157,6 +183,7 @@ function syncCategoryOptions() {
     return;
   }
 
+  appendCategoryNodes(categoryTree(categoryTaxonomy), categorySelectEl, previousSelection);
   sortedCategories.forEach((cat) => {
     const opt = document.createElement('option');
     opt.value = cat;
@@ -235,6 +262,18 @@ function normalizeIngredientsForSuggestions(recipe) {
   return [];
 }
 
+async function loadCategoryTaxonomy() {
+  try {
+    const res = await fetch('./built/categories.json');
+    if (res.ok) {
+      categoryTaxonomy = await res.json();
+      syncCategoryOptions();
+    }
+  } catch (err) {
+    console.warn('Could not load categories', err);
+  }
+}
+
 async function loadExistingRecipes() {
   try {
     const res = await fetch('./built/recipes.json');
@@ -302,21 +341,16 @@ function ingredientChoices() {
 function buildDietaryCheckboxes() {
   const wrapper = document.createElement('div');
   wrapper.className = 'dietary-flags';
-  const options = [
-    { key: 'gluten_free', label: 'GF', title: 'Gluten-free' },
-    { key: 'egg_free', label: 'Egg', title: 'Egg-free' },
-    { key: 'dairy_free', label: 'Dairy', title: 'Dairy-free' },
-  ];
-  options.forEach((opt) => {
+  dietaryBadges.forEach((badge) => {
     const label = document.createElement('label');
     label.className = 'dietary-chip';
-    label.title = opt.title;
+    label.title = badge.name;
     const input = document.createElement('input');
     input.type = 'checkbox';
     input.checked = true;
-    input.dataset.dietaryKey = opt.key;
+    input.dataset.dietaryKey = badge.key;
     label.appendChild(input);
-    label.append(opt.label);
+    label.append(badge.short);
     wrapper.appendChild(label);
   });
   return wrapper;
@@ -783,7 +817,7 @@ function refreshStepIngredientPickers() {
 }
 
 function readDietaryFlags(row) {
-  const flags = { gluten_free: true, egg_free: true, dairy_free: true };
+  const flags = Object.fromEntries(dietaryBadges.map((badge) => [badge.key, true]));
   row.querySelectorAll('[data-dietary-key]').forEach((input) => {
     const key = input.dataset.dietaryKey;
     flags[key] = input.checked;
@@ -792,7 +826,7 @@ function readDietaryFlags(row) {
 }
 
 function dietaryFlagsAreDefault(flags) {
-  return flags.gluten_free === true && flags.egg_free === true && flags.dairy_free === true;
+  return Object.values(flags).every((value) => value === true);
 }
 
 function buildIngredientsFromForm(issues) {
@@ -1099,14 +1133,14 @@ function buildRecipeDraft() {
     issues.push(`Select where to use ${unusedTokens.length > 1 ? 'these ingredients' : 'this ingredient'}: ${unusedTokens.join(', ')}.`);
   }
 
-  const compatibility = { gluten_free: true, egg_free: true, dairy_free: true };
+  const compatibility = Object.fromEntries(dietaryBadges.map((badge) => [badge.key, true]));
   const ingredientSections = [];
   Object.values(ingredients).forEach((tokenData) => {
     if (tokenData.section && !ingredientSections.includes(tokenData.section)) {
       ingredientSections.push(tokenData.section);
     }
     tokenData.options.forEach((opt) => {
-      ['gluten_free', 'egg_free', 'dairy_free'].forEach((key) => {
+      Object.keys(compatibility).forEach((key) => {
         if (opt.dietary && opt.dietary[key] === false) {
           compatibility[key] = false;
         }
@@ -1216,11 +1250,9 @@ function renderPreview(recipe) {
     multiplier: recipe.default_base || 1,
     panMultiplier: 1,
     selectedOptions: {},
-    restrictions: {
-      gluten_free: compatibilityPossible.gluten_free ? defaultCompatibility.gluten_free : false,
-      egg_free: compatibilityPossible.egg_free ? defaultCompatibility.egg_free : false,
-      dairy_free: compatibilityPossible.dairy_free ? defaultCompatibility.dairy_free : false,
-    },
+    restrictions: Object.fromEntries(
+      dietaryBadges.map(({ key }) => [key, compatibilityPossible[key] ? defaultCompatibility[key] : false])
+    ),
   };
 
   const ingredientLines = renderIngredientLines(recipe, state);
@@ -1235,15 +1267,9 @@ function renderPreview(recipe) {
 function renderPreviewDietaryBadges(container, defaultCompatibility, compatibilityPossible, hasChoiceTokens) {
   if (!container) return;
 
-  const BADGES = [
-    { key: 'gluten_free', short: 'GF', name: 'Gluten-free' },
-    { key: 'egg_free', short: 'EF', name: 'Egg-free' },
-    { key: 'dairy_free', short: 'DF', name: 'Dairy-free' },
-  ];
-
   container.innerHTML = '';
 
-  BADGES.forEach(({ key, short, name }) => {
+  dietaryBadges.forEach(({ key, short, name }) => {
     const ready = !!defaultCompatibility[key];
     const possible = !!compatibilityPossible[key] || hasChoiceTokens;
     const status = !possible && !ready ? 'cannot' : ready ? 'ready' : 'can-become';
@@ -1390,7 +1416,7 @@ async function handleSubmit(evt) {
   }
 }
 
-function bootstrap() {
+async function bootstrap() {
   const previewDetails = document.querySelector('details.mobile-preview');
   if (previewDetails && window.matchMedia('(max-width: 640px)').matches) {
     previewDetails.removeAttribute('open');
@@ -1428,9 +1454,12 @@ function bootstrap() {
     document.getElementById('remember-family').checked = true;
   }
 
+  // Diets are derived from the catalog at build time, so submitters only mark allergens.
+  dietaryBadges = await loadDietaryBadges({ includeDiets: false });
   createIngredientRow();
   createStepRow();
   refreshPreview();
+  loadCategoryTaxonomy();
   loadExistingRecipes();
 }
 
@@ -4,11 +4,13 @@ import {
   getRememberedPassword,
   setRememberedPassword,
 } from './inbox/inbox-api.js';
+import { extractExportPayloads, payloadToRecipeFiles } from './inbox/recipe-export.js';
 
 const statusEl = document.getElementById('admin-status');
 const tokenInput = document.getElementById('admin-token');
 const rememberCheckbox = document.getElementById('remember-admin');
 const downloadBtn = document.getElementById('download-btn');
+const downloadCsvBtn = document.getElementById('download-csv-btn');
 const wipePendingBtn = document.getElementById('wipe-pending-btn');
 
 function showStatus(message, kind = 'info') {
@@ -41,6 +43,112 @@ function downloadJsonFile(data) {
   URL.revokeObjectURL(url);
 }
 
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal uncompressed ("stored") zip so the bundle unpacks straight into recipes/<id>/.
+function buildZip(entries) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(local, nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function handleDownloadCsv() {
+  const token = getToken();
+  if (!token) return;
+  try {
+    showStatus('Converting pending recipes to CSV folders...', 'info');
+    const exported = await adminExportPending({ adminToken: token });
+    const payloads = extractExportPayloads(exported);
+    if (!payloads.length) {
+      showStatus('No pending recipes to convert.', 'info');
+      return;
+    }
+    const entries = [];
+    payloads.forEach((payload) => {
+      const { id, files } = payloadToRecipeFiles(payload);
+      Object.entries(files).forEach(([fileName, content]) => {
+        entries.push({ name: `recipes/${id}/${fileName}`, content });
+      });
+    });
+    const today = new Date().toISOString().slice(0, 10);
+    downloadBlob(buildZip(entries), `cookingdb-inbox-recipes-${today}.zip`);
+    showStatus(
+      `Downloaded ${payloads.length} recipe folder${payloads.length === 1 ? '' : 's'}. Unzip at the repo root, then run npm run validate.`,
+      'success'
+    );
+  } catch (err) {
+    showStatus(err.message || 'Unable to convert recipes', 'error');
+  }
+}
+
 async function handleDownload() {
   const token = getToken();
   if (!token) return;
@@ -83,6 +191,7 @@ function bootstrap() {
     rememberCheckbox.checked = true;
   }
   downloadBtn.addEventListener('click', handleDownload);
+  downloadCsvBtn.addEventListener('click', handleDownloadCsv);
   wipePendingBtn.addEventListener('click', handleWipePending);
 }
 
@@ -1,5 +1,14 @@
 import { familyListPending, getRememberedPassword, setRememberedPassword } from './inbox/inbox-api.js';
-import { recipeDefaultCompatibility } from './recipe-utils.js';
+import { categorySubtreeLabels, categoryTree } from './category-utils.js';
+import { loadDietaryBadges } from './recipe-data.js';
+import {
+  DIETARY_BADGES,
+  dietaryListFlags,
+  formatMinutes,
+  recipeCompatibilityPossible,
+  recipeDefaultCompatibility,
+} from './recipe-utils.js';
+import { SEARCH_FIELD_LABELS, queryMatchesWord, searchRecipes } from './search-utils.js';
 
 const STORAGE_KEY = 'cookingdb-inbox-recipes';
 const HAPTICS_KEY = 'cookingdb-ruffle-haptics';
@@ -206,8 +215,31 @@ async function loadIndex() {
   return res.json();
 }
 
+async function loadSearchIndex() {
+  try {
+    const res = await fetch('./built/search-index.json');
+    if (res.ok) return await res.json();
+  } catch (err) {
+    console.warn('Unable to load search index', err);
+  }
+  return null;
+}
+
+async function loadCategories() {
+  try {
+    const res = await fetch('./built/categories.json');
+    if (res.ok) return await res.json();
+  } catch (err) {
+    console.warn('Unable to load categories', err);
+  }
+  return [];
+}
+
 let selectedCategory = 'all';
+let categoryList = [];
+let dietaryBadges = DIETARY_BADGES;
 let recipeList = [];
+let searchIndex = null;
 let inboxRecipes = loadStoredInboxRecipes();
 
 function loadStoredInboxRecipes() {
@@ -310,7 +342,10 @@ function recipeSummary(recipe, source = 'built') {
     byline: recipe.byline || '',
     categories: recipe.categories || [],
     family: recipe.family || '',
-    compatibility_possible: recipe.compatibility_possible || { gluten_free: true, egg_free: true, dairy_free: true },
+    compatibility_possible: recipe.compatibility_possible
+      ? recipeCompatibilityPossible(recipe)
+      : Object.fromEntries(dietaryBadges.map(({ key }) => [key, true])),
+    total_minutes: Number.isFinite(recipe.total_minutes) ? recipe.total_minutes : null,
     content_hash: recipe.content_hash,
     _source: source,
     has_details: source === 'built' ? true : !!recipe.has_details,
@@ -325,23 +360,23 @@ function recipeVisible(recipe, filters) {
     return false;
   }
   const matchesCategory =
-    filters.category === 'all' ||
-    (recipe.categories || []).includes(filters.category) ||
-    (recipe.family && recipe.family === filters.category);
+    !filters.categoryLabels ||
+    (recipe.categories || []).some((category) => filters.categoryLabels.has(category)) ||
+    (recipe.family && filters.categoryLabels.has(recipe.family));
   if (!matchesCategory) return false;
 
-  if (filters.query) {
+  if (filters.query && filters.searchResults && recipe._source === 'built') {
+    if (!filters.searchResults.has(recipe.id)) return false;
+  } else if (filters.query) {
     const inTitle = (recipe.title || '').toLowerCase().includes(filters.query);
     const inCategories = (recipe.categories || []).some((cat) => cat.toLowerCase().includes(filters.query));
     const inFamily = (recipe.family || '').toLowerCase().includes(filters.query);
     const inByline = (recipe.byline || '').toLowerCase().includes(filters.query);
     if (!inTitle && !inCategories && !inFamily && !inByline) return false;
   }
+  if (filters.maxMinutes && (recipe.total_minutes ?? Infinity) > filters.maxMinutes) return false;
   const compatibility = recipe.compatibility_possible || {};
-  if (filters.gluten && !compatibility.gluten_free) return false;
-  if (filters.egg && !compatibility.egg_free) return false;
-  if (filters.dairy && !compatibility.dairy_free) return false;
-  return true;
+  return filters.restrictions.every((key) => compatibility[key]);
 }
 
 function splitRecipeTitle(rawTitle) {
@@ -369,11 +404,32 @@ function getRecipeTitleParts(recipe) {
   return splitRecipeTitle(recipe.title || '');
 }
 
-const DIETARY_TAGS = {
-  gluten_free: { positive: 'Gluten-free ready', negative: 'Contains gluten' },
-  egg_free: { positive: 'Egg-free friendly', negative: 'Contains egg' },
-  dairy_free: { positive: 'Dairy-free ready', negative: 'Contains dairy' },
-};
+function appendHighlightedText(parent, text, query) {
+  if (!query) {
+    parent.appendChild(document.createTextNode(text));
+    return;
+  }
+  text.split(/([A-Za-z0-9À-ÿ]+)/).forEach((part) => {
+    if (part && /[A-Za-z0-9]/.test(part) && queryMatchesWord(query, part)) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      parent.appendChild(mark);
+    } else if (part) {
+      parent.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+function describeSearchMatch(hit) {
+  const wordsByLabel = new Map();
+  hit.matches.forEach((words, field) => {
+    if (field === 'title') return;
+    const label = SEARCH_FIELD_LABELS[field] || field;
+    if (!wordsByLabel.has(label)) wordsByLabel.set(label, new Set());
+    words.forEach((word) => wordsByLabel.get(label).add(word));
+  });
+  return [...wordsByLabel.entries()].map(([label, words]) => `${label}: ${[...words].join(', ')}`).join(' · ');
+}
 
 function buildRecipeLink(recipeId) {
   const params = new URLSearchParams({ id: recipeId });
@@ -383,16 +439,27 @@ function buildRecipeLink(recipeId) {
 function renderRecipes(recipes) {
   const listEl = document.getElementById('recipe-list');
   const filters = {
-    gluten: document.getElementById('filter-gluten').checked,
-    egg: document.getElementById('filter-egg').checked,
-    dairy: document.getElementById('filter-dairy').checked,
+    restrictions: checkedRestrictions().map((badge) => badge.key),
     query: document.getElementById('search-input')?.value.trim().toLowerCase() || '',
     category: selectedCategory,
+    categoryLabels: selectedCategory === 'all' ? null : categorySubtreeLabels(categoryList, selectedCategory),
+    maxMinutes: Number(document.getElementById('filter-time')?.value) || null,
+    sort: document.getElementById('sort-order')?.value || 'title',
   };
+  // Null results (one-letter or stop-word-only queries) fall back to the plain substring match.
+  filters.searchResults = filters.query && searchIndex ? searchRecipes(searchIndex, filters.query) : null;
   listEl.innerHTML = '';
   const visible = recipes
     .filter((r) => recipeVisible(r, filters))
     .sort((a, b) => {
+      if (filters.sort === 'time') {
+        const aMinutes = a.total_minutes ?? Infinity;
+        const bMinutes = b.total_minutes ?? Infinity;
+        if (aMinutes !== bMinutes) return aMinutes - bMinutes;
+      }
+      const aScore = filters.searchResults?.get(a.id)?.score || 0;
+      const bScore = filters.searchResults?.get(b.id)?.score || 0;
+      if (aScore !== bScore) return bScore - aScore;
       const aTitle = getRecipeTitleParts(a).title;
       const bTitle = getRecipeTitleParts(b).title;
       return aTitle.localeCompare(bTitle, undefined, { sensitivity: 'base' });
@@ -413,14 +480,7 @@ function renderRecipes(recipes) {
       li.classList.add('recipe-card-incomplete');
     }
 
-    const compatibility = recipe.compatibility_possible || {};
-    const containsGluten = compatibility.gluten_free === false;
-    const containsEgg = compatibility.egg_free === false;
-    const containsDairy = compatibility.dairy_free === false;
-    const flags = [];
-    if (!containsGluten) flags.push({ label: 'GF', title: 'Gluten-free' });
-    if (!containsEgg) flags.push({ label: 'EF', title: 'Egg-free' });
-    if (!containsDairy) flags.push({ label: 'DF', title: 'Dairy-free' });
+    const flags = dietaryListFlags(recipe.compatibility_possible, dietaryBadges);
 
     const link = document.createElement('a');
     const hasDetails = recipe._source === 'built' ? true : !!recipe.has_details;
@@ -440,7 +500,7 @@ function renderRecipes(recipes) {
     const titleText = document.createElement('span');
     titleText.className = 'recipe-row-title-text';
     const { title: cleanTitle, name: titleName } = getRecipeTitleParts(recipe);
-    titleText.textContent = cleanTitle;
+    appendHighlightedText(titleText, cleanTitle, filters.query);
     title.appendChild(titleText);
 
     if (titleName) {
@@ -450,6 +510,15 @@ function renderRecipes(recipes) {
       title.appendChild(nameEl);
     }
 
+    const searchHit = filters.searchResults?.get(recipe.id);
+    const matchText = searchHit ? describeSearchMatch(searchHit) : '';
+    if (matchText) {
+      const matchEl = document.createElement('span');
+      matchEl.className = 'recipe-row-match';
+      matchEl.textContent = matchText;
+      title.appendChild(matchEl);
+    }
+
     const flagContainer = document.createElement('span');
     flagContainer.className = 'recipe-row-flags';
     flagContainer.setAttribute('aria-label', 'Dietary-friendly indicators');
@@ -462,6 +531,14 @@ function renderRecipes(recipes) {
       flagContainer.appendChild(badge);
     });
 
+    if (recipe.total_minutes !== null && recipe.total_minutes !== undefined) {
+      const timeBadge = document.createElement('span');
+      timeBadge.className = 'recipe-flag recipe-time-flag';
+      timeBadge.textContent = formatMinutes(recipe.total_minutes);
+      timeBadge.title = 'Total time';
+      flagContainer.prepend(timeBadge);
+    }
+
     link.appendChild(title);
     link.appendChild(flagContainer);
     li.appendChild(link);
@@ -481,17 +558,36 @@ function uniqueCategories(recipes) {
   return Array.from(set).sort((a, b) => a.localeCompare(b));
 }
 
+function renderDietaryFilters(onChange) {
+  const container = document.getElementById('dietary-filters');
+  if (!container) return;
+  container.innerHTML = '';
+  dietaryBadges.forEach((badge) => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.id = `filter-${badge.id}`;
+    input.dataset.restriction = badge.key;
+    input.addEventListener('change', onChange);
+    label.append(input, ` ${badge.name}`);
+    container.appendChild(label);
+  });
+}
+
+function checkedRestrictions() {
+  return dietaryBadges.filter((badge) => document.getElementById(`filter-${badge.id}`)?.checked);
+}
+
 function renderCategoryPanel(recipes, onSelect) {
   const panel = document.getElementById('category-panel');
   const optionsContainer = document.getElementById('category-options');
   const currentLabel = document.getElementById('category-current');
   if (!panel || !optionsContainer || !currentLabel) return;
 
-  const categories = ['all', ...uniqueCategories(recipes)];
   optionsContainer.innerHTML = '';
   currentLabel.textContent = selectedCategory === 'all' ? 'All recipes' : selectedCategory;
 
-  categories.forEach((cat) => {
+  const createOption = (cat) => {
     const btn = document.createElement('button');
     btn.type = 'button';
     btn.className = 'category-option';
@@ -503,8 +599,28 @@ function renderCategoryPanel(recipes, onSelect) {
       onSelect?.();
       panel.open = false;
     });
-    optionsContainer.appendChild(btn);
-  });
+    return btn;
+  };
+
+  // Taxonomy groups (data/categories.csv) nest their children; groups and categories without
+  // recipes are skipped, and families or inbox-only categories follow at the top level.
+  const used = new Set(uniqueCategories(recipes));
+  const placed = new Set();
+  const appendNode = (node, container) => {
+    const children = document.createElement('div');
+    children.className = 'category-option-group';
+    node.children.forEach((child) => appendNode(child, children));
+    if (!used.has(node.label) && !children.childElementCount) return;
+    placed.add(node.label);
+    container.appendChild(createOption(node.label));
+    if (children.childElementCount) container.appendChild(children);
+  };
+
+  optionsContainer.appendChild(createOption('all'));
+  categoryTree(categoryList).forEach((node) => appendNode(node, optionsContainer));
+  [...used]
+    .filter((cat) => !placed.has(cat))
+    .forEach((cat) => optionsContainer.appendChild(createOption(cat)));
 }
 
 function refreshUI() {
@@ -641,29 +757,33 @@ function updateRefineSummary() {
 
   const parts = [categoryLabel || 'All recipes'];
 
-  const gf = !!document.getElementById('filter-gluten')?.checked;
-  const ef = !!document.getElementById('filter-egg')?.checked;
-  const df = !!document.getElementById('filter-dairy')?.checked;
-
-  const diet = [];
-  if (gf) diet.push('GF');
-  if (ef) diet.push('EF');
-  if (df) diet.push('DF');
+  const diet = checkedRestrictions().map((badge) => badge.short);
 
   if (diet.length) parts.push(diet.join(' • '));
 
+  const timeSelect = document.getElementById('filter-time');
+  if (timeSelect?.value) parts.push(timeSelect.selectedOptions[0]?.textContent?.trim() || '');
+
   el.textContent = parts.join(' • ');
 }
 
 async function main() {
-  const built = await loadIndex();
+  const [built, loadedSearchIndex, loadedCategories, loadedDietaryBadges] = await Promise.all([
+    loadIndex(),
+    loadSearchIndex(),
+    loadCategories(),
+    loadDietaryBadges(),
+  ]);
+  searchIndex = loadedSearchIndex;
+  categoryList = loadedCategories;
+  dietaryBadges = loadedDietaryBadges;
   recipeList = [...built.map((rec) => recipeSummary(rec, 'built')), ...inboxRecipes.map((rec) => recipeSummary(rec, 'inbox'))];
   const update = () => refreshUI();
   renderCategoryPanel(recipeList, update);
-  document.getElementById('filter-gluten').addEventListener('change', update);
-  document.getElementById('filter-egg').addEventListener('change', update);
-  document.getElementById('filter-dairy').addEventListener('change', update);
+  renderDietaryFilters(update);
   document.getElementById('search-input').addEventListener('input', update);
+  document.getElementById('filter-time')?.addEventListener('change', update);
+  document.getElementById('sort-order')?.addEventListener('change', update);
   document.getElementById('pull-inbox')?.addEventListener('click', handlePullClick);
 
   window.addEventListener('pointerdown', () => { userInteracted = true; }, { once: true, passive: true });
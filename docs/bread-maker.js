@@ -1,3 +1,6 @@
+import { loadDietaryBadges } from './recipe-data.js';
+import { dietaryListFlags, recipeCompatibilityPossible } from './recipe-utils.js';
+
 const BREAD_CATEGORY = 'Bread maker';
 const PERSONAL_STORAGE_KEY = 'cookingdb-bread-maker-recipes';
 
@@ -35,7 +38,7 @@ function buildRecipeLink(recipeId) {
   return `recipe.html?${params.toString()}`;
 }
 
-function renderDefaultRecipes(recipes) {
+function renderDefaultRecipes(recipes, dietaryBadges) {
   if (!defaultListEl) return;
   defaultListEl.innerHTML = '';
 
@@ -71,14 +74,7 @@ function renderDefaultRecipes(recipes) {
       title.appendChild(nameEl);
     }
 
-    const compatibility = recipe.compatibility_possible || {};
-    const containsGluten = compatibility.gluten_free === false;
-    const containsEgg = compatibility.egg_free === false;
-    const containsDairy = compatibility.dairy_free === false;
-    const flags = [];
-    if (!containsGluten) flags.push({ label: 'GF', title: 'Gluten-free' });
-    if (!containsEgg) flags.push({ label: 'EF', title: 'Egg-free' });
-    if (!containsDairy) flags.push({ label: 'DF', title: 'Dairy-free' });
+    const flags = dietaryListFlags(recipeCompatibilityPossible(recipe), dietaryBadges);
 
     const flagContainer = document.createElement('span');
     flagContainer.className = 'recipe-row-flags';
@@ -250,7 +246,7 @@ async function loadDefaultRecipes() {
 
 async function initDefaultRecipes() {
   try {
-    const recipes = await loadDefaultRecipes();
+    const [recipes, dietaryBadges] = await Promise.all([loadDefaultRecipes(), loadDietaryBadges()]);
     const filtered = recipes
       .filter((recipe) => (recipe.categories || []).includes(BREAD_CATEGORY))
       .sort((a, b) => {
@@ -258,7 +254,7 @@ async function initDefaultRecipes() {
         const bTitle = getRecipeTitleParts(b).title;
         return aTitle.localeCompare(bTitle, undefined, { sensitivity: 'base' });
       });
-    renderDefaultRecipes(filtered);
+    renderDefaultRecipes(filtered, dietaryBadges);
   } catch (err) {
     console.warn('Unable to load bread maker recipes', err);
   }
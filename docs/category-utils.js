@@ -0,0 +1,138 @@
+/**
+ * Category taxonomy shared by validate/build (data/categories.csv) and the browser
+ * (built/categories.json). Recipes may name a category by id, label or alias; the build
+ * stores canonical labels so the pages only ever see one spelling.
+ */
+
+export function splitCategories(raw) {
+  if (!raw) return [];
+  return String(raw)
+    .split(/[;,]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+export function normalizeCategoryKey(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Turn categories.csv rows (id,label,parent,aliases) into { categories, byId, byKey }.
+ * Throws on duplicate ids/labels/aliases, unknown parents, and parent cycles.
+ */
+export function buildCategoryTaxonomy(rows) {
+  const categories = [];
+  const byId = new Map();
+  const byKey = new Map();
+
+  const claim = (key, category, what) => {
+    if (!key) return;
+    const existing = byKey.get(key);
+    if (existing && existing !== category) {
+      throw new Error(`categories.csv: ${what} of "${category.id}" collides with "${existing.id}"`);
+    }
+    byKey.set(key, category);
+  };
+
+  rows.forEach((row) => {
+    const id = String(row.id || '').trim();
+    const label = String(row.label || '').trim();
+    if (!id || !label) throw new Error('categories.csv: every row needs an id and a label');
+    if (byId.has(id)) throw new Error(`categories.csv: duplicate id "${id}"`);
+    const category = {
+      id,
+      label,
+      parent: String(row.parent || '').trim() || null,
+      aliases: String(row.aliases || '')
+        .split(';')
+        .map((alias) => alias.trim())
+        .filter(Boolean),
+    };
+    byId.set(id, category);
+    categories.push(category);
+    claim(normalizeCategoryKey(id), category, 'id');
+    claim(normalizeCategoryKey(label), category, 'label');
+    category.aliases.forEach((alias) => claim(normalizeCategoryKey(alias), category, `alias "${alias}"`));
+  });
+
+  categories.forEach((category) => {
+    const seen = new Set([category.id]);
+    let parentId = category.parent;
+    while (parentId) {
+      const parent = byId.get(parentId);
+      if (!parent) throw new Error(`categories.csv: "${category.id}" has unknown parent "${parentId}"`);
+      if (seen.has(parentId)) throw new Error(`categories.csv: parent cycle through "${category.id}"`);
+      seen.add(parentId);
+      parentId = parent.parent;
+    }
+  });
+
+  return { categories, byId, byKey };
+}
+
+export function resolveCategory(taxonomy, raw) {
+  return taxonomy.byKey.get(normalizeCategoryKey(raw)) || null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/** Closest category label for an unknown name, or null when nothing is reasonably close. */
+export function suggestCategory(taxonomy, raw) {
+  const key = normalizeCategoryKey(raw);
+  if (!key) return null;
+  let best = null;
+  let bestDistance = Infinity;
+  taxonomy.byKey.forEach((category, candidate) => {
+    const distance = candidate.startsWith(key) || key.startsWith(candidate) ? 1 : editDistance(key, candidate);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = category;
+    }
+  });
+  return best && bestDistance <= Math.max(2, Math.floor(key.length / 2)) ? best.label : null;
+}
+
+/** Nest a flat category list under its parents, keeping file order: [{ ...category, children }]. */
+export function categoryTree(categories) {
+  const nodes = new Map(categories.map((category) => [category.id, { ...category, children: [] }]));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent ? nodes.get(node.parent) : null;
+    (parent ? parent.children : roots).push(node);
+  });
+  return roots;
+}
+
+/** Labels of a category and everything nested under it, for filtering by a group. */
+export function categorySubtreeLabels(categories, label) {
+  const start = categories.find((category) => category.label === label);
+  if (!start) return new Set([label]);
+  const labels = new Set([start.label]);
+  const ids = new Set([start.id]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    categories.forEach((category) => {
+      if (category.parent && ids.has(category.parent) && !ids.has(category.id)) {
+        ids.add(category.id);
+        labels.add(category.label);
+        grew = true;
+      }
+    });
+  }
+  return labels;
+}
@@ -0,0 +1,245 @@
+import { formatStepText, normalizeSteps, stepIngredientLines } from './recipe-utils.js';
+
+/**
+ * Hands-free cook mode for the recipe page: one step at a time in large type, with that step's
+ * ingredients beside it. It renders from the page's live `state`, so swaps, the multiplier, pan
+ * scaling and the measurement system carry over. Progress is saved per recipe.
+ */
+
+const COOK_PROGRESS_KEY = 'cookingdb-cook-progress';
+const READ_ALOUD_KEY = 'cookingdb-cook-read-aloud';
+const SWIPE_MIN_PX = 50;
+
+function loadAllProgress() {
+  try {
+    return JSON.parse(localStorage.getItem(COOK_PROGRESS_KEY) || '{}') || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function loadCookProgress(recipeId, stepCount) {
+  const saved = loadAllProgress()[recipeId] || {};
+  const step = Number.isInteger(saved.step) ? Math.min(Math.max(saved.step, 0), stepCount - 1) : 0;
+  return {
+    step,
+    doneSteps: Array.isArray(saved.doneSteps) ? saved.doneSteps.filter((idx) => idx < stepCount) : [],
+    checkedTokens: Array.isArray(saved.checkedTokens) ? saved.checkedTokens : [],
+  };
+}
+
+function saveCookProgress(recipeId, progress) {
+  try {
+    const all = loadAllProgress();
+    all[recipeId] = progress;
+    localStorage.setItem(COOK_PROGRESS_KEY, JSON.stringify(all));
+  } catch (err) {
+    // Storage can be full or blocked; cook mode still works for this visit.
+  }
+}
+
+function toggleListValue(list, value, included) {
+  const rest = list.filter((entry) => entry !== value);
+  return included ? [...rest, value] : rest;
+}
+
+export function setupCookMode(recipe, state, timers) {
+  const openBtn = document.getElementById('cook-mode-btn');
+  const overlay = document.getElementById('cook-mode');
+  const titleEl = document.getElementById('cook-mode-title');
+  const progressEl = document.getElementById('cook-mode-progress');
+  const sectionEl = document.getElementById('cook-mode-section');
+  const textEl = document.getElementById('cook-mode-text');
+  const doneInput = document.getElementById('cook-mode-step-done');
+  const ingredientsEl = document.getElementById('cook-mode-ingredients');
+  const prevBtn = document.getElementById('cook-mode-prev');
+  const nextBtn = document.getElementById('cook-mode-next');
+  const closeBtn = document.getElementById('cook-mode-close');
+  const resetBtn = document.getElementById('cook-mode-reset');
+  const speechLabel = document.getElementById('cook-mode-speech-label');
+  const speechInput = document.getElementById('cook-mode-speech');
+  const wakeEl = document.getElementById('cook-mode-wake');
+  if (!openBtn || !overlay || !textEl || !ingredientsEl || !prevBtn || !nextBtn) return;
+
+  const steps = normalizeSteps(recipe);
+  if (!steps.length) {
+    openBtn.hidden = true;
+    return;
+  }
+
+  const recipeId = recipe.id || recipe.title || 'recipe';
+  let progress = loadCookProgress(recipeId, steps.length);
+  let isOpen = false;
+  let wakeLock = null;
+  let touchStart = null;
+
+  const canSpeak = 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+  if (speechLabel) speechLabel.hidden = !canSpeak;
+  if (speechInput) speechInput.checked = canSpeak && localStorage.getItem(READ_ALOUD_KEY) === 'true';
+
+  const persist = () => saveCookProgress(recipeId, progress);
+
+  const speakStep = () => {
+    if (!canSpeak || !speechInput?.checked) return;
+    window.speechSynthesis.cancel();
+    const section = sectionEl?.textContent ? `${sectionEl.textContent}. ` : '';
+    window.speechSynthesis.speak(new SpeechSynthesisUtterance(`Step ${progress.step + 1}. ${section}${textEl.textContent}`));
+  };
+
+  const render = () => {
+    const step = steps[progress.step];
+    const stepState = { ...state, recipe, stepTimers: true };
+    if (titleEl) titleEl.textContent = recipe.title || 'Recipe';
+    if (progressEl) progressEl.textContent = `Step ${progress.step + 1} of ${steps.length}`;
+    if (sectionEl) sectionEl.textContent = step.section || '';
+    textEl.innerHTML = formatStepText(step.text, recipe, stepState);
+    if (doneInput) doneInput.checked = progress.doneSteps.includes(progress.step);
+
+    ingredientsEl.replaceChildren();
+    const lines = stepIngredientLines(step.text, recipe, stepState);
+    if (!lines.length) {
+      const empty = document.createElement('li');
+      empty.className = 'cook-mode-empty';
+      empty.textContent = 'No measured ingredients in this step.';
+      ingredientsEl.appendChild(empty);
+    }
+    lines.forEach((line) => {
+      const li = document.createElement('li');
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.token = line.token;
+      checkbox.checked = progress.checkedTokens.includes(line.token);
+      label.append(checkbox, ` ${line.text}`);
+      li.appendChild(label);
+      ingredientsEl.appendChild(li);
+    });
+
+    prevBtn.disabled = progress.step === 0;
+    nextBtn.textContent = progress.step === steps.length - 1 ? 'Finish' : 'Next →';
+    speakStep();
+  };
+
+  const goTo = (index) => {
+    progress.step = Math.min(Math.max(index, 0), steps.length - 1);
+    persist();
+    render();
+  };
+
+  const requestWakeLock = async () => {
+    if (!('wakeLock' in navigator)) {
+      if (wakeEl) wakeEl.textContent = 'Keep the screen on in your device settings.';
+      return;
+    }
+    try {
+      wakeLock = await navigator.wakeLock.request('screen');
+      if (wakeEl) wakeEl.textContent = 'Screen stays on';
+      wakeLock.addEventListener('release', () => {
+        wakeLock = null;
+        if (wakeEl) wakeEl.textContent = '';
+      });
+    } catch (err) {
+      if (wakeEl) wakeEl.textContent = 'The screen may dim while cooking.';
+    }
+  };
+
+  const close = () => {
+    if (!isOpen) return;
+    isOpen = false;
+    overlay.hidden = true;
+    document.body.classList.remove('cook-mode-open');
+    if (canSpeak) window.speechSynthesis.cancel();
+    wakeLock?.release().catch(() => {});
+    wakeLock = null;
+    openBtn.focus();
+  };
+
+  const next = () => {
+    progress.doneSteps = toggleListValue(progress.doneSteps, progress.step, true);
+    if (progress.step === steps.length - 1) {
+      persist();
+      close();
+      return;
+    }
+    goTo(progress.step + 1);
+  };
+
+  const open = () => {
+    isOpen = true;
+    overlay.hidden = false;
+    document.body.classList.add('cook-mode-open');
+    requestWakeLock();
+    render();
+    nextBtn.focus();
+  };
+
+  openBtn.addEventListener('click', open);
+  closeBtn?.addEventListener('click', close);
+  prevBtn.addEventListener('click', () => goTo(progress.step - 1));
+  nextBtn.addEventListener('click', next);
+
+  resetBtn?.addEventListener('click', () => {
+    progress = { step: 0, doneSteps: [], checkedTokens: [] };
+    persist();
+    render();
+  });
+
+  doneInput?.addEventListener('change', () => {
+    progress.doneSteps = toggleListValue(progress.doneSteps, progress.step, doneInput.checked);
+    persist();
+  });
+
+  ingredientsEl.addEventListener('change', (event) => {
+    const token = event.target?.dataset?.token;
+    if (!token) return;
+    progress.checkedTokens = toggleListValue(progress.checkedTokens, token, event.target.checked);
+    persist();
+  });
+
+  speechInput?.addEventListener('change', () => {
+    localStorage.setItem(READ_ALOUD_KEY, String(speechInput.checked));
+    if (speechInput.checked) speakStep();
+    else window.speechSynthesis.cancel();
+  });
+
+  textEl.addEventListener('click', (event) => {
+    const button = event.target.closest('.step-timer');
+    if (!button || !timers) return;
+    timers.start(Number(button.dataset.timerSeconds), button.dataset.timerLabel || `Step ${progress.step + 1}`);
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (!isOpen || event.altKey || event.ctrlKey || event.metaKey) return;
+    const inControl = event.target.closest?.('button, input, select, textarea');
+    if (event.key === 'Escape') {
+      close();
+    } else if (event.key === 'ArrowRight' || event.key === 'PageDown' || (event.key === ' ' && !inControl)) {
+      event.preventDefault();
+      next();
+    } else if (event.key === 'ArrowLeft' || event.key === 'PageUp') {
+      event.preventDefault();
+      goTo(progress.step - 1);
+    }
+  });
+
+  overlay.addEventListener('touchstart', (event) => {
+    const touch = event.changedTouches[0];
+    touchStart = touch ? { x: touch.clientX, y: touch.clientY } : null;
+  }, { passive: true });
+
+  overlay.addEventListener('touchend', (event) => {
+    const touch = event.changedTouches[0];
+    if (!touchStart || !touch) return;
+    const dx = touch.clientX - touchStart.x;
+    const dy = touch.clientY - touchStart.y;
+    touchStart = null;
+    if (Math.abs(dx) < SWIPE_MIN_PX || Math.abs(dx) < Math.abs(dy)) return;
+    if (dx < 0) next();
+    else goTo(progress.step - 1);
+  });
+
+  // The browser drops the wake lock whenever the tab is hidden; take it again on return.
+  document.addEventListener('visibilitychange', () => {
+    if (isOpen && document.visibilityState === 'visible' && !wakeLock) requestWakeLock();
+  });
+}
@@ -0,0 +1,161 @@
+/**
+ * RFC 4180 CSV reading/writing shared by the build scripts and the browser export tools.
+ * Quoted fields may contain commas, doubled quotes and line breaks; anything else that
+ * would shift columns is reported with a file:line:column location instead of guessed at.
+ */
+
+function locate(label, line, column) {
+  return `${label || 'CSV'}:${line}:${column}`;
+}
+
+/**
+ * Split CSV text into records of raw field values, tracking where each record starts.
+ * With `strict: false`, stray quotes inside unquoted fields are kept as literal characters
+ * and an unterminated quote runs to end of file (used by fix:csv to salvage files).
+ */
+export function parseCSVRecords(text, { label = '', strict = true } = {}) {
+  const source = String(text || '').replace(/^﻿/, '');
+  const records = [];
+  let fields = [];
+  let field = '';
+  let fieldQuoted = false;
+  let inQuotes = false;
+  let quoteLine = 0;
+  let quoteColumn = 0;
+  let line = 1;
+  let column = 1;
+  let recordLine = 1;
+  let afterClosingQuote = false;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    fieldQuoted = false;
+    afterClosingQuote = false;
+  };
+  const endRecord = () => {
+    endField();
+    const blank = fields.length === 1 && fields[0].trim() === '' && !fieldQuoted;
+    if (!blank) records.push({ line: recordLine, fields });
+    fields = [];
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i += 1;
+          column += 1;
+        } else {
+          inQuotes = false;
+          afterClosingQuote = true;
+        }
+      } else if (char === '\n') {
+        field += '\n';
+        line += 1;
+        column = 0;
+      } else if (char !== '\r' || source[i + 1] !== '\n') {
+        field += char;
+      }
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      column = 0;
+      recordLine = line;
+    } else if (char === '"' && field === '' && !fieldQuoted) {
+      inQuotes = true;
+      fieldQuoted = true;
+      quoteLine = line;
+      quoteColumn = column;
+    } else if (afterClosingQuote || char === '"') {
+      if (strict) {
+        const problem = afterClosingQuote
+          ? 'unexpected text after closing quote'
+          : 'stray quote inside an unquoted field';
+        throw new Error(`${locate(label, line, column)}: ${problem} (wrap the whole field in quotes and double any inner quotes)`);
+      }
+      field += char;
+    } else {
+      field += char;
+    }
+    column += 1;
+  }
+
+  if (inQuotes && strict) {
+    throw new Error(`${locate(label, quoteLine, quoteColumn)}: unbalanced quote; the field is never closed`);
+  }
+  if (field !== '' || fields.length || fieldQuoted) endRecord();
+  return records;
+}
+
+function columnOfField(text, fieldIndex) {
+  // Best-effort column of the Nth field on a record's first line, for error messages.
+  let column = 1;
+  let index = 0;
+  let inQuotes = false;
+  for (const char of String(text || '').split(/\r?\n/)[0]) {
+    if (index === fieldIndex) return column;
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ',' && !inQuotes) index += 1;
+    column += 1;
+  }
+  return column;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by header.
+ * Throws when a record has more or fewer fields than the header.
+ */
+export function parseCSV(text, { label = '', allowShortRows = false } = {}) {
+  const records = parseCSVRecords(text, { label });
+  if (!records.length) return [];
+  const [headerRecord, ...dataRecords] = records;
+  const headers = headerRecord.fields.map((header) => header.trim());
+  const sourceLines = String(text || '').replace(/^﻿/, '').split(/\r?\n/);
+
+  return dataRecords.map((record) => {
+    const { fields } = record;
+    if (fields.length > headers.length) {
+      const column = columnOfField(sourceLines[record.line - 1], headers.length);
+      throw new Error(
+        `${locate(label, record.line, column)}: expected ${headers.length} fields but found ${fields.length}; ` +
+          `extra field "${fields[headers.length]}" starts here (check for unquoted commas, e.g. in ${headers[headers.length - 1]} or notes)`
+      );
+    }
+    if (fields.length < headers.length && !allowShortRows) {
+      const column = (sourceLines[record.line - 1] || '').length + 1;
+      throw new Error(
+        `${locate(label, record.line, column)}: expected ${headers.length} fields but found ${fields.length}; ` +
+          `missing ${headers.slice(fields.length).join(', ')}`
+      );
+    }
+    const row = {};
+    headers.forEach((header, idx) => {
+      row[header] = fields[idx] ?? '';
+    });
+    return row;
+  });
+}
+
+export function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+export function stringifyCSV(headers, rows) {
+  const lines = [headers.map(csvEscape).join(',')];
+  rows.forEach((row) => {
+    const values = Array.isArray(row) ? row : headers.map((header) => row[header]);
+    lines.push(values.map(csvEscape).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,167 @@
+import { stringifyCSV } from '../csv-utils.js';
+import { tokenizeStepMeasurements } from '../recipe-utils.js';
+
+const META_COLUMNS = ['id', 'title', 'base_kind', 'default_base', 'servings_per_batch', 'notes', 'categories', 'family'];
+const OPTIONAL_META_COLUMNS = ['byline', 'default_pan', 'prep_minutes', 'cook_minutes', 'inactive_minutes', 'yield_text'];
+const INGREDIENT_COLUMNS = ['token', 'option', 'display', 'ratio', 'unit', 'ingredient_id'];
+const OPTIONAL_INGREDIENT_COLUMNS = ['prep', 'depends_on_token', 'depends_on_option', 'line_group', 'section', 'scaling', 'scaling_exponent'];
+
+export function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Unwrap the shapes returned by /admin/export and /api/list into plain recipe payloads.
+ * Accepts a full export response ({ items }), an array of rows, or a single row/payload.
+ */
+export function extractExportPayloads(exported) {
+  const rows = Array.isArray(exported)
+    ? exported
+    : Array.isArray(exported?.items)
+      ? exported.items
+      : exported
+        ? [exported]
+        : [];
+
+  return rows
+    .map((row) => {
+      let obj = row;
+      for (let i = 0; i < 4; i += 1) {
+        if (obj?.recipe && typeof obj.recipe === 'object') {
+          obj = obj.recipe;
+          continue;
+        }
+        if (obj?.payload && typeof obj.payload === 'object') {
+          obj = obj.payload;
+          continue;
+        }
+        break;
+      }
+      if (!obj || typeof obj !== 'object') return null;
+      const title = obj.title || row?.title || '';
+      const id = slugify(obj.id || obj.recipe_id || row?.slug || row?.recipe_id || title);
+      return id ? { ...obj, id, title } : null;
+    })
+    .filter(Boolean);
+}
+
+function normalizeIngredientEntries(payload) {
+  const raw = payload.ingredients;
+  const list = Array.isArray(raw) ? raw.filter(Boolean) : Object.values(raw || {}).filter(Boolean);
+  const order = Array.isArray(payload.token_order) && payload.token_order.length
+    ? payload.token_order
+    : list.map((entry) => entry?.token).filter(Boolean);
+  const byToken = new Map(list.filter((entry) => entry?.token).map((entry) => [entry.token, entry]));
+  const ordered = order.map((token) => byToken.get(token)).filter(Boolean);
+  list.forEach((entry) => {
+    if (entry?.token && !order.includes(entry.token)) ordered.push(entry);
+  });
+  return ordered;
+}
+
+function normalizeSteps(payload) {
+  if (Array.isArray(payload.steps) && payload.steps.length) {
+    return payload.steps
+      .map((step) => (typeof step === 'string' ? { section: '', text: step } : step))
+      .map((step) => ({ section: step?.section || '', text: tokenizeStepMeasurements(String(step?.text || '').trim()) }))
+      .filter((step) => step.text);
+  }
+  return String(payload.steps_raw || '')
+    .split(/\n/)
+    .filter((line) => line.trim() !== '')
+    .map((line) => ({ section: '', text: tokenizeStepMeasurements(line.replace(/^\d+\.\s*/, '').trim()) }));
+}
+
+function formatCategories(categories) {
+  if (Array.isArray(categories)) return categories.map((cat) => String(cat).trim()).filter(Boolean).join('; ');
+  return String(categories || '').trim();
+}
+
+/**
+ * Convert one inbox payload into the CSV files that make up recipes/<id>/.
+ * Returns { id, files, ingredientIds } where files maps file names to CSV text.
+ */
+export function payloadToRecipeFiles(payload) {
+  const id = slugify(payload.id || payload.recipe_id || payload.title);
+  const ingredientEntries = normalizeIngredientEntries(payload);
+  const choices = payload.choices && typeof payload.choices === 'object' ? payload.choices : {};
+
+  const ingredientRows = [];
+  const choiceRows = [];
+  ingredientEntries.forEach((tokenData) => {
+    const options = (tokenData.options || []).filter(Boolean);
+    const isChoice = options.filter((opt) => opt.option).length >= 2;
+    options.forEach((opt) => {
+      const dependency = opt.depends_on || tokenData.depends_on || null;
+      ingredientRows.push({
+        token: tokenData.token,
+        option: isChoice ? opt.option : '',
+        display: opt.display,
+        ratio: opt.ratio,
+        unit: opt.unit,
+        ingredient_id: opt.ingredient_id || slugify(opt.display),
+        prep: opt.prep || '',
+        depends_on_token: dependency?.token || '',
+        depends_on_option: dependency?.option || '',
+        line_group: opt.line_group || tokenData.line_group || '',
+        section: opt.section || tokenData.section || '',
+        scaling: opt.scaling?.rule || '',
+        scaling_exponent: opt.scaling?.exponent ?? '',
+      });
+    });
+    if (isChoice) {
+      const choice = choices[tokenData.token] || {};
+      const optionKeys = options.map((opt) => opt.option).filter(Boolean);
+      choiceRows.push({
+        token: tokenData.token,
+        label: choice.label || tokenData.token,
+        default_option: optionKeys.includes(choice.default_option) ? choice.default_option : optionKeys[0],
+      });
+    }
+  });
+
+  const ingredientColumns = [
+    ...INGREDIENT_COLUMNS,
+    ...OPTIONAL_INGREDIENT_COLUMNS.filter((column) => ingredientRows.some((row) => row[column])),
+  ];
+
+  const metaRow = {
+    id,
+    title: payload.title || '',
+    base_kind: payload.base_kind || 'multiplier',
+    default_base: payload.default_base || 1,
+    servings_per_batch: payload.servings_per_batch ?? '',
+    notes: payload.notes || '',
+    categories: formatCategories(payload.categories),
+    family: payload.family || '',
+    byline: payload.byline || '',
+    default_pan: payload.default_pan || '',
+    prep_minutes: payload.prep_minutes ?? '',
+    cook_minutes: payload.cook_minutes ?? '',
+    inactive_minutes: payload.inactive_minutes ?? '',
+    yield_text: payload.yield_text || '',
+  };
+  const metaColumns = [
+    ...META_COLUMNS,
+    ...OPTIONAL_META_COLUMNS.filter((column) => metaRow[column] !== ''),
+  ];
+
+  const files = {
+    'meta.csv': stringifyCSV(metaColumns, [metaRow]),
+    'ingredients.csv': stringifyCSV(ingredientColumns, ingredientRows),
+    'steps.csv': stringifyCSV(['section', 'text'], normalizeSteps(payload)),
+  };
+  if (choiceRows.length) {
+    files['choices.csv'] = stringifyCSV(['token', 'label', 'default_option'], choiceRows);
+  }
+
+  return {
+    id,
+    files,
+    ingredientIds: [...new Set(ingredientRows.map((row) => row.ingredient_id).filter(Boolean))],
+  };
+}
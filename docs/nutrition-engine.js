@@ -3,6 +3,7 @@ import {
   getEffectiveMultiplier,
   normalizeUnit,
   parseRatio,
+  scaledIngredientAmount,
   selectOptionForToken,
   unitDefinition,
 } from './recipe-utils.js';
@@ -43,6 +44,19 @@ const DEFAULT_GUIDELINES = {
     sodium_mg: 'daily_sodium_mg_default / meals_per_day_default',
     saturated_fat_g: 'daily_saturated_fat_g_default / meals_per_day_default',
   },
+  daily_values: {
+    total_fat_g: 78,
+    saturated_fat_g: 20,
+    sodium_mg: 2300,
+    total_carbs_g: 275,
+    fiber_g: 28,
+    added_sugars_g: 50,
+    protein_g: 50,
+    calcium_mg: 1300,
+    iron_mg: 18,
+    potassium_mg: 4700,
+    vitamin_c_mg: 90,
+  },
 };
 
 function coerceNumber(value) {
@@ -100,27 +114,53 @@ export async function loadNutritionGuidelines() {
   return DEFAULT_GUIDELINES;
 }
 
+/** Map of `${ingredient_id}::${unit}` to grams per unit, from built/ingredient-portions.json entries. */
+export function ingredientPortionsFromJson(entries) {
+  const map = new Map();
+  (entries || []).forEach((entry) => {
+    if (!entry?.ingredient_id || !entry?.unit) return;
+    const normalizedUnit = normalizeUnit(entry.unit);
+    if (!normalizedUnit) return;
+    const grams = Number(entry.grams);
+    if (!Number.isFinite(grams)) return;
+    map.set(`${entry.ingredient_id}::${normalizedUnit}`, {
+      ingredient_id: entry.ingredient_id,
+      unit: normalizedUnit,
+      grams,
+      source: entry.source || '',
+      notes: entry.notes || '',
+    });
+  });
+  return map;
+}
+
+/** Map of ingredient_id to its unit factors, from built/ingredient-unit-factors.json entries. */
+export function ingredientUnitFactorsFromJson(entries) {
+  const map = new Map();
+  (entries || []).forEach((entry) => {
+    if (!entry?.ingredient_id) return;
+    const fromUnit = normalizeUnit(entry.from_unit_norm);
+    const toUnit = normalizeUnit(entry.to_unit_norm);
+    const factor = Number(entry.factor);
+    if (!fromUnit || !toUnit || !Number.isFinite(factor)) return;
+    if (!map.has(entry.ingredient_id)) map.set(entry.ingredient_id, []);
+    map.get(entry.ingredient_id).push({
+      ingredient_id: entry.ingredient_id,
+      from_unit_norm: fromUnit,
+      to_unit_norm: toUnit,
+      factor,
+      source: entry.source || '',
+      notes: entry.notes || '',
+    });
+  });
+  return map;
+}
+
 export async function loadIngredientPortions() {
   try {
     const res = await fetch('./built/ingredient-portions.json');
     if (res.ok) {
-      const parsed = await res.json();
-      const map = new Map();
-      parsed.forEach((entry) => {
-        if (!entry?.ingredient_id || !entry?.unit) return;
-        const normalizedUnit = normalizeUnit(entry.unit);
-        if (!normalizedUnit) return;
-        const grams = Number(entry.grams);
-        if (!Number.isFinite(grams)) return;
-        map.set(`${entry.ingredient_id}::${normalizedUnit}`, {
-          ingredient_id: entry.ingredient_id,
-          unit: normalizedUnit,
-          grams,
-          source: entry.source || '',
-          notes: entry.notes || '',
-        });
-      });
-      return map;
+      return ingredientPortionsFromJson(await res.json());
     }
   } catch (err) {
     console.warn('Unable to load ingredient portions', err);
@@ -132,25 +172,7 @@ export async function loadIngredientUnitFactors() {
   try {
     const res = await fetch('./built/ingredient-unit-factors.json');
     if (res.ok) {
-      const parsed = await res.json();
-      const map = new Map();
-      parsed.forEach((entry) => {
-        if (!entry?.ingredient_id) return;
-        const fromUnit = normalizeUnit(entry.from_unit_norm);
-        const toUnit = normalizeUnit(entry.to_unit_norm);
-        const factor = Number(entry.factor);
-        if (!fromUnit || !toUnit || !Number.isFinite(factor)) return;
-        if (!map.has(entry.ingredient_id)) map.set(entry.ingredient_id, []);
-        map.get(entry.ingredient_id).push({
-          ingredient_id: entry.ingredient_id,
-          from_unit_norm: fromUnit,
-          to_unit_norm: toUnit,
-          factor,
-          source: entry.source || '',
-          notes: entry.notes || '',
-        });
-      });
-      return map;
+      return ingredientUnitFactorsFromJson(await res.json());
     }
   } catch (err) {
     console.warn('Unable to load ingredient unit factors', err);
@@ -233,7 +255,7 @@ export function deriveDailyTargets(settings, policy = DEFAULT_POLICY) {
     kcal: dailyKcal,
     sodium_mg: (policy.sodium_day_max_mg || DEFAULT_POLICY.sodium_day_max_mg),
     sat_fat_g: (dailyKcal * (policy.sat_fat_max_pct_kcal || DEFAULT_POLICY.sat_fat_max_pct_kcal)) / 9,
-    added_sugar_g: (dailyKcal * (policy.added_sugar_max_pct_kcal || DEFAULT_POLICY.added_sugar_max_pct_kcal)) / 4,
+    added_sugar_g: (dailyKcal * addedSugarLimitPct(policy)) / 4,
     fiber_g: (dailyKcal / 1000) * (policy.fiber_g_per_1000_kcal_min || DEFAULT_POLICY.fiber_g_per_1000_kcal_min),
     protein_floor_g: weightKg
       ? (weightKg * (policy.protein_rda_g_per_kg_day || DEFAULT_POLICY.protein_rda_g_per_kg_day))
@@ -316,6 +338,14 @@ function selectVariantWithPortion(ingredientId, amount, normalizedUnit, variants
   return null;
 }
 
+/** Raw grams of an option amount, from its unit_weights or a mass-based nutrition serving. */
+function ingredientGrams(option, amount, normalizedUnit, variant, variantAmount) {
+  const direct = convertUnitAmount(amount, normalizedUnit, 'g', option.unit_weights);
+  if (direct) return direct.amount;
+  const viaServing = convertUnitAmount(variantAmount, variant?.serving_unit_norm, 'g');
+  return viaServing ? viaServing.amount : null;
+}
+
 function hasNumericNutrients(variant) {
   if (!variant) return false;
   const required = [
@@ -335,6 +365,51 @@ function hasNumericNutrients(variant) {
   return required.every((value) => Number.isFinite(value));
 }
 
+function nutritionVariantsOf(option) {
+  if (Array.isArray(option?.nutrition)) return option.nutrition;
+  return option?.nutrition ? [option.nutrition] : [];
+}
+
+/**
+ * Catalog nutrition row for an option amount: a serving in the same unit world first, then a
+ * unit factor bridge, then a portion weight. Returns { variant, amount, source, reason }, where
+ * amount is in the variant's serving unit and reason explains a null variant.
+ */
+export function matchNutritionVariant(option, amount, unitFactors = null, ingredientPortions = null) {
+  const variants = nutritionVariantsOf(option);
+  const normalizedUnit = normalizeUnit(option?.unit);
+  const ingredientId = option?.ingredient_id;
+  let match = null;
+  const direct = selectNutritionVariant(variants, normalizedUnit, amount);
+  if (direct.variant) {
+    match = { variant: direct.variant, amount: direct.convertedAmount, source: 'catalog' };
+  }
+  if (!match) {
+    const factorMatch = selectVariantWithFactor(ingredientId, amount, normalizedUnit, variants, unitFactors);
+    if (factorMatch) match = { variant: factorMatch.variant, amount: factorMatch.convertedAmount, source: 'unit-factor' };
+  }
+  if (!match) {
+    const portionMatch = selectVariantWithPortion(ingredientId, amount, normalizedUnit, variants, ingredientPortions);
+    if (portionMatch) match = { variant: portionMatch.variant, amount: portionMatch.convertedAmount, source: 'portion' };
+  }
+
+  if (!match || !Number.isFinite(match.amount)) {
+    const unitGroup = normalizedUnit ? unitDefinition(normalizedUnit)?.group : null;
+    const hasSameGroup = variants.some((entry) => {
+      const servingGroup = unitDefinition(entry?.serving_unit_norm)?.group;
+      return servingGroup && unitGroup && servingGroup === unitGroup;
+    });
+    const reason = variants.length === 0
+      ? 'missing-nutrition-row'
+      : (hasSameGroup ? 'no-convertible-variant' : 'missing-cross-factor');
+    return { variant: null, amount: null, source: null, reason };
+  }
+  if (!hasNumericNutrients(match.variant)) {
+    return { variant: null, amount: null, source: null, reason: 'non-numeric-fields' };
+  }
+  return { ...match, reason: null };
+}
+
 export function computeBatchTotals(recipe, state) {
   const totals = {
     kcal: 0,
@@ -350,6 +425,7 @@ export function computeBatchTotals(recipe, state) {
     potassium_mg: 0,
     vitamin_c_mg: 0,
     added_sugar_g: null,
+    weight_g: 0,
     coverage: { covered: 0, total: 0 },
     missing_details: [],
     missing: false,
@@ -359,6 +435,8 @@ export function computeBatchTotals(recipe, state) {
   const tokens = recipe?.token_order || Object.keys(recipe?.ingredients || {});
 
   let hasAddedSugar = false;
+  let weightKnown = true;
+  const confidenceEntries = [];
 
   tokens.forEach((token) => {
     const tokenData = recipe.ingredients?.[token];
@@ -369,14 +447,21 @@ export function computeBatchTotals(recipe, state) {
     const amount = ratioToNumber(option.ratio);
     if (!Number.isFinite(amount)) return;
 
-    const scaledAmount = amount * multiplier;
-    const nutritionVariants = Array.isArray(option.nutrition) ? option.nutrition : (option.nutrition ? [option.nutrition] : []);
+    const scaledAmount = scaledIngredientAmount(option, multiplier);
     const unitFactors = state?.ingredientUnitFactors || null;
     const ingredientPortions = state?.ingredientPortions || null;
-    const selectedUnit = state?.unitSelections?.[token] || option.unit;
-    const normalizedUnit = normalizeUnit(selectedUnit);
+    // Amounts stay in the option's own unit; the unit dropdown only changes how they are shown.
+    const normalizedUnit = normalizeUnit(option.unit);
 
     totals.coverage.total += 1;
+    const confidenceEntry = {
+      ingredient_id: option.ingredient_id,
+      name: option.display || option.ingredient_id,
+      unit: normalizedUnit || option.unit,
+      source: 'missing',
+      kcal: null,
+    };
+    confidenceEntries.push(confidenceEntry);
 
     if (normalizedUnit === 'recipe' && state?.recipeIndex?.has(option.ingredient_id)) {
       const referenced = state.recipeIndex.get(option.ingredient_id);
@@ -392,8 +477,13 @@ export function computeBatchTotals(recipe, state) {
       }
       const nextStack = new Set(stack);
       nextStack.add(option.ingredient_id);
+      // The reference amount counts whole batches of the other recipe at its own defaults.
       const referenceState = {
         ...state,
+        multiplier: Number(referenced.default_base) || 1,
+        panMultiplier: 1,
+        selectedOptions: {},
+        unitSelections: {},
         recipeStack: nextStack,
       };
       const referenceTotals = computeBatchTotals(referenced, referenceState);
@@ -408,6 +498,11 @@ export function computeBatchTotals(recipe, state) {
       }
       totals.coverage.covered += 1;
       const factor = scaledAmount;
+      Object.assign(confidenceEntry, {
+        source: 'recipe',
+        kcal: referenceTotals.kcal * factor,
+        score: referenceTotals.confidence.score,
+      });
       totals.kcal += referenceTotals.kcal * factor;
       totals.protein_g += referenceTotals.protein_g * factor;
       totals.fat_g += referenceTotals.fat_g * factor;
@@ -424,6 +519,11 @@ export function computeBatchTotals(recipe, state) {
         totals.added_sugar_g = (totals.added_sugar_g || 0) + referenceTotals.added_sugar_g * factor;
         hasAddedSugar = true;
       }
+      if (Number.isFinite(referenceTotals.weight_g)) {
+        totals.weight_g += referenceTotals.weight_g * factor;
+      } else {
+        weightKnown = false;
+      }
       return;
     }
     if (normalizedUnit === 'recipe') {
@@ -436,73 +536,31 @@ export function computeBatchTotals(recipe, state) {
       return;
     }
 
-    const { variant, convertedAmount } = selectNutritionVariant(
-      nutritionVariants,
-      normalizedUnit,
-      scaledAmount
-    );
-    let selectedVariant = variant;
-    let selectedAmount = convertedAmount;
-    if (!selectedVariant) {
-      const factorMatch = selectVariantWithFactor(
-        option.ingredient_id,
-        scaledAmount,
-        normalizedUnit,
-        nutritionVariants,
-        unitFactors
-      );
-      selectedVariant = factorMatch?.variant || null;
-      selectedAmount = factorMatch?.convertedAmount ?? null;
-    }
-
-    if (!selectedVariant) {
-      const portionMatch = selectVariantWithPortion(
-        option.ingredient_id,
-        scaledAmount,
-        normalizedUnit,
-        nutritionVariants,
-        ingredientPortions
-      );
-      selectedVariant = portionMatch?.variant || null;
-      selectedAmount = portionMatch?.convertedAmount ?? null;
-    }
-
-    if (!selectedVariant || !Number.isFinite(selectedAmount)) {
-      totals.missing = true;
-      const unitGroup = normalizedUnit ? unitDefinition(normalizedUnit)?.group : null;
-      const hasSameGroup = nutritionVariants.some((entry) => {
-        const servingGroup = unitDefinition(entry?.serving_unit_norm)?.group;
-        return servingGroup && unitGroup && servingGroup === unitGroup;
-      });
-      totals.missing_details.push({
-        ingredient_id: option.ingredient_id,
-        unit: normalizedUnit || selectedUnit,
-        reason: normalizedUnit === 'recipe'
-          ? 'recipe-reference-needed'
-          : (nutritionVariants.length === 0 ? 'missing-nutrition-row'
-            : (hasSameGroup ? 'no-convertible-variant' : 'missing-cross-factor')),
-      });
-      return;
-    }
-
-    if (!hasNumericNutrients(selectedVariant)) {
+    const match = matchNutritionVariant(option, scaledAmount, unitFactors, ingredientPortions);
+    if (!match.variant) {
       totals.missing = true;
       totals.missing_details.push({
         ingredient_id: option.ingredient_id,
-        unit: normalizedUnit || selectedUnit,
-        reason: 'non-numeric-fields',
+        unit: normalizedUnit || option.unit,
+        reason: match.reason,
       });
       return;
     }
+    const { variant: selectedVariant, amount: selectedAmount, source: matchSource } = match;
 
     totals.coverage.covered += 1;
 
     const servingQty = Number.isFinite(selectedVariant.serving_qty) ? selectedVariant.serving_qty : 1;
     const servingMultiplier = servingQty ? selectedAmount / servingQty : 0;
-    totals.kcal += servingMultiplier * selectedVariant.calories_kcal;
+    // Drained meats lose part of their fat; the calories go with it.
+    const fatRetention = Number.isFinite(selectedVariant.fat_retention) ? selectedVariant.fat_retention : 1;
+    const fat = servingMultiplier * selectedVariant.total_fat_g;
+    const kcal = servingMultiplier * selectedVariant.calories_kcal - fat * (1 - fatRetention) * 9;
+    Object.assign(confidenceEntry, { source: matchSource, kcal });
+    totals.kcal += kcal;
     totals.protein_g += servingMultiplier * selectedVariant.protein_g;
-    totals.fat_g += servingMultiplier * selectedVariant.total_fat_g;
-    totals.sat_fat_g += servingMultiplier * selectedVariant.saturated_fat_g;
+    totals.fat_g += fat * fatRetention;
+    totals.sat_fat_g += servingMultiplier * selectedVariant.saturated_fat_g * fatRetention;
     totals.carbs_g += servingMultiplier * selectedVariant.total_carbs_g;
     totals.sugars_g += servingMultiplier * selectedVariant.sugars_g;
     totals.fiber_g += servingMultiplier * selectedVariant.fiber_g;
@@ -511,15 +569,106 @@ export function computeBatchTotals(recipe, state) {
     totals.iron_mg += servingMultiplier * selectedVariant.iron_mg;
     totals.potassium_mg += servingMultiplier * selectedVariant.potassium_mg;
     totals.vitamin_c_mg += servingMultiplier * selectedVariant.vitamin_c_mg;
+    if (Number.isFinite(selectedVariant.added_sugars_g)) {
+      totals.added_sugar_g = (totals.added_sugar_g || 0) + servingMultiplier * selectedVariant.added_sugars_g;
+      hasAddedSugar = true;
+    }
+    const rawGrams = ingredientGrams(option, scaledAmount, normalizedUnit, selectedVariant, selectedAmount);
+    if (Number.isFinite(rawGrams)) {
+      const cookedYield = Number.isFinite(selectedVariant.cooked_yield) ? selectedVariant.cooked_yield : 1;
+      totals.weight_g += rawGrams * cookedYield;
+    } else {
+      weightKnown = false;
+    }
   });
 
   if (!hasAddedSugar) {
     totals.added_sugar_g = null;
   }
 
+  // A weighed finished batch beats summing cooked ingredient weights (which ignores evaporation).
+  const finishedWeight = Number(recipe?.finished_weight_g);
+  if (finishedWeight > 0) {
+    totals.weight_g = (finishedWeight * multiplier) / (Number(recipe.default_base) || 1);
+    totals.weight_source = 'finished';
+  } else if (weightKnown && !totals.missing && totals.coverage.covered > 0) {
+    totals.weight_source = 'estimated';
+  } else {
+    totals.weight_g = null;
+    totals.weight_source = null;
+  }
+
+  totals.confidence = nutritionConfidence(confidenceEntries);
+
   return { ...totals, complete: !totals.missing && totals.coverage.total > 0 };
 }
 
+function choiceOptionsInPlay(token, recipe, state) {
+  const options = recipe?.ingredients?.[token]?.options?.filter((opt) => opt.option) || [];
+  return options.filter((opt) => {
+    // selectOptionForToken falls back when an option is blocked by restrictions or dependencies.
+    const trial = { ...state, selectedOptions: { ...state.selectedOptions, [token]: opt.option } };
+    return selectOptionForToken(token, recipe, trial)?.option === opt.option;
+  });
+}
+
+function totalsWithSelections(recipe, state, selectedOptions) {
+  return computeBatchTotals(recipe, { ...state, selectedOptions: { ...selectedOptions } });
+}
+
+/**
+ * Batch calorie, saturated-fat and sodium change of picking each option of a choice instead of
+ * the current one, keyed by option. Options that cannot be picked right now (restrictions,
+ * dependencies) are left out; null means the comparison needs nutrition data that is missing.
+ */
+export function choiceNutritionDeltas(recipe, state, token) {
+  const current = totalsWithSelections(recipe, state, state.selectedOptions);
+  const deltas = {};
+  choiceOptionsInPlay(token, recipe, state).forEach((opt) => {
+    const totals = totalsWithSelections(recipe, state, { ...state.selectedOptions, [token]: opt.option });
+    deltas[opt.option] = current.complete && totals.complete
+      ? {
+          kcal: totals.kcal - current.kcal,
+          sat_fat_g: totals.sat_fat_g - current.sat_fat_g,
+          sodium_mg: totals.sodium_mg - current.sodium_mg,
+        }
+      : null;
+  });
+  return deltas;
+}
+
+/**
+ * Choice selections that minimize one batch total (e.g. 'sodium_mg' or 'sat_fat_g') among the
+ * options currently allowed. Walks the choices one at a time until nothing improves, which finds
+ * the minimum whenever choices add up independently (they do unless one depends on another).
+ */
+export function optimizeChoices(recipe, state, nutrientKey) {
+  const selected = { ...state.selectedOptions };
+  const tokens = Object.keys(recipe?.choices || {});
+  const score = (selections) => {
+    const totals = totalsWithSelections(recipe, state, selections);
+    return totals.complete && Number.isFinite(totals[nutrientKey]) ? totals[nutrientKey] : Infinity;
+  };
+  let best = score(selected);
+  for (let pass = 0; pass < tokens.length + 1; pass += 1) {
+    let improved = false;
+    tokens.forEach((token) => {
+      choiceOptionsInPlay(token, recipe, { ...state, selectedOptions: selected }).forEach((opt) => {
+        if (opt.option === selected[token]) return;
+        const candidate = { ...selected, [token]: opt.option };
+        const value = score(candidate);
+        if (value < best - 1e-9) {
+          best = value;
+          Object.assign(selected, candidate);
+          improved = true;
+        }
+      });
+    });
+    if (!improved) break;
+  }
+  return selected;
+}
+
 function scaleTotals(totals, factor) {
   if (!totals) return null;
   const scaled = {
@@ -536,6 +685,8 @@ function scaleTotals(totals, factor) {
     potassium_mg: totals.potassium_mg * factor,
     vitamin_c_mg: totals.vitamin_c_mg * factor,
     added_sugar_g: totals.added_sugar_g === null ? null : totals.added_sugar_g * factor,
+    weight_g: Number.isFinite(totals.weight_g) ? totals.weight_g * factor : null,
+    weight_source: totals.weight_source || null,
   };
   return scaled;
 }
@@ -558,11 +709,8 @@ export function deriveServingTargets(settings, guidelines = DEFAULT_GUIDELINES)
   };
 }
 
-export function suggestServings(totals, settings, guidelines = DEFAULT_GUIDELINES) {
-  if (!totals || !totals.complete) {
-    return { suggested_servings: null, perServing: null, batchTotals: totals, targets: null };
-  }
-  const targets = deriveServingTargets(settings, guidelines);
+/** Servings that keep calories, sodium and saturated fat each within one meal's share of the day. */
+function servingsForTargets(totals, targets) {
   const candidates = [];
   if (Number.isFinite(totals.kcal) && Number.isFinite(targets.calories_kcal)) {
     candidates.push(Math.ceil(totals.kcal / targets.calories_kcal));
@@ -573,7 +721,15 @@ export function suggestServings(totals, settings, guidelines = DEFAULT_GUIDELINE
   if (Number.isFinite(totals.sat_fat_g) && totals.sat_fat_g > 0 && Number.isFinite(targets.saturated_fat_g)) {
     candidates.push(Math.ceil(totals.sat_fat_g / targets.saturated_fat_g));
   }
-  const servings = Math.max(1, ...candidates.filter((value) => Number.isFinite(value) && value > 0));
+  return Math.max(1, ...candidates.filter((value) => Number.isFinite(value) && value > 0));
+}
+
+export function suggestServings(totals, settings, guidelines = DEFAULT_GUIDELINES) {
+  if (!totals || !totals.complete) {
+    return { suggested_servings: null, perServing: null, batchTotals: totals, targets: null };
+  }
+  const targets = deriveServingTargets(settings, guidelines);
+  const servings = servingsForTargets(totals, targets);
   return {
     suggested_servings: servings,
     perServing: scaleTotals(totals, 1 / servings),
@@ -586,4 +742,286 @@ export function scaleNutritionTotals(totals, factor) {
   return scaleTotals(totals, factor);
 }
 
+/**
+ * State for one batch at a recipe's default options, as the recipe page first renders it.
+ * context carries { recipeIndex, ingredientPortions, ingredientUnitFactors } maps.
+ */
+export function defaultNutritionState(recipe, context = {}) {
+  return {
+    multiplier: Number(recipe?.default_base) || 1,
+    panMultiplier: 1,
+    selectedOptions: {},
+    unitSelections: {},
+    restrictions: {},
+    recipeIndex: context.recipeIndex || null,
+    ingredientPortions: context.ingredientPortions || null,
+    ingredientUnitFactors: context.ingredientUnitFactors || null,
+  };
+}
+
+/**
+ * The nutrition_estimate the build bakes into each recipe: computeBatchTotals at the default
+ * options, plus a suggested serving count (offered even when some ingredients are missing).
+ */
+export function bakeNutritionEstimate(recipe, context = {}, guidelines = DEFAULT_GUIDELINES) {
+  const totals = computeBatchTotals(recipe, defaultNutritionState(recipe, context));
+  const targets = deriveServingTargets(null, guidelines);
+  const servings = totals.kcal > 0 ? servingsForTargets(totals, targets) : null;
+  const { covered, total } = totals.coverage;
+  return {
+    calories_total: totals.kcal,
+    calories_per_serving: servings ? totals.kcal / servings : null,
+    sodium_total_mg: totals.sodium_mg,
+    sat_fat_total_g: totals.sat_fat_g,
+    added_sugar_total_g: totals.added_sugar_g,
+    cooked_weight_g: Number.isFinite(totals.weight_g) ? Math.round(totals.weight_g) : null,
+    weight_source: totals.weight_source,
+    servings_estimate: servings,
+    covered_ingredients: covered,
+    total_ingredients: total,
+    coverage_ratio: total ? covered / total : 0,
+    target_meal_calories: targets.calories_kcal,
+    missing_ingredients: totals.missing_details,
+    confidence: totals.confidence,
+  };
+}
+
+export const NUTRITION_COVERAGE_COLUMNS = [
+  'ingredient_id',
+  'unit_norm',
+  'example_recipe_id',
+  'count_occurrences',
+  'example_qty',
+  'reason',
+  'nutrition_variants_units',
+  'suggested_target_unit',
+  'unit_world_mismatch_type',
+  'hidden_kcal',
+];
+
+function listVariantUnits(variants) {
+  return [...new Set(variants.map((entry) => entry?.serving_unit_norm).filter(Boolean))];
+}
+
+function pickSuggestedTargetUnit(normalizedUnit, units) {
+  if (!units.length) return '';
+  const recipeGroup = unitDefinition(normalizedUnit)?.group || null;
+  if (recipeGroup) {
+    const sameGroup = units.find((unit) => unitDefinition(unit)?.group === recipeGroup);
+    if (sameGroup) return sameGroup;
+  }
+  return units[0];
+}
+
+function classifyUnitWorldMismatch(normalizedUnit, targetUnit) {
+  if (!normalizedUnit || !targetUnit) return '';
+  const packageUnits = new Set(['bag', 'bunch', 'can', 'cube', 'jar', 'packet', 'package', 'bottle']);
+  if (packageUnits.has(normalizedUnit)) return 'package';
+  const recipeGroup = unitDefinition(normalizedUnit)?.group || null;
+  const targetGroup = unitDefinition(targetUnit)?.group || null;
+  if (!recipeGroup || !targetGroup || recipeGroup === targetGroup) return '';
+  if (recipeGroup === 'count' && targetGroup === 'volume') return 'count-vs-volume';
+  if (recipeGroup === 'count' && targetGroup === 'mass') return 'count-vs-mass';
+  if (recipeGroup === 'volume' && targetGroup === 'mass') return 'volume-vs-mass';
+  if (recipeGroup === 'mass' && targetGroup === 'volume') return 'volume-vs-mass';
+  return '';
+}
+
+/**
+ * Rough calories behind an unmatched amount: a water-density bridge to one of its catalog
+ * servings, else the recipe's average matched ingredient.
+ */
+function likelyHiddenKcal(option, amount, fallbackKcal) {
+  const unit = normalizeUnit(option.unit);
+  for (const variant of nutritionVariantsOf(option)) {
+    const converted = convertUnitAmount(amount, unit, variant?.serving_unit_norm, { grams_per_ml: 1 });
+    const servingQty = Number.isFinite(variant.serving_qty) ? variant.serving_qty : 1;
+    if (converted && servingQty && Number.isFinite(variant.calories_kcal)) {
+      return (converted.amount / servingQty) * variant.calories_kcal;
+    }
+  }
+  return fallbackKcal;
+}
+
+/**
+ * Default-option ingredient amounts the catalog cannot turn into nutrition, one row per
+ * ingredient/unit/reason (NUTRITION_COVERAGE_COLUMNS) with an example recipe, a count, and
+ * hidden_kcal, a rough total of the calories those amounts leave out.
+ */
+export function nutritionCoverageGaps(recipes, context = {}) {
+  const gaps = new Map();
+  (recipes || []).forEach((recipe) => {
+    const state = defaultNutritionState(recipe, context);
+    const totals = computeBatchTotals(recipe, state);
+    const averageKcal = totals.coverage.covered ? totals.kcal / totals.coverage.covered : 0;
+    const multiplier = getEffectiveMultiplier(state);
+    const tokens = recipe.token_order || Object.keys(recipe.ingredients || {});
+    tokens.forEach((token) => {
+      if (!recipe.ingredients?.[token]) return;
+      const option = selectOptionForToken(token, recipe, state);
+      if (!option || !option.unit || !option.ratio) return;
+      const amount = scaledIngredientAmount(option, multiplier);
+      if (!Number.isFinite(amount)) return;
+      const normalizedUnit = normalizeUnit(option.unit);
+      const reason = normalizedUnit === 'recipe'
+        ? (state.recipeIndex?.has(option.ingredient_id) ? null : 'recipe-reference-needed')
+        : matchNutritionVariant(option, amount, state.ingredientUnitFactors, state.ingredientPortions).reason;
+      if (!reason) return;
+
+      const key = `${option.ingredient_id}::${normalizedUnit || ''}::${reason}`;
+      if (!gaps.has(key)) {
+        const variantUnits = listVariantUnits(nutritionVariantsOf(option));
+        const suggestedTargetUnit = pickSuggestedTargetUnit(normalizedUnit, variantUnits);
+        gaps.set(key, {
+          ingredient_id: option.ingredient_id,
+          unit_norm: normalizedUnit || '',
+          example_recipe_id: recipe.id,
+          count_occurrences: 0,
+          example_qty: option.ratio,
+          reason,
+          nutrition_variants_units: variantUnits.join(','),
+          suggested_target_unit: suggestedTargetUnit,
+          unit_world_mismatch_type: classifyUnitWorldMismatch(normalizedUnit, suggestedTargetUnit),
+          hidden_kcal: 0,
+        });
+      }
+      const gap = gaps.get(key);
+      gap.count_occurrences += 1;
+      gap.hidden_kcal += likelyHiddenKcal(option, amount, averageKcal);
+    });
+  });
+  gaps.forEach((gap) => {
+    gap.hidden_kcal = Math.round(gap.hidden_kcal);
+  });
+  return [...gaps.values()].sort((a, b) =>
+    a.ingredient_id.localeCompare(b.ingredient_id) || a.unit_norm.localeCompare(b.unit_norm)
+  );
+}
+
+/** Fraction of calories that comes from added sugar (4 kcal/g), or null when either is unknown. */
+export function addedSugarShareOfKcal(totals) {
+  const addedSugar = totals?.added_sugar_g;
+  const kcal = totals?.kcal;
+  if (!Number.isFinite(addedSugar) || !Number.isFinite(kcal) || kcal <= 0) return null;
+  return (addedSugar * 4) / kcal;
+}
+
+export function addedSugarLimitPct(policy = DEFAULT_POLICY) {
+  return coerceNumber(policy?.added_sugar_max_pct_kcal) ?? DEFAULT_POLICY.added_sugar_max_pct_kcal;
+}
+
+// How far each kind of nutrition match is trusted. A nested recipe counts at its own score.
+const CONFIDENCE_WEIGHTS = {
+  catalog: 1,
+  'unit-factor': 0.85,
+  portion: 0.7,
+  missing: 0,
+};
+
+/**
+ * Calorie-weighted confidence in a nutrition estimate, 0–100.
+ * `entries` are { ingredient_id, name, unit, source, kcal, score? } with source one of catalog,
+ * unit-factor, portion, recipe or missing. Missing ingredients have no calories to weigh, so each
+ * is counted as an average contributor of the rest.
+ */
+export function nutritionConfidence(entries) {
+  const list = Array.isArray(entries) ? entries : [];
+  const known = list.filter((entry) => entry.source !== 'missing');
+  const knownKcal = known.reduce((sum, entry) => sum + Math.max(0, entry.kcal || 0), 0);
+  const missingKcal = known.length && knownKcal > 0 ? knownKcal / known.length : 1;
+  const kcalOf = (entry) => (entry.source === 'missing' ? missingKcal : Math.max(0, entry.kcal || 0));
+  const totalKcal = list.reduce((sum, entry) => sum + kcalOf(entry), 0);
+  const weightOf = (entry) => (entry.source === 'recipe'
+    ? (Number.isFinite(entry.score) ? entry.score / 100 : 0)
+    : (CONFIDENCE_WEIGHTS[entry.source] ?? 0));
+
+  const kcalShare = { catalog: 0, 'unit-factor': 0, portion: 0, recipe: 0, missing: 0 };
+  let weighted = 0;
+  const uncertain = [];
+  list.forEach((entry) => {
+    const share = totalKcal > 0 ? kcalOf(entry) / totalKcal : 0;
+    kcalShare[entry.source] = (kcalShare[entry.source] || 0) + share;
+    weighted += share * weightOf(entry);
+    if (weightOf(entry) < 1) {
+      uncertain.push({
+        ingredient_id: entry.ingredient_id,
+        name: entry.name || entry.ingredient_id,
+        unit: entry.unit || '',
+        source: entry.source,
+        kcal_share: Math.round(share * 1000) / 1000,
+      });
+    }
+  });
+
+  const score = totalKcal > 0 ? Math.round(weighted * 100) : 100;
+  return {
+    score,
+    level: score >= 90 ? 'high' : (score >= 70 ? 'medium' : 'low'),
+    kcal_share: Object.fromEntries(
+      Object.entries(kcalShare).map(([source, share]) => [source, Math.round(share * 1000) / 1000])
+    ),
+    uncertain: uncertain.sort((a, b) => b.kcal_share - a.kcal_share),
+  };
+}
+
+// FDA label order. `dv` names the matching key in nutrition_guidelines.json daily_values.
+const NUTRITION_FACTS_ROWS = [
+  { key: 'fat_g', dv: 'total_fat_g', label: 'Total Fat', unit: 'g', rounding: 'fat', bold: true },
+  { key: 'sat_fat_g', dv: 'saturated_fat_g', label: 'Saturated Fat', unit: 'g', rounding: 'fat', indent: 1 },
+  { key: 'sodium_mg', dv: 'sodium_mg', label: 'Sodium', unit: 'mg', rounding: 'sodium', bold: true },
+  { key: 'carbs_g', dv: 'total_carbs_g', label: 'Total Carbohydrate', unit: 'g', rounding: 'grams', bold: true },
+  { key: 'fiber_g', dv: 'fiber_g', label: 'Dietary Fiber', unit: 'g', rounding: 'grams', indent: 1 },
+  { key: 'sugars_g', dv: null, label: 'Total Sugars', unit: 'g', rounding: 'grams', indent: 1 },
+  { key: 'added_sugar_g', dv: 'added_sugars_g', label: 'Added Sugars', unit: 'g', rounding: 'grams', indent: 2 },
+  { key: 'protein_g', dv: 'protein_g', label: 'Protein', unit: 'g', rounding: 'grams', bold: true },
+  { key: 'calcium_mg', dv: 'calcium_mg', label: 'Calcium', unit: 'mg', rounding: 'whole', micronutrient: true },
+  { key: 'iron_mg', dv: 'iron_mg', label: 'Iron', unit: 'mg', rounding: 'tenth', micronutrient: true },
+  { key: 'potassium_mg', dv: 'potassium_mg', label: 'Potassium', unit: 'mg', rounding: 'whole', micronutrient: true },
+  { key: 'vitamin_c_mg', dv: 'vitamin_c_mg', label: 'Vitamin C', unit: 'mg', rounding: 'whole', micronutrient: true },
+];
+
+function roundToStep(value, step) {
+  return Math.round(value / step) * step;
+}
+
+/** FDA label rounding (21 CFR 101.9), simplified to the cases a per-serving estimate needs. */
+export function roundForNutritionLabel(value, rule) {
+  if (!Number.isFinite(value)) return null;
+  if (rule === 'calories') return value < 5 ? 0 : roundToStep(value, value <= 50 ? 5 : 10);
+  if (rule === 'fat') return value < 0.5 ? 0 : roundToStep(value, value < 5 ? 0.5 : 1);
+  if (rule === 'sodium') return value < 5 ? 0 : roundToStep(value, value <= 140 ? 5 : 10);
+  if (rule === 'grams') return value < 0.5 ? 0 : Math.round(value);
+  if (rule === 'tenth') return Math.round(value * 10) / 10;
+  return Math.round(value);
+}
+
+/**
+ * Rows for a Nutrition Facts label from per-serving totals. %DV uses the label reference
+ * values in guidelines.daily_values (a 2,000 kcal diet), not the reader's own targets.
+ */
+export function nutritionFactsRows(perServing, guidelines = DEFAULT_GUIDELINES) {
+  if (!perServing) return null;
+  const dailyValues = { ...DEFAULT_GUIDELINES.daily_values, ...(guidelines?.daily_values || {}) };
+  const rows = NUTRITION_FACTS_ROWS.filter((row) => Number.isFinite(perServing[row.key])).map((row) => {
+    const amount = roundForNutritionLabel(perServing[row.key], row.rounding);
+    const dailyValue = row.dv ? coerceNumber(dailyValues[row.dv]) : null;
+    return {
+      key: row.key,
+      label: row.label,
+      unit: row.unit,
+      amount,
+      dv_pct: dailyValue ? Math.round((perServing[row.key] / dailyValue) * 100) : null,
+      bold: Boolean(row.bold),
+      indent: row.indent || 0,
+      micronutrient: Boolean(row.micronutrient),
+    };
+  });
+  return {
+    calories: roundForNutritionLabel(perServing.kcal, 'calories'),
+    grams_per_serving: Number.isFinite(perServing.weight_g) ? Math.round(perServing.weight_g) : null,
+    daily_calories: coerceNumber(guidelines?.daily_calories_default) || DEFAULT_GUIDELINES.daily_calories_default,
+    rows,
+  };
+}
+
 export const NUTRITION_SETTINGS_KEY = SETTINGS_KEY;
@@ -1,14 +1,22 @@
 import {
   renderIngredientLines,
   renderStepLines,
-  formatAmountForDisplay,
   formatUnitLabel,
   pluralize,
   groupLinesBySection,
   convertUnitAmount,
+  convertForMeasurementSystem,
+  formatMeasuredAmount,
+  loadMeasurementSystem,
+  saveMeasurementSystem,
+  MEASUREMENT_SYSTEMS,
+  DIETARY_BADGES,
+  dietaryListFlags,
+  recipeCompatibilityPossible,
   recipeDefaultCompatibility,
 } from './recipe-utils.js';
 import {
+  addedSugarLimitPct,
   computeBatchTotals,
   deriveDailyTargets,
   loadIngredientPortions,
@@ -22,14 +30,11 @@ import {
   saveNutritionSettings,
   suggestServings,
 } from './nutrition-engine.js';
+import { loadDietaryBadges, loadRecipeIndex, loadRecipeWithReferences } from './recipe-data.js';
 
 const INBOX_STORAGE_KEY = 'cookingdb-inbox-recipes';
 
-const DIETARY_BADGES = [
-  { key: 'gluten_free', short: 'GF', name: 'Gluten-free' },
-  { key: 'egg_free', short: 'EF', name: 'Egg-free' },
-  { key: 'dairy_free', short: 'DF', name: 'Dairy-free' },
-];
+let dietaryBadges = DIETARY_BADGES;
 
 function formatNumber(value, options = {}) {
   const { maximumFractionDigits = 1 } = options;
@@ -50,6 +55,7 @@ function formatPercentDV(value, total) {
 const state = {
   recipes: [],
   recipeIndex: new Map(),
+  builtRecipeIds: new Set(),
   selections: new Map(),
   nutritionPolicy: null,
   nutritionGuidelines: null,
@@ -57,6 +63,7 @@ const state = {
   ingredientPortions: null,
   ingredientUnitFactors: null,
   nutritionCoverage: null,
+  measurementSystem: loadMeasurementSystem(),
   plan: {
     weeks: 1,
     useCustom: false,
@@ -171,21 +178,21 @@ function loadStoredInboxRecipes() {
   }
 }
 
+function summarizeIndexEntry(entry) {
+  if (!entry || !entry.id) return null;
+  return {
+    ...entry,
+    id: String(entry.id),
+    ingredients: {},
+    token_order: [],
+    has_details: true,
+    is_summary: true,
+  };
+}
+
 async function loadRecipes() {
-  const [recipesRes, indexRes] = await Promise.all([
-    fetch('./built/recipes.json'),
-    fetch('./built/index.json'),
-  ]);
-  if (!indexRes.ok) {
-    throw new Error(`Unable to load built/index.json (${indexRes.status})`);
-  }
-  if (!recipesRes.ok) {
-    throw new Error(`Unable to load built/recipes.json (${recipesRes.status})`);
-  }
-  const builtRaw = await recipesRes.json();
-  const built = Array.isArray(builtRaw)
-    ? builtRaw.map(normalizeRecipeForPlanner).filter(Boolean)
-    : [];
+  const indexEntries = await loadRecipeIndex();
+  const built = indexEntries.map(summarizeIndexEntry).filter(Boolean);
   const inbox = loadStoredInboxRecipes();
   const recipeIndex = new Map(
     [...built, ...inbox]
@@ -193,7 +200,26 @@ async function loadRecipes() {
       .map((entry) => [String(entry.id), entry])
   );
 
-  return { recipes: [...built, ...inbox], recipeIndex };
+  return { recipes: [...built, ...inbox], recipeIndex, builtRecipeIds: new Set(built.map((entry) => entry.id)) };
+}
+
+async function ensureFullRecipe(recipe) {
+  if (!recipe?.is_summary) return recipe;
+  const shards = await loadRecipeWithReferences(recipe.id, state.builtRecipeIds);
+  if (!shards.has(String(recipe.id))) {
+    throw new Error(`Unable to load recipe ${recipe.id}`);
+  }
+  shards.forEach((shard, id) => {
+    const full = normalizeRecipeForPlanner(shard);
+    if (!full) return;
+    if (state.recipeIndex.get(id)?.is_summary) {
+      state.recipeIndex.set(id, full);
+    }
+    const listIdx = state.recipes.findIndex((entry) => entry.is_summary && String(entry.id) === id);
+    if (listIdx !== -1) state.recipes[listIdx] = full;
+  });
+  return state.recipes.find((entry) => String(entry.id) === String(recipe.id) && !entry.is_summary)
+    || normalizeRecipeForPlanner(shards.get(String(recipe.id)));
 }
 
 function splitRecipeTitle(rawTitle) {
@@ -223,10 +249,12 @@ function getRecipeTitleParts(recipe) {
 
 function recipeMatchesQuery(recipe, query) {
   if (!query) return true;
-  const ingredientText = Object.values(recipe.ingredients || {})
-    .flatMap((tokenData) => tokenData?.options || [])
-    .map((opt) => [opt.display, opt.ingredient_id].filter(Boolean).join(' '))
-    .join(' ');
+  const ingredientText = recipe.is_summary
+    ? [...(recipe.ingredient_names || []), ...(recipe.ingredient_ids || [])].join(' ')
+    : Object.values(recipe.ingredients || {})
+        .flatMap((tokenData) => tokenData?.options || [])
+        .map((opt) => [opt.display, opt.ingredient_id].filter(Boolean).join(' '))
+        .join(' ');
   const haystack = [recipe.title, recipe.byline, ...(recipe.categories || []), recipe.family, ingredientText]
     .filter(Boolean)
     .join(' ')
@@ -241,6 +269,13 @@ function buildIngredientKey(value) {
 
 function collectRecipeIngredientKeys(recipe) {
   const keys = new Set();
+  if (recipe.is_summary) {
+    (recipe.ingredient_ids || []).forEach((ingredientId) => {
+      const key = buildIngredientKey(ingredientId);
+      if (key) keys.add(key);
+    });
+    return keys;
+  }
   Object.values(recipe.ingredients || {}).forEach((tokenData) => {
     (tokenData?.options || []).forEach((option) => {
       const key = buildIngredientKey(option?.ingredient_id || option?.display || option?.token);
@@ -320,6 +355,15 @@ function updateMealLabels() {
     : 3;
 }
 
+/** "2 cups flour" for a combined grocery entry, in the chosen measurement system. */
+function groceryEntryText(entry) {
+  const { amount, unit } = convertForMeasurementSystem(entry.amount, entry.unit, state.measurementSystem);
+  const amountStr = formatMeasuredAmount(amount, unit, state.measurementSystem);
+  const unitLabel = unit ? ` ${formatUnitLabel(unit, amount)}` : '';
+  const displayName = pluralize(entry.display, amount, unit || 'count');
+  return `${amountStr}${unitLabel} ${displayName}`.trim();
+}
+
 function updateIngredientsSummary() {
   const container = document.getElementById('ingredients-summary');
   container.innerHTML = '';
@@ -386,11 +430,8 @@ function updateIngredientsSummary() {
   const sorted = [...combined.values()].sort((a, b) => a.display.localeCompare(b.display));
   sorted.forEach((entry) => {
     const li = document.createElement('li');
-    const amountStr = formatAmountForDisplay(entry.amount);
-    const unitLabel = entry.unit ? ` ${formatUnitLabel(entry.unit, entry.amount)}` : '';
-    const displayName = pluralize(entry.display, entry.amount, entry.unit || 'count');
     const main = document.createElement('span');
-    main.textContent = `${amountStr}${unitLabel} ${displayName}`.trim();
+    main.textContent = groceryEntryText(entry);
     li.appendChild(main);
     const recipeCount = entry.recipeIds?.size || 0;
     if (recipeCount > 1) {
@@ -446,6 +487,7 @@ function updateNutritionSummary() {
     sodium_mg: 0,
     sat_fat_g: 0,
     sugars_g: 0,
+    added_sugar_g: 0,
     fiber_g: 0,
   };
 
@@ -455,6 +497,10 @@ function updateNutritionSummary() {
     totals.sodium_mg += selection.nutrition.totals.sodium_mg;
     totals.sat_fat_g += selection.nutrition.totals.sat_fat_g;
     totals.sugars_g += selection.nutrition.totals.sugars_g;
+    // One recipe without added-sugar data makes the plan total unknown rather than low.
+    totals.added_sugar_g = Number.isFinite(selection.nutrition.totals.added_sugar_g) && totals.added_sugar_g !== null
+      ? totals.added_sugar_g + selection.nutrition.totals.added_sugar_g
+      : null;
     totals.fiber_g += selection.nutrition.totals.fiber_g;
   });
 
@@ -470,13 +516,20 @@ function updateNutritionSummary() {
       `${formatNumber(totals.sat_fat_g)} g`,
       `≤ ${formatNumber(dailyTargets.sat_fat_g)} g (${formatPercentDV(totals.sat_fat_g, dailyTargets.sat_fat_g)})`,
     ],
-    ['Sugars', `${formatNumber(totals.sugars_g)} g`, `≤ ${formatNumber(dailyTargets.added_sugar_g)} g`],
+    ['Sugars', `${formatNumber(totals.sugars_g)} g`, 'Total, incl. fruit & dairy'],
+    [
+      'Added sugars',
+      Number.isFinite(totals.added_sugar_g) ? `${formatNumber(totals.added_sugar_g)} g` : '—',
+      `≤ ${formatNumber(dailyTargets.added_sugar_g)} g (${Math.round(addedSugarLimitPct(state.nutritionPolicy) * 100)}% of kcal)`,
+    ],
     ['Fiber', `${formatNumber(totals.fiber_g)} g`, `≥ ${formatNumber(dailyTargets.fiber_g)} g`],
   ];
+  const addedSugarOver = Number.isFinite(totals.added_sugar_g) && totals.added_sugar_g > dailyTargets.added_sugar_g;
 
   rows.forEach(([label, value, target]) => {
     const li = document.createElement('li');
     li.innerHTML = `<span>${label}</span><strong>${value}</strong><em>${target}</em>`;
+    if (label === 'Added sugars' && addedSugarOver) li.classList.add('is-over');
     list.appendChild(li);
   });
 }
@@ -583,14 +636,7 @@ function renderRecipeList() {
       title.appendChild(nameEl);
     }
 
-    const compatibility = recipe.compatibility_possible || {};
-    const containsGluten = compatibility.gluten_free === false;
-    const containsEgg = compatibility.egg_free === false;
-    const containsDairy = compatibility.dairy_free === false;
-    const flags = [];
-    if (!containsGluten) flags.push({ label: 'GF', title: 'Gluten-free' });
-    if (!containsEgg) flags.push({ label: 'EF', title: 'Egg-free' });
-    if (!containsDairy) flags.push({ label: 'DF', title: 'Dairy-free' });
+    const flags = dietaryListFlags(recipeCompatibilityPossible(recipe), dietaryBadges);
 
     const flagContainer = document.createElement('span');
     flagContainer.className = 'recipe-row-flags';
@@ -625,8 +671,17 @@ function renderRecipeList() {
     button.textContent = alreadySelected ? 'Added' : 'Add';
     button.disabled = alreadySelected;
     if (!alreadySelected) {
-      button.addEventListener('click', () => {
-        addRecipeSelection(recipe);
+      button.addEventListener('click', async () => {
+        button.disabled = true;
+        button.textContent = 'Adding…';
+        setPlannerStatus('');
+        try {
+          await addRecipeSelection(recipe);
+        } catch (err) {
+          setPlannerStatus(`Couldn't add ${recipe.title || 'this recipe'}: ${err?.message || 'it failed to load'}. Try again.`);
+          button.disabled = false;
+          button.textContent = 'Retry';
+        }
       });
     }
 
@@ -636,7 +691,17 @@ function renderRecipeList() {
   });
 }
 
-function addRecipeSelection(recipe) {
+/** Show a problem in the recipe picker's status callout; an empty message hides it. */
+function setPlannerStatus(message) {
+  const status = document.getElementById('planner-status');
+  if (!status) return;
+  status.textContent = message;
+  status.hidden = !message;
+}
+
+async function addRecipeSelection(listedRecipe) {
+  if (state.selections.has(listedRecipe.id)) return;
+  const recipe = await ensureFullRecipe(listedRecipe);
   if (state.selections.has(recipe.id)) return;
   const servingsFromRecipe = Number(recipe.servings_per_batch);
   const servingsFromEstimate = Number(recipe.nutrition_estimate?.servings_estimate);
@@ -679,6 +744,7 @@ function addRecipeSelection(recipe) {
       restrictions: { ...defaultCompatibility },
       selectedOptions: {},
       unitSelections: {},
+      measurementSystem: state.measurementSystem,
       ingredientUnitFactors: state.ingredientUnitFactors,
       recipeIndex: state.recipeIndex,
     },
@@ -738,14 +804,7 @@ function renderSelections() {
       title.appendChild(nameEl);
     }
 
-    const compatibility = selection.recipe.compatibility_possible || {};
-    const containsGluten = compatibility.gluten_free === false;
-    const containsEgg = compatibility.egg_free === false;
-    const containsDairy = compatibility.dairy_free === false;
-    const flags = [];
-    if (!containsGluten) flags.push({ label: 'GF', title: 'Gluten-free' });
-    if (!containsEgg) flags.push({ label: 'EF', title: 'Egg-free' });
-    if (!containsDairy) flags.push({ label: 'DF', title: 'Dairy-free' });
+    const flags = dietaryListFlags(recipeCompatibilityPossible(selection.recipe), dietaryBadges);
 
     const flagContainer = document.createElement('span');
     flagContainer.className = 'recipe-row-flags';
@@ -976,26 +1035,24 @@ function renderSelections() {
     dietary.appendChild(dietaryLabel);
 
     const defaultCompatibility = selection.defaultCompatibility || {};
-    const defaultNotes = DIETARY_BADGES.filter((tag) => defaultCompatibility[tag.key]);
+    const defaultNotes = dietaryBadges.filter((tag) => defaultCompatibility[tag.key]);
     if (defaultNotes.length) {
       const note = document.createElement('p');
       note.className = 'planner-note';
-      note.textContent = defaultNotes
-        .map((tag) => `Already ${tag.name.toLowerCase()} by default`)
-        .join(' • ');
+      note.textContent = `Already ${defaultNotes.map((tag) => tag.name.toLowerCase()).join(', ')} by default`;
       dietary.appendChild(note);
     }
 
     const dietaryOptions = document.createElement('div');
     dietaryOptions.className = 'planner-dietary-options';
 
-    DIETARY_BADGES.forEach((tag) => {
+    dietaryBadges.forEach((tag) => {
       const label = document.createElement('label');
       label.className = 'planner-dietary-pill';
       const input = document.createElement('input');
       input.type = 'checkbox';
       input.checked = selection.restrictions[tag.key];
-      const compatibility = selection.recipe.compatibility_possible?.[tag.key];
+      const compatibility = recipeCompatibilityPossible(selection.recipe)[tag.key];
       if (compatibility === false) {
         input.disabled = true;
         label.classList.add('is-disabled');
@@ -1143,13 +1200,10 @@ function buildIngredientListForPrint() {
 
   const sorted = [...combined.values()].sort((a, b) => a.display.localeCompare(b.display));
   const lines = sorted.map((entry) => {
-    const amountStr = formatAmountForDisplay(entry.amount);
-    const unitLabel = entry.unit ? ` ${formatUnitLabel(entry.unit, entry.amount)}` : '';
-    const displayName = pluralize(entry.display, entry.amount, entry.unit || 'count');
     const combinedNote = entry.recipeIds?.size > 1
       ? ` (combined total — used in ${entry.recipeIds.size} recipes)`
       : '';
-    return `${amountStr}${unitLabel} ${displayName}${combinedNote}`.trim();
+    return `${groceryEntryText(entry)}${combinedNote}`;
   });
 
   if (extras.size) {
@@ -1270,6 +1324,26 @@ function setupPrintButtons() {
   });
 }
 
+function setupMeasurementSystem() {
+  const select = document.getElementById('measurement-system');
+  if (!select) return;
+  MEASUREMENT_SYSTEMS.forEach((system) => {
+    const opt = document.createElement('option');
+    opt.value = system.id;
+    opt.textContent = system.label;
+    select.appendChild(opt);
+  });
+  select.value = state.measurementSystem;
+  select.addEventListener('change', () => {
+    state.measurementSystem = select.value;
+    saveMeasurementSystem(state.measurementSystem);
+    state.selections.forEach((selection) => {
+      selection.state.measurementSystem = state.measurementSystem;
+    });
+    updateIngredientsSummary();
+  });
+}
+
 async function startPlanner() {
   const [
     recipesPayload,
@@ -1278,6 +1352,7 @@ async function startPlanner() {
     ingredientPortions,
     ingredientUnitFactors,
     nutritionCoverage,
+    loadedDietaryBadges,
   ] = await Promise.all([
     loadRecipes(),
     loadNutritionPolicy(),
@@ -1285,10 +1360,13 @@ async function startPlanner() {
     loadIngredientPortions(),
     loadIngredientUnitFactors(),
     loadNutritionCoverage(),
+    loadDietaryBadges(),
   ]);
-  const { recipes, recipeIndex } = recipesPayload;
+  dietaryBadges = loadedDietaryBadges;
+  const { recipes, recipeIndex, builtRecipeIds } = recipesPayload;
   state.recipes = recipes;
   state.recipeIndex = recipeIndex;
+  state.builtRecipeIds = builtRecipeIds;
   state.nutritionPolicy = nutritionPolicy;
   state.nutritionGuidelines = nutritionGuidelines;
   state.nutritionSettings = loadNutritionSettings(nutritionPolicy);
@@ -1307,6 +1385,7 @@ async function startPlanner() {
   setupPlanControls();
   setupSearch();
   setupPrintButtons();
+  setupMeasurementSystem();
   setupNutritionSettings();
   updateCustomFieldsVisibility();
   updateMealLabels();
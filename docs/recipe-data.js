@@ -0,0 +1,80 @@
+import { DIETARY_BADGES } from './recipe-utils.js';
+
+const shardCache = new Map();
+
+export async function loadRecipeIndex() {
+  const res = await fetch('./built/index.json');
+  if (!res.ok) {
+    throw new Error(`Unable to load built/index.json (${res.status})`);
+  }
+  const parsed = await res.json();
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+async function loadBadgeList(file) {
+  try {
+    const res = await fetch(`./built/${file}`);
+    if (res.ok) {
+      const parsed = await res.json();
+      if (Array.isArray(parsed)) return parsed;
+    }
+  } catch (err) {
+    console.warn(`Unable to load ${file}`, err);
+  }
+  return null;
+}
+
+/**
+ * Restriction badges: allergens from data/allergens.json (falling back to gluten/egg/dairy),
+ * followed by the derived diets from data/diets.json unless `includeDiets` is false.
+ */
+export async function loadDietaryBadges({ includeDiets = true } = {}) {
+  const [allergens, diets] = await Promise.all([
+    loadBadgeList('allergens.json'),
+    includeDiets ? loadBadgeList('diets.json') : null,
+  ]);
+  return [...(allergens?.length ? allergens : DIETARY_BADGES), ...(diets || [])];
+}
+
+export function loadRecipeShard(recipeId) {
+  const key = String(recipeId);
+  if (!shardCache.has(key)) {
+    const request = fetch(`./built/recipes/${encodeURIComponent(key)}.json`).then((res) => {
+      if (res.status === 404) return null;
+      if (!res.ok) {
+        throw new Error(`Unable to load built/recipes/${key}.json (${res.status})`);
+      }
+      return res.json();
+    });
+    request.catch(() => shardCache.delete(key));
+    shardCache.set(key, request);
+  }
+  return shardCache.get(key);
+}
+
+/**
+ * Fetch one recipe shard plus the shards of any built recipes it uses as ingredients
+ * (e.g. a dough recipe), so links and nested nutrition work without recipes.json.
+ * Returns a Map of recipe id -> raw built recipe.
+ */
+export async function loadRecipeWithReferences(recipeId, knownIds) {
+  const loaded = new Map();
+  const pending = [String(recipeId)];
+  while (pending.length) {
+    const batch = pending.splice(0).filter((id) => !loaded.has(id));
+    const shards = await Promise.all(batch.map((id) => loadRecipeShard(id)));
+    shards.forEach((shard, idx) => {
+      if (!shard) return;
+      loaded.set(batch[idx], shard);
+      Object.values(shard.ingredients || {}).forEach((tokenData) => {
+        (tokenData?.options || []).forEach((option) => {
+          const referencedId = option?.ingredient_id ? String(option.ingredient_id) : null;
+          if (referencedId && knownIds?.has(referencedId) && !loaded.has(referencedId)) {
+            pending.push(referencedId);
+          }
+        });
+      });
+    });
+  }
+  return loaded;
+}
@@ -1,10 +1,11 @@
 import { UNIT_CONVERSIONS } from './unit-conversions.js';
 
-export const DIETARY_TAGS = {
-  gluten_free: { positive: 'Gluten-free ready', negative: 'Contains gluten' },
-  egg_free: { positive: 'Egg-free friendly', negative: 'Contains egg' },
-  dairy_free: { positive: 'Dairy-free ready', negative: 'Contains dairy' },
-};
+// Fallback when built/allergens.json (generated from data/allergens.json) cannot be loaded.
+export const DIETARY_BADGES = [
+  { id: 'gluten', key: 'gluten_free', name: 'Gluten-free', short: 'GF', list_badge: true },
+  { id: 'egg', key: 'egg_free', name: 'Egg-free', short: 'EF', list_badge: true },
+  { id: 'dairy', key: 'dairy_free', name: 'Dairy-free', short: 'DF', list_badge: true },
+];
 
 export const UNIT_ALIASES = new Map([
   ['cloves', 'clove'],
@@ -59,7 +60,19 @@ export const UNIT_ALIASES = new Map([
 ]);
 
 export function restrictionsActive(prefs) {
-  return prefs.gluten_free || prefs.egg_free || prefs.dairy_free;
+  return Object.values(prefs || {}).some(Boolean);
+}
+
+/** Allergen compatibility plus derived diets (vegetarian, vegan, ...) in one restriction-keyed map. */
+export function recipeCompatibilityPossible(recipe) {
+  return { ...(recipe?.compatibility_possible || {}), ...(recipe?.diet_possible || {}) };
+}
+
+/** Compact "free of" flags for recipe lists: badges marked list_badge that a recipe can meet. */
+export function dietaryListFlags(compatibility, badges = DIETARY_BADGES) {
+  return badges
+    .filter((badge) => badge.list_badge && (compatibility || {})[badge.key] !== false)
+    .map((badge) => ({ label: badge.short, title: badge.name }));
 }
 
 export function normalizeUnit(unit) {
@@ -151,6 +164,30 @@ export function pluralize(display, amount, unit) {
   return display;
 }
 
+export function formatMinutes(minutes) {
+  const value = Number(minutes);
+  if (!Number.isFinite(value) || value < 0) return '';
+  const rounded = Math.round(value);
+  if (rounded < 60) return `${rounded} min`;
+  const hours = Math.floor(rounded / 60);
+  const rest = rounded % 60;
+  return rest ? `${hours} hr ${rest} min` : `${hours} hr`;
+}
+
+export function recipeTimeParts(recipe) {
+  const parts = [
+    { key: 'prep_minutes', label: 'Prep' },
+    { key: 'cook_minutes', label: 'Cook' },
+    { key: 'inactive_minutes', label: 'Inactive' },
+  ]
+    .filter(({ key }) => Number.isFinite(recipe?.[key]))
+    .map(({ key, label }) => ({ label, text: formatMinutes(recipe[key]) }));
+  if (parts.length > 1 && Number.isFinite(recipe?.total_minutes)) {
+    parts.push({ label: 'Total', text: formatMinutes(recipe.total_minutes) });
+  }
+  return parts;
+}
+
 export function unitDefinition(unitId) {
   if (!unitId) return null;
   const normalized = String(unitId).toLowerCase();
@@ -161,14 +198,33 @@ export function unitDefinition(unitId) {
   return null;
 }
 
-export function unitOptionsFor(unitId) {
+function gramsPerBaseUnit(group, weights) {
+  if (group === 'mass') return 1;
+  if (group === 'volume') return weights?.grams_per_ml ?? null;
+  if (group === 'count') return weights?.grams_per_count ?? null;
+  return null;
+}
+
+/**
+ * Units an amount can be shown in. Same-world units are exact; with an option's
+ * unit_weights (grams per ml / per piece from the catalog) the other worlds are offered
+ * too, flagged approximate and labeled with a leading ≈.
+ */
+export function unitOptionsFor(unitId, weights = null) {
   const def = unitDefinition(unitId);
   if (!def) return [];
-  const group = UNIT_CONVERSIONS[def.group];
-  return Object.entries(group.units).map(([id, meta]) => ({
-    id,
-    label: meta.plural || meta.label || id,
-  }));
+  const options = [];
+  Object.entries(UNIT_CONVERSIONS).forEach(([groupName, group]) => {
+    const approximate = groupName !== def.group;
+    if (approximate && (gramsPerBaseUnit(def.group, weights) === null || gramsPerBaseUnit(groupName, weights) === null)) {
+      return;
+    }
+    Object.entries(group.units).forEach(([id, meta]) => {
+      const label = meta.plural || meta.label || id;
+      options.push({ id, label: approximate ? `≈ ${label}` : label, approximate });
+    });
+  });
+  return options;
 }
 
 export function formatUnitLabel(unitId, amount) {
@@ -182,14 +238,19 @@ export function formatUnitLabel(unitId, amount) {
   return def.label || unitId;
 }
 
-export function convertUnitAmount(amount, fromUnit, toUnit) {
+export function convertUnitAmount(amount, fromUnit, toUnit, weights = null) {
   if (!Number.isFinite(amount)) return null;
   const fromDef = unitDefinition(fromUnit);
   const toDef = unitDefinition(toUnit);
-  if (!fromDef || !toDef || fromDef.group !== toDef.group) return null;
+  if (!fromDef || !toDef) return null;
   const amountInBase = amount * fromDef.to_base;
-  const converted = amountInBase / toDef.to_base;
-  return { amount: converted, unit: toDef.id };
+  if (fromDef.group === toDef.group) {
+    return { amount: amountInBase / toDef.to_base, unit: toDef.id };
+  }
+  const fromGrams = gramsPerBaseUnit(fromDef.group, weights);
+  const toGrams = gramsPerBaseUnit(toDef.group, weights);
+  if (!fromGrams || !toGrams) return null;
+  return { amount: (amountInBase * fromGrams) / toGrams / toDef.to_base, unit: toDef.id, approximate: true };
 }
 
 export function formatAmountForDisplay(amount, options = {}) {
@@ -238,16 +299,170 @@ export function defaultDisplayUnitForOption(option, baseAmount) {
   return isCupSizedAmount || isCupPreferredIngredient ? 'cup' : normalizedUnit;
 }
 
+const MEASUREMENT_SYSTEM_KEY = 'cookingdb-measurement-system';
+
+export const MEASUREMENT_SYSTEMS = [
+  { id: 'as-written', label: 'As written' },
+  { id: 'us', label: 'US customary' },
+  { id: 'metric', label: 'Metric' },
+];
+
+const METRIC_UNITS = new Set(['ml', 'l', 'g', 'kg']);
+
+export function loadMeasurementSystem() {
+  try {
+    const stored = localStorage.getItem(MEASUREMENT_SYSTEM_KEY);
+    return MEASUREMENT_SYSTEMS.some((system) => system.id === stored) ? stored : 'as-written';
+  } catch (err) {
+    return 'as-written';
+  }
+}
+
+export function saveMeasurementSystem(system) {
+  localStorage.setItem(MEASUREMENT_SYSTEM_KEY, system);
+}
+
+/**
+ * Unit an amount reads best in under a measurement system, converting only within its own
+ * unit world. Null keeps the unit as written (counts, cans, or US units under "us").
+ */
+export function measurementSystemUnit(amount, unit, system) {
+  const def = unitDefinition(normalizeUnit(unit));
+  if (!def || !Number.isFinite(amount) || (def.group !== 'volume' && def.group !== 'mass')) return null;
+  const base = amount * def.to_base;
+  if (system === 'metric') {
+    if (def.group === 'volume') return base >= 1000 ? 'l' : 'ml';
+    return base >= 1000 ? 'kg' : 'g';
+  }
+  if (system === 'us' && METRIC_UNITS.has(def.id)) {
+    if (def.group === 'volume') return base < 15 ? 'tsp' : (base < 60 ? 'tbsp' : 'cup');
+    return base < 453.592 ? 'oz' : 'lb';
+  }
+  return null;
+}
+
+/** Metric amounts rounded to what a scale or jug shows: nearest 5 above 50 g/mL, 0.05 for kg/L. */
+export function roundMetricAmount(amount, unit) {
+  if (!Number.isFinite(amount)) return amount;
+  const step = (value) => Math.round(amount / value) * value;
+  if (unit === 'kg' || unit === 'l') return step(0.05);
+  if (unit !== 'g' && unit !== 'ml') return amount;
+  if (amount > 50) return step(5);
+  if (amount >= 10) return step(1);
+  return amount >= 5 ? step(0.5) : step(0.25);
+}
+
+// Cups, spoons and ounces converted from metric land on eighths or thirds, as a US cook would measure.
+function roundUsAmount(amount) {
+  const eighths = Math.round(amount * 8) / 8;
+  const thirds = Math.round(amount * 3) / 3;
+  const rounded = Math.abs(thirds - amount) < Math.abs(eighths - amount) ? thirds : eighths;
+  return rounded > 0 ? rounded : amount;
+}
+
+/** Display string for an amount; metric units read as decimals ("2.5 mL", not "2 1/2 mL") under metric. */
+export function formatMeasuredAmount(amount, unit, system = 'as-written') {
+  if (system === 'metric' && METRIC_UNITS.has(unit) && Number.isFinite(amount)) {
+    return String(Number(roundMetricAmount(amount, unit).toFixed(2)));
+  }
+  return formatAmountForDisplay(amount);
+}
+
+/** { amount, unit } converted and rounded for a measurement system, for totals such as grocery lists. */
+export function convertForMeasurementSystem(amount, unit, system) {
+  const target = measurementSystemUnit(amount, unit, system);
+  const converted = target ? convertUnitAmount(amount, unit, target) : null;
+  const result = converted ? { amount: converted.amount, unit: converted.unit } : { amount, unit };
+  if (system === 'metric') result.amount = roundMetricAmount(result.amount, result.unit);
+  else if (converted) result.amount = roundUsAmount(result.amount);
+  return result;
+}
+
 export function getEffectiveMultiplier(state) {
   return (Number(state.multiplier) || 1) * (Number(state.panMultiplier) || 1);
 }
 
+/** Servings one batch at `default_base` makes, from meta.csv `servings_per_batch`; null when unknown. */
+export function recipeServingsPerBatch(recipe) {
+  const servings = Number(recipe?.servings_per_batch);
+  return Number.isFinite(servings) && servings > 0 ? servings : null;
+}
+
+/** Servings the current batch multiplier and pan scaling make together; null when the recipe has no servings. */
+export function servingsForState(recipe, state) {
+  const perBatch = recipeServingsPerBatch(recipe);
+  if (!perBatch) return null;
+  const base = Number(recipe?.default_base) || 1;
+  return perBatch * getEffectiveMultiplier(state) / base;
+}
+
+/**
+ * Batch multiplier that makes `servings` on top of the current pan scaling, so
+ * getEffectiveMultiplier() lands on exactly that many servings. Null when it cannot be worked out.
+ */
+export function multiplierForServings(recipe, servings, panMultiplier = 1) {
+  const perBatch = recipeServingsPerBatch(recipe);
+  const target = Number(servings);
+  if (!perBatch || !Number.isFinite(target) || target <= 0) return null;
+  const base = Number(recipe?.default_base) || 1;
+  return base * target / perBatch / (Number(panMultiplier) || 1);
+}
+
+/** Units a cook can give for "scale to what I have" on an option: its own unit plus any it converts to. */
+export function availableAmountUnits(option) {
+  const units = unitOptionsFor(normalizeUnit(option?.unit), option?.unit_weights);
+  const own = normalizeUnit(option?.unit);
+  if (own && !units.some((unit) => unit.id === own)) {
+    units.unshift({ id: own, label: formatUnitLabel(own, 2), approximate: false });
+  }
+  return units;
+}
+
+/**
+ * Batch multiplier at which `option` uses exactly the `amount` of `unit` on hand, on top of the
+ * current pan scaling. Returns { multiplier, approximate } or null when the units do not convert
+ * or the option's amount is `fixed`.
+ */
+export function multiplierForAvailableAmount(option, amount, unit, panMultiplier = 1) {
+  const ratio = ratioValue(option?.ratio || '');
+  const available = Number(amount);
+  if (!(ratio > 0) || !(available > 0)) return null;
+  const converted = normalizeUnit(unit) === normalizeUnit(option.unit)
+    ? { amount: available }
+    : convertUnitAmount(available, normalizeUnit(unit), normalizeUnit(option.unit), option.unit_weights);
+  if (!converted || option.scaling?.rule === 'fixed') return null;
+  const exponent = option.scaling?.rule === 'sublinear' ? option.scaling.exponent : 1;
+  return {
+    multiplier: (converted.amount / ratio) ** (1 / exponent) / (Number(panMultiplier) || 1),
+    approximate: Boolean(converted.approximate),
+  };
+}
+
+/**
+ * Ingredients counted in pieces (eggs, cans, cloves) whose scaled amount is not a whole or a half,
+ * as { token, text, amount }, so the page can warn after scaling to what the cook has.
+ */
+export function awkwardCountAmounts(recipe, state) {
+  const multiplier = getEffectiveMultiplier(state);
+  const awkward = [];
+  (recipe?.token_order || []).forEach((token) => {
+    const tokenData = recipe.ingredients?.[token];
+    if (!tokenData || !tokenAllowedByDependency(tokenData, recipe, state)) return;
+    const option = selectOptionForToken(token, recipe, state);
+    if (!option?.ratio || !optionAllowedByDependency(option, recipe, state)) return;
+    const group = unitDefinition(normalizeUnit(option.unit))?.group;
+    if (group === 'volume' || group === 'mass') return;
+    const amount = scaledIngredientAmount(option, multiplier);
+    if (!Number.isFinite(amount) || Math.abs(amount * 2 - Math.round(amount * 2)) <= 0.1) return;
+    const text = renderIngredientEntry(option, multiplier, state?.unitSelections?.[token], false, state?.measurementSystem);
+    awkward.push({ token, text, amount });
+  });
+  return awkward;
+}
+
 export function optionMeetsRestrictions(option, restrictions) {
   if (!option || !option.dietary) return true;
-  if (restrictions.gluten_free && !option.dietary.gluten_free) return false;
-  if (restrictions.egg_free && !option.dietary.egg_free) return false;
-  if (restrictions.dairy_free && !option.dietary.dairy_free) return false;
-  return true;
+  return Object.entries(restrictions || {}).every(([key, active]) => !active || option.dietary[key]);
 }
 
 export function alternativeOptions(tokenData, state, selectedOption, recipe = null) {
@@ -274,7 +489,13 @@ export function defaultOptionForToken(token, recipe) {
 }
 
 export function recipeDefaultCompatibility(recipe) {
-  const restrictions = { gluten_free: true, egg_free: true, dairy_free: true };
+  // Restriction keys come from the options' dietary flags, so new catalog allergens need no code here.
+  const keys = new Set();
+  Object.values(recipe.ingredients || {}).forEach((tokenData) => {
+    (tokenData?.options || []).forEach((option) => Object.keys(option?.dietary || {}).forEach((key) => keys.add(key)));
+  });
+  if (!keys.size) DIETARY_BADGES.forEach((badge) => keys.add(badge.key));
+  const restrictions = Object.fromEntries([...keys].map((key) => [key, true]));
   Object.keys(recipe.ingredients || {}).forEach((token) => {
     const option = defaultOptionForToken(token, recipe);
     Object.keys(restrictions).forEach((restriction) => {
@@ -344,7 +565,51 @@ export function selectOptionForToken(token, recipe, state) {
   return selected || tokenData.options[0];
 }
 
-export function ingredientDisplay(option, multiplier, selectedUnit, includePrep = false) {
+const SCALING_RULES = new Set(['linear', 'fixed', 'sublinear', 'round_up_whole']);
+
+/**
+ * ingredients.csv `scaling` and `scaling_exponent` as { rule, exponent }, or null when malformed.
+ * A blank rule is linear; only `sublinear` takes an exponent, which must be between 0 and 1.
+ */
+export function parseIngredientScaling(rule, exponent) {
+  const name = String(rule || '').trim().toLowerCase() || 'linear';
+  const exponentText = String(exponent ?? '').trim();
+  if (!SCALING_RULES.has(name)) return null;
+  if (name !== 'sublinear') return exponentText ? null : { rule: name };
+  const value = Number(exponentText);
+  return exponentText && value > 0 && value < 1 ? { rule: name, exponent: value } : null;
+}
+
+/**
+ * Amount of `option` in its own unit at `multiplier`, following its `scaling` rule: `fixed` stays
+ * as written, `sublinear` grows by multiplier^exponent (to the nearest eighth) and `round_up_whole`
+ * rounds up to whole pieces. At ×1 every rule gives the amount as written.
+ */
+export function scaledIngredientAmount(option, multiplier) {
+  const amount = ratioValue(option?.ratio || '');
+  const factor = Number.isFinite(Number(multiplier)) ? Number(multiplier) : 1;
+  const scaling = option?.scaling;
+  if (!scaling || factor === 1 || !Number.isFinite(amount)) return amount * factor;
+  // A ×0 batch makes nothing, so no rule keeps an amount.
+  if (factor <= 0) return 0;
+  if (scaling.rule === 'fixed') return amount;
+  if (scaling.rule === 'sublinear') return Math.max(Math.round(amount * factor ** scaling.exponent * 8) / 8, 1 / 8);
+  if (scaling.rule === 'round_up_whole') return Math.ceil(amount * factor - 1e-9);
+  return amount * factor;
+}
+
+/** Why `option` did not scale with the batch at `multiplier`, for the ingredient list; '' when it did. */
+export function ingredientScalingNote(option, multiplier) {
+  const factor = Number.isFinite(Number(multiplier)) ? Number(multiplier) : 1;
+  const amount = ratioValue(option?.ratio || '');
+  const scaled = scaledIngredientAmount(option, factor);
+  if (!option?.scaling || !(amount > 0) || Math.abs(scaled - amount * factor) < 1e-9) return '';
+  if (option.scaling.rule === 'fixed') return 'Same amount at any batch size.';
+  if (option.scaling.rule === 'round_up_whole') return `Rounded up to a whole number from ${formatAmountForDisplay(amount * factor)}.`;
+  return `Scaled gently: ×${Number((scaled / amount).toFixed(2))} for a ×${Number(factor.toFixed(2))} batch.`;
+}
+
+export function ingredientDisplay(option, multiplier, selectedUnit, includePrep = false, measurementSystem = 'as-written') {
   if (!option) {
     return {
       text: '',
@@ -357,6 +622,7 @@ export function ingredientDisplay(option, multiplier, selectedUnit, includePrep
       displayAmount: null,
       displayUnit: null,
       conversionFactor: null,
+      approximate: false,
     };
   }
 
@@ -372,6 +638,7 @@ export function ingredientDisplay(option, multiplier, selectedUnit, includePrep
       displayAmount: null,
       displayUnit: option.unit || null,
       conversionFactor: null,
+      approximate: false,
     };
   }
 
@@ -388,24 +655,31 @@ export function ingredientDisplay(option, multiplier, selectedUnit, includePrep
       displayAmount: null,
       displayUnit: option.unit || null,
       conversionFactor: null,
+      approximate: false,
     };
   }
 
   const scaled = multiplyFraction(baseFraction, multiplier);
-  const baseAmount = scaled ? scaled.num / scaled.den : null;
+  // Scaling rules work on the decimal amount; multiplyFraction snaps the factor to eighths and thirds.
+  const baseAmount = option.scaling ? scaledIngredientAmount(option, multiplier) : (scaled ? scaled.num / scaled.den : null);
 
+  // A unit picked on the line wins over the site-wide measurement system.
+  const systemUnit = selectedUnit ? null : measurementSystemUnit(baseAmount, option.unit, measurementSystem);
   const defaultUnit = defaultDisplayUnitForOption(option, baseAmount);
-  const targetUnit = selectedUnit || defaultUnit || option.unit;
+  const targetUnit = selectedUnit || systemUnit || defaultUnit || option.unit;
   let displayAmount = baseAmount;
   let displayUnit = option.unit;
   let conversionFactor = null;
+  let approximate = false;
 
   if (baseAmount !== null && targetUnit && option.unit) {
-    const converted = convertUnitAmount(baseAmount, option.unit, targetUnit);
+    const converted = convertUnitAmount(baseAmount, option.unit, targetUnit, option.unit_weights);
     if (converted) {
-      displayAmount = converted.amount;
+      // Density-based amounts are estimates; whole numbers read better than "113.4 grams".
+      displayAmount = converted.approximate && converted.amount >= 10 ? Math.round(converted.amount) : converted.amount;
       displayUnit = converted.unit;
       conversionFactor = baseAmount !== 0 ? converted.amount / baseAmount : null;
+      approximate = Boolean(converted.approximate);
     } else {
       displayUnit = option.unit;
     }
@@ -413,13 +687,21 @@ export function ingredientDisplay(option, multiplier, selectedUnit, includePrep
     displayUnit = targetUnit || option.unit;
   }
 
-  const amountStr = displayAmount !== null ? formatAmountForDisplay(displayAmount) : '';
+  if (measurementSystem === 'metric' && displayAmount !== null) {
+    displayAmount = roundMetricAmount(displayAmount, displayUnit);
+  } else if (systemUnit && displayAmount !== null) {
+    displayAmount = roundUsAmount(displayAmount);
+  }
+
+  const amountStr = displayAmount !== null
+    ? `${approximate ? '≈' : ''}${formatMeasuredAmount(displayAmount, displayUnit, measurementSystem)}`
+    : '';
   const baseAmountStr = baseAmount !== null ? formatAmountForDisplay(baseAmount) : '';
   const formattedUnitLabel = displayUnit ? formatUnitLabel(displayUnit, displayAmount) : '';
   const unitLabel = formattedUnitLabel ? ` ${formattedUnitLabel}` : '';
   const baseUnitLabel = option.unit ? formatUnitLabel(option.unit, baseAmount) : '';
   const convertedUnitLabel = displayUnit ? formatUnitLabel(displayUnit, displayAmount) : '';
-  const displayName = pluralize(option.display, displayAmount ?? 0, option.unit);
+  const displayName = pluralize(option.display, displayAmount ?? 0, displayUnit);
   const prepSuffix = includePrep && option.prep ? `, ${option.prep}` : '';
   const text = `${amountStr}${unitLabel} ${displayName}${prepSuffix}`.trim();
 
@@ -434,11 +716,12 @@ export function ingredientDisplay(option, multiplier, selectedUnit, includePrep
     displayAmount,
     displayUnit,
     conversionFactor,
+    approximate,
   };
 }
 
-export function renderIngredientEntry(option, multiplier, selectedUnit, includePrep = false) {
-  return ingredientDisplay(option, multiplier, selectedUnit, includePrep).text;
+export function renderIngredientEntry(option, multiplier, selectedUnit, includePrep = false, measurementSystem = 'as-written') {
+  return ingredientDisplay(option, multiplier, selectedUnit, includePrep, measurementSystem).text;
 }
 
 export function normalizeSteps(recipe) {
@@ -478,6 +761,188 @@ export function groupLinesBySection(lines, sectionOrder = []) {
   return sections.sort((a, b) => a.orderIdx - b.orderIdx);
 }
 
+// Step text measurement tokens: {{temp:350F}}, {{temp:350-400F}}, {{len:1/4-3/8in}},
+// {{size:9x13in}} and {{pan}}, rendered in the reader's measurement system.
+export const STEP_PAN_TOKEN = 'pan';
+
+const STEP_MEASURE_KINDS = new Set(['temp', 'len', 'size']);
+const STEP_MEASURE_PATTERN = /{{\s*([a-z]+)\s*:\s*([^}]*?)\s*}}/g;
+const STEP_NUMBER = '\\d+ \\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?';
+const TEMPERATURE_VALUE = /^(\d+(?:\.\d+)?)(?:\s*[-–]\s*(\d+(?:\.\d+)?))?\s*°?\s*([fc])$/i;
+const LENGTH_VALUE = new RegExp(`^(${STEP_NUMBER})(?:\\s*([-–x])\\s*(${STEP_NUMBER}))?\\s*(in|cm|mm)$`, 'i');
+const MM_PER_UNIT = { in: 25.4, cm: 10, mm: 1 };
+
+function ratioValue(text) {
+  const frac = parseRatio(text);
+  return frac ? frac.num / frac.den : NaN;
+}
+
+/**
+ * Parse the value of a {{temp:...}}, {{len:...}} or {{size:...}} step token into
+ * { kind, texts, values, separator, unit }, or null when it is malformed.
+ */
+export function parseStepMeasure(kind, value) {
+  if (!STEP_MEASURE_KINDS.has(kind)) return null;
+  const text = String(value || '').trim();
+  const match = kind === 'temp' ? text.match(TEMPERATURE_VALUE) : text.match(LENGTH_VALUE);
+  if (!match) return null;
+  if (kind === 'temp') {
+    const texts = [match[1], match[2]].filter(Boolean);
+    return { kind, texts, values: texts.map(Number), separator: match[2] ? '-' : null, unit: match[3].toUpperCase() };
+  }
+  const texts = [match[1], match[3]].filter(Boolean);
+  const values = texts.map(ratioValue);
+  if (values.some((entry) => !Number.isFinite(entry) || entry <= 0)) return null;
+  const separator = match[2] ? (match[2] === 'x' ? 'x' : '-') : null;
+  return { kind, texts, values, separator, unit: match[4].toLowerCase() };
+}
+
+// Ovens dial in steps of five; thermometer readings keep whole degrees.
+function roundTemperature(value) {
+  return Math.abs(value) >= 100 ? Math.round(value / 5) * 5 : Math.round(value);
+}
+
+function joinMeasureValues(texts, separator) {
+  return texts.join(separator === 'x' ? 'x' : '–');
+}
+
+function formatTemperature(measure, system) {
+  const target = system === 'metric' ? 'C' : (system === 'us' ? 'F' : measure.unit);
+  const texts = target === measure.unit
+    ? measure.texts
+    : measure.values.map((value) => String(roundTemperature(target === 'C' ? (value - 32) * 5 / 9 : value * 9 / 5 + 32)));
+  return `${joinMeasureValues(texts, measure.separator)}°${target}`;
+}
+
+function metricLengthTexts(mmValues) {
+  if (Math.max(...mmValues) < 25) return { texts: mmValues.map((mm) => String(Math.round(mm))), unit: 'mm' };
+  const texts = mmValues.map((mm) => {
+    const cm = mm / 10;
+    return String(cm >= 10 ? Math.round(cm) : Math.round(cm * 2) / 2);
+  });
+  return { texts, unit: 'cm' };
+}
+
+function formatLength(measure, system) {
+  let { texts, unit } = measure;
+  if (system === 'metric' && unit === 'in') {
+    ({ texts, unit } = metricLengthTexts(measure.values.map((value) => value * MM_PER_UNIT.in)));
+  } else if (system === 'us' && unit !== 'in') {
+    // Rulers read in eighths of an inch.
+    texts = measure.values.map((value) => formatAmountForDisplay(Math.round(value * MM_PER_UNIT[unit] / MM_PER_UNIT.in * 8) / 8));
+    unit = 'in';
+  }
+  const amount = joinMeasureValues(texts, measure.separator);
+  if (unit !== 'in') return `${amount} ${unit}`;
+  if (measure.kind === 'size') return `${amount}-inch`;
+  const last = ratioValue(texts[texts.length - 1]);
+  return `${amount} ${last > 1 ? 'inches' : 'inch'}`;
+}
+
+/** Display text for a parsed step measurement under a measurement system. */
+export function formatStepMeasure(measure, system = 'as-written') {
+  if (!measure) return '';
+  return measure.kind === 'temp' ? formatTemperature(measure, system) : formatLength(measure, system);
+}
+
+/** Label of the pan the reader picked (or the recipe's default pan), with inch sizes in their system. */
+export function stepPanLabel(recipe, state) {
+  const panId = state?.selectedPanId || recipe?.default_pan;
+  const pan = (recipe?.pan_sizes || []).find((entry) => entry.id === panId);
+  if (!pan) return 'pan';
+  const label = pan.label || pan.id;
+  if (pan.unit !== 'in') return label;
+  return label.replace(/(\d+(?:\.\d+)?(?:x\d+(?:\.\d+)?)?)(-inch|(?=\)))/, (match, dims) => {
+    const [width, height] = dims.split('x');
+    const measure = parseStepMeasure('size', height ? `${width}x${height}in` : `${width}in`);
+    return formatStepMeasure(measure, state?.measurementSystem);
+  });
+}
+
+const RAW_TEMPERATURE = /(\d+(?:\.\d+)?)(?:\s*[-–]\s*(\d+(?:\.\d+)?))?\s*°\s*([FC])\b(?:\s*\(\s*\d+(?:\.\d+)?(?:\s*[-–]\s*\d+(?:\.\d+)?)?\s*°\s*[FC]\s*\))?/g;
+const RAW_DIMENSIONS = /\b(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)(?:-inch\b|\s*inch(?:es)?\b)?/g;
+const RAW_LENGTH = new RegExp(`(?<![\\d/])(${STEP_NUMBER})(?:\\s*[-–]\\s*(${STEP_NUMBER}))?(-inch\\b|\\s*inch(?:es)?\\b)`, 'g');
+
+/**
+ * Rewrite plain "350°F", "9x13-inch" and "2 inches" mentions in step text as measurement tokens,
+ * dropping a parenthesized conversion such as "(177°C)". Existing {{...}} tokens are left alone.
+ */
+export function tokenizeStepMeasurements(text) {
+  return String(text || '')
+    .split(/({{[^}]*}})/)
+    .map((part) => {
+      if (part.startsWith('{{')) return part;
+      return part
+        .replace(RAW_TEMPERATURE, (match, low, high, unit) => `{{temp:${high ? `${low}-${high}` : low}${unit}}}`)
+        .replace(RAW_DIMENSIONS, (match, width, height) => `{{size:${width}x${height}in}}`)
+        .replace(RAW_LENGTH, (match, low, high, suffix) => {
+          const kind = suffix.startsWith('-') ? 'size' : 'len';
+          return `{{${kind}:${high ? `${low}-${high}` : low}in}}`;
+        });
+    })
+    .join('');
+}
+
+// Step timers: an explicit {{timer:20m|Simmer soup}} token, or durations such as "simmer 20 minutes"
+// found in the text. Start buttons render only when state.stepTimers is set (the recipe page).
+const TIMER_DURATION = /^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+(?:\.\d+)?)\s*m)?\s*(?:(\d+(?:\.\d+)?)\s*s)?$/i;
+const STEP_DURATION_PATTERN = new RegExp(
+  `(?<![\\w/])(${STEP_NUMBER})(?:\\s*(?:to|–|-)\\s*(?:${STEP_NUMBER}))?\\s*(hours?|hrs?|minutes?|mins?|seconds?|secs?)\\b`,
+  'gi'
+);
+const DURATION_UNIT_SECONDS = { h: 3600, m: 60, s: 1 };
+
+/** Seconds in a timer duration such as "20m", "1h30m" or "45s"; null when malformed. */
+export function parseTimerDuration(value) {
+  const match = String(value || '').trim().match(TIMER_DURATION);
+  if (!match || !(match[1] || match[2] || match[3])) return null;
+  const seconds = Math.round(
+    (Number(match[1]) || 0) * DURATION_UNIT_SECONDS.h +
+    (Number(match[2]) || 0) * DURATION_UNIT_SECONDS.m +
+    (Number(match[3]) || 0)
+  );
+  return seconds > 0 ? seconds : null;
+}
+
+/** Parse the value of a {{timer:...}} token into { seconds, label }, or null when it is malformed. */
+export function parseStepTimer(value) {
+  const [duration, ...labelParts] = String(value || '').split('|');
+  const seconds = parseTimerDuration(duration);
+  const label = labelParts.join('|').trim();
+  if (!seconds || (labelParts.length && !label)) return null;
+  return { seconds, label };
+}
+
+/** "1 hour 30 minutes" style text for a number of seconds. */
+export function formatTimerDuration(seconds) {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  const parts = [
+    [Math.floor(total / 3600), 'hour'],
+    [Math.floor((total % 3600) / 60), 'minute'],
+    [total % 60, 'second'],
+  ].filter(([count]) => count > 0);
+  if (!parts.length) return '0 seconds';
+  return parts.map(([count, unit]) => `${count} ${unit}${count === 1 ? '' : 's'}`).join(' ');
+}
+
+function stepTimerButton(seconds, label, text) {
+  return `<button type="button" class="step-timer" data-timer-seconds="${seconds}" data-timer-label="${label}">${text}</button>`;
+}
+
+// Durations in rendered step HTML become start buttons; tags and their attributes are left alone.
+function addDetectedTimers(html) {
+  return html
+    .split(/(<[^>]+>)/)
+    .map((part) => {
+      if (part.startsWith('<')) return part;
+      return part.replace(STEP_DURATION_PATTERN, (match, amount, unit) => {
+        const seconds = Math.round(ratioValue(amount) * DURATION_UNIT_SECONDS[unit.charAt(0).toLowerCase()]);
+        return seconds > 0 ? stepTimerButton(seconds, '', match) : match;
+      });
+    })
+    .join('');
+}
+
 function escapeHtml(value) {
   return String(value).replace(/[&<>"']/g, (char) => {
     switch (char) {
@@ -497,20 +962,57 @@ function escapeHtml(value) {
   });
 }
 
-export function formatStepText(stepText, recipe, state) {
-  const multiplier = getEffectiveMultiplier(state);
-  const evaluatedConditions = stepText.replace(/{{#if\s+([^}]+)}}([\s\S]*?){{\/if}}/g, (match, condition, inner) => {
+function evaluateStepConditions(stepText, recipe, state) {
+  return String(stepText || '').replace(/{{#if\s+([^}]+)}}([\s\S]*?){{\/if}}/g, (match, condition, inner) => {
     const [token, expected] = condition.split('=').map((part) => part.trim());
     const dependency = token ? { token, option: expected || null } : null;
     return dependencySatisfied(dependency, recipe, state) ? inner : '';
   });
+}
+
+/**
+ * Ingredients a step names with {{token}} placeholders (after {{#if}} blocks), as { token, text }
+ * lines using the current options, scaling and units, in the order the step mentions them.
+ */
+export function stepIngredientLines(stepText, recipe, state) {
+  const multiplier = getEffectiveMultiplier(state);
+  const seen = new Set();
+  const lines = [];
+  for (const match of evaluateStepConditions(stepText, recipe, state).matchAll(/{{\s*([a-zA-Z0-9_-]+)\s*}}/g)) {
+    const token = match[1];
+    if (token === STEP_PAN_TOKEN || seen.has(token)) continue;
+    seen.add(token);
+    const tokenData = recipe?.ingredients?.[token];
+    if (!tokenData || !tokenAllowedByDependency(tokenData, recipe, state)) continue;
+    const option = selectOptionForToken(token, recipe, state);
+    if (!option) continue;
+    const text = renderIngredientEntry(option, multiplier, state?.unitSelections?.[token], true, state?.measurementSystem);
+    lines.push({ token, text });
+  }
+  return lines;
+}
 
-  const escaped = escapeHtml(evaluatedConditions);
+export function formatStepText(stepText, recipe, state) {
+  const multiplier = getEffectiveMultiplier(state);
+  const evaluatedConditions = evaluateStepConditions(stepText, recipe, state);
+
+  const hasTimerTokens = /{{\s*timer\s*:/.test(evaluatedConditions);
+  const escaped = escapeHtml(evaluatedConditions).replace(STEP_MEASURE_PATTERN, (match, kind, value) => {
+    if (kind === 'timer') {
+      const timer = parseStepTimer(value);
+      if (!timer) return match;
+      const text = formatTimerDuration(timer.seconds);
+      return state?.stepTimers ? stepTimerButton(timer.seconds, timer.label, text) : text;
+    }
+    const measure = parseStepMeasure(kind, value);
+    return measure ? formatStepMeasure(measure, state?.measurementSystem) : match;
+  });
 
-  return escaped.replace(/{{\s*([a-zA-Z0-9_-]+)\s*}}/g, (match, token) => {
+  const html = escaped.replace(/{{\s*([a-zA-Z0-9_-]+)\s*}}/g, (match, token) => {
+    if (token === STEP_PAN_TOKEN) return escapeHtml(stepPanLabel(recipe, state));
     const option = selectOptionForToken(token, recipe, state);
     const selectedUnit = state?.unitSelections?.[token];
-    const ingredientText = renderIngredientEntry(option, multiplier, selectedUnit, false);
+    const ingredientText = renderIngredientEntry(option, multiplier, selectedUnit, false, state?.measurementSystem);
     const ingredientHtml = `<strong class="step-ingredient">${escapeHtml(ingredientText)}</strong>`;
     const recipeId = option?.ingredient_id;
     const recipeIndex = state?.recipeIndex;
@@ -520,6 +1022,8 @@ export function formatStepText(stepText, recipe, state) {
     }
     return ingredientHtml;
   });
+  // Explicit timer tokens replace detection so a step never gets the same timer twice.
+  return state?.stepTimers && !hasTimerTokens ? addDetectedTimers(html) : html;
 }
 
 export function renderIngredientLines(recipe, state) {
@@ -557,11 +1061,11 @@ export function renderIngredientLines(recipe, state) {
     if (!option || !optionAllowedByDependency(option, recipe, state)) return;
     const selectedUnit = unitSelections[token];
 
-    const display = ingredientDisplay(option, multiplier, selectedUnit, true);
+    const display = ingredientDisplay(option, multiplier, selectedUnit, true, state.measurementSystem);
     const text = display.text;
     const alternatives = (alternativeOptions(tokenData, state, option, recipe) || [])
       .filter((opt) => optionAllowedByDependency(opt, recipe, state))
-      .map((opt) => renderIngredientEntry(opt, multiplier, selectedUnit, true));
+      .map((opt) => renderIngredientEntry(opt, multiplier, selectedUnit, true, state.measurementSystem));
 
     const section = tokenData.section ?? option.section ?? null;
     const entry = { token, text, option, selectedUnit, alternatives, display, section };
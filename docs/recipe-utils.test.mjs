@@ -1,15 +1,62 @@
 import assert from 'node:assert/strict';
 import {
+  availableAmountUnits,
+  awkwardCountAmounts,
+  convertForMeasurementSystem,
   convertUnitAmount,
   formatAmountForDisplay,
   formatUnitLabel,
   formatStepText,
+  formatTimerDuration,
+  getEffectiveMultiplier,
+  multiplierForAvailableAmount,
+  multiplierForServings,
+  servingsForState,
+  stepIngredientLines,
+  parseStepTimer,
   renderIngredientLines,
   ingredientDisplay,
+  ingredientScalingNote,
+  parseIngredientScaling,
+  scaledIngredientAmount,
   renderStepLines,
   groupLinesBySection,
+  formatMinutes,
+  recipeTimeParts,
+  roundMetricAmount,
+  tokenizeStepMeasurements,
+  DIETARY_BADGES,
+  dietaryListFlags,
+  optionMeetsRestrictions,
+  recipeCompatibilityPossible,
+  recipeDefaultCompatibility,
+  selectOptionForToken,
+  unitOptionsFor,
 } from './recipe-utils.js';
-import { computeBatchTotals } from './nutrition-engine.js';
+import {
+  buildCategoryTaxonomy,
+  categorySubtreeLabels,
+  categoryTree,
+  resolveCategory,
+  suggestCategory,
+} from './category-utils.js';
+import { parseCSV, stringifyCSV } from './csv-utils.js';
+import {
+  addedSugarShareOfKcal,
+  bakeNutritionEstimate,
+  choiceNutritionDeltas,
+  computeBatchTotals,
+  defaultNutritionState,
+  nutritionConfidence,
+  nutritionCoverageGaps,
+  nutritionFactsRows,
+  optimizeChoices,
+  roundForNutritionLabel,
+  scaleNutritionTotals,
+} from './nutrition-engine.js';
+import { extractExportPayloads, payloadToRecipeFiles } from './inbox/recipe-export.js';
+import { buildSearchIndex, queryMatchesWord, searchRecipes, stemWord } from './search-utils.js';
+import { matchScore, pickPortion, portionFromParts, proposeCatalogRow, unitResolves } from '../scripts/import-fdc.mjs';
 
 function runTests() {
   const fracFriendly = formatAmountForDisplay(1.5);
@@ -52,6 +99,134 @@ function runTests() {
   const parsleyDisplay = ingredientDisplay(parsley, 1);
   assert.equal(parsleyDisplay.text, '1 tablespoon parsley', 'tiny herb amounts should stay in tablespoons when cups would be awkward');
 
+  const flour = { ratio: '1', unit: 'cup', display: 'flour', unit_weights: { grams_per_ml: 0.5 } };
+  const flourGrams = ingredientDisplay(flour, 1, 'g');
+  assert.equal(flourGrams.text, '≈120 grams flour', 'density lets cups display as approximate grams');
+  assert.equal(flourGrams.approximate, true, 'cross-world conversions should be flagged approximate');
+  assert.equal(ingredientDisplay(flour, 1, 'tbsp').approximate, false, 'same-world conversions stay exact');
+  assert.equal(ingredientDisplay({ ...flour, unit_weights: undefined }, 1, 'g').text, '1 cup flour', 'no density means no gram conversion');
+  const flourUnits = unitOptionsFor('cup', flour.unit_weights);
+  assert(flourUnits.some((unit) => unit.id === 'g' && unit.label === '≈ grams' && unit.approximate), 'grams are offered as approximate');
+  assert(!flourUnits.some((unit) => unit.id === 'count'), 'count needs a piece weight before it is offered');
+  assert(!unitOptionsFor('cup').some((unit) => unit.approximate), 'without weights only the same world is offered');
+
+  const butter = { ratio: '1', unit: 'lb', display: 'butter' };
+  assert.equal(ingredientDisplay(butter, 1, null, false, 'metric').text, '455 grams butter', 'metric rounds grams above 50 g to 5 g');
+  assert.equal(ingredientDisplay({ ratio: '1/4', unit: 'tsp', display: 'salt' }, 1, null, false, 'metric').text, '1.25 mL salt', 'small metric amounts read as decimals');
+  assert.equal(ingredientDisplay({ ratio: '80', unit: 'ml', display: 'milk' }, 1, null, false, 'us').text, '1/3 cup milk', 'US customary lands metric amounts on cooking fractions');
+  assert.equal(ingredientDisplay(butter, 1, 'oz', false, 'metric').text, '16 ounces butter', 'a unit picked on the line wins over the site-wide system');
+  assert.equal(ingredientDisplay(carrots, 1, null, false, 'metric').text, '2 carrots', 'counts stay as written');
+  assert.deepEqual(convertForMeasurementSystem(3, 'cup', 'metric'), { amount: 720, unit: 'ml' }, 'grocery totals convert too');
+  assert.equal(roundMetricAmount(1234, 'kg'), 1234, 'rounding is per unit');
+  assert.equal(roundMetricAmount(1.234, 'kg'), 1.25, 'kilograms round to 0.05');
+
+  const servingsRecipe = { default_base: 2, servings_per_batch: 8 };
+  const servingsMultiplier = multiplierForServings(servingsRecipe, 12, 1.5);
+  assert.equal(servingsMultiplier, 2, 'the batch multiplier accounts for pan scaling');
+  assert.equal(getEffectiveMultiplier({ multiplier: servingsMultiplier, panMultiplier: 1.5 }), 3, 'pan and batch multiply');
+  assert.equal(servingsForState(servingsRecipe, { multiplier: servingsMultiplier, panMultiplier: 1.5 }), 12, 'servings follow the effective multiplier');
+  assert.equal(servingsForState({ default_base: 1 }, { multiplier: 2 }), null, 'recipes without servings fall back to the multiplier');
+  assert.equal(multiplierForServings({ default_base: 1 }, 4), null, 'no servings means no servings-based multiplier');
+
+  const haveEggs = { ratio: '3', unit: 'count', display: 'egg', unit_weights: { grams_per_count: 50 } };
+  const haveFlour = { ratio: '2', unit: 'cup', display: 'flour' };
+  const haveTomatoes = { ratio: '1', unit: 'can', display: 'diced tomatoes' };
+  assert.deepEqual(multiplierForAvailableAmount(haveEggs, 2, 'count'), { multiplier: 2 / 3, approximate: false }, 'only 2 of 3 eggs scales to 2/3');
+  assert.equal(multiplierForAvailableAmount(haveFlour, 8, 'tbsp', 2).multiplier, 0.125, 'amounts convert and pan scaling is divided out');
+  assert.equal(multiplierForAvailableAmount(haveEggs, 100, 'g').approximate, true, 'piece weights convert grams to eggs approximately');
+  assert.equal(multiplierForAvailableAmount(haveTomatoes, 2, 'can').multiplier, 2, 'units outside the conversion table match themselves');
+  assert.equal(multiplierForAvailableAmount(haveTomatoes, 15, 'oz'), null, 'unconvertible units are rejected');
+  assert.deepEqual(availableAmountUnits(haveTomatoes).map((unit) => unit.id), ['can'], 'a can is offered as its own unit');
+  const haveRecipe = {
+    token_order: ['egg', 'flour', 'tomatoes'],
+    ingredients: { egg: { options: [haveEggs] }, flour: { options: [haveFlour] }, tomatoes: { options: [haveTomatoes] } },
+  };
+  assert.deepEqual(
+    awkwardCountAmounts(haveRecipe, { multiplier: 0.8, selectedOptions: {}, restrictions: {} }).map((line) => line.token),
+    ['egg', 'tomatoes'],
+    'pieces that stop being whole or half are flagged, measured ingredients are not'
+  );
+  assert.deepEqual(awkwardCountAmounts(haveRecipe, { multiplier: 1.5, selectedOptions: {}, restrictions: {} }), [], 'whole and half pieces pass');
+
+  assert.deepEqual(parseIngredientScaling('', ''), { rule: 'linear' }, 'a blank scaling rule is linear');
+  assert.deepEqual(parseIngredientScaling('sublinear', '0.75'), { rule: 'sublinear', exponent: 0.75 }, 'sublinear keeps its exponent');
+  assert.equal(parseIngredientScaling('sublinear', ''), null, 'sublinear needs an exponent');
+  assert.equal(parseIngredientScaling('sublinear', '1.5'), null, 'a sublinear exponent stays below 1');
+  assert.equal(parseIngredientScaling('fixed', '0.5'), null, 'only sublinear takes an exponent');
+  assert.equal(parseIngredientScaling('double', ''), null, 'unknown rules are rejected');
+
+  const panButter = { ratio: '1', unit: 'tbsp', display: 'butter', scaling: { rule: 'fixed' } };
+  const gentleSalt = { ratio: '1', unit: 'tsp', display: 'salt', scaling: { rule: 'sublinear', exponent: 0.75 } };
+  const wholeEggs = { ratio: '3', unit: 'count', display: 'eggs', scaling: { rule: 'round_up_whole' } };
+  assert.equal(scaledIngredientAmount(panButter, 3), 1, 'fixed amounts stay as written');
+  assert.equal(scaledIngredientAmount(gentleSalt, 3), 2.25, 'sublinear amounts grow by multiplier^exponent, to the nearest eighth');
+  assert.equal(scaledIngredientAmount(wholeEggs, 1.5), 5, 'round_up_whole rounds 4.5 eggs up to 5');
+  assert.equal(scaledIngredientAmount({ ...wholeEggs, ratio: '1/2' }, 1), 0.5, 'every rule gives the written amount at ×1');
+  assert.equal(scaledIngredientAmount({ ratio: '1 1/2', unit: 'cup' }, 2), 3, 'options without a rule scale linearly');
+  assert.equal(scaledIngredientAmount({ ratio: '1 1/2', unit: 'cup' }, 0), 0, 'a ×0 batch is not read as ×1');
+  assert.equal(scaledIngredientAmount(gentleSalt, 0), 0, 'rules give nothing for a ×0 batch');
+  assert.equal(scaledIngredientAmount(gentleSalt, 'x'), 1, 'an unreadable multiplier falls back to ×1');
+  assert.equal(ingredientDisplay(gentleSalt, 3).text, '2 1/4 teaspoons salt', 'the ingredient list shows the rule-scaled amount');
+  assert.equal(ingredientDisplay(wholeEggs, 1.5).baseAmount, 5, 'grocery totals read the rule-scaled base amount');
+  assert.equal(ingredientScalingNote(panButter, 3), 'Same amount at any batch size.', 'fixed amounts explain themselves');
+  assert.equal(ingredientScalingNote(gentleSalt, 3), 'Scaled gently: ×2.25 for a ×3 batch.', 'sublinear amounts name their factor');
+  assert.equal(ingredientScalingNote(wholeEggs, 1.5), 'Rounded up to a whole number from 4 1/2.', 'rounded amounts say what they were');
+  assert.equal(ingredientScalingNote(wholeEggs, 2), '', 'no note when the rule changed nothing');
+  assert.equal(multiplierForAvailableAmount(panButter, 3, 'tbsp'), null, 'fixed amounts cannot drive scale-to-what-I-have');
+  assert.equal(
+    multiplierForAvailableAmount({ ...gentleSalt, scaling: { rule: 'sublinear', exponent: 0.5 } }, 2, 'tsp').multiplier,
+    4,
+    'sublinear amounts invert their exponent'
+  );
+
+  const panRecipe = {
+    ingredients: {},
+    default_pan: 'rect_9x13',
+    pan_sizes: [
+      { id: 'rect_9x13', label: '9x13-inch rectangle', unit: 'in' },
+      { id: 'round_9', label: '9-inch round', unit: 'in' },
+    ],
+  };
+  const ovenStep = 'Bake at {{temp:350F}} in the {{pan}}, {{len:1/4-3/8in}} thick, in a {{size:9x13in}} dish.';
+  assert.equal(
+    formatStepText(ovenStep, panRecipe, {}),
+    'Bake at 350°F in the 9x13-inch rectangle, 1/4–3/8 inch thick, in a 9x13-inch dish.',
+    'measurement tokens render as written by default'
+  );
+  assert.equal(
+    formatStepText(ovenStep, panRecipe, { measurementSystem: 'metric', selectedPanId: 'round_9' }),
+    'Bake at 175°C in the 23 cm round, 6–10 mm thick, in a 23x33 cm dish.',
+    'metric converts temperatures, lengths and the selected pan'
+  );
+  assert.equal(formatStepText('{{temp:74C}} and {{len:5cm}}', panRecipe, { measurementSystem: 'us' }), '165°F and 2 inches', 'US converts metric back');
+  assert.equal(formatStepText('{{temp:hot}}', panRecipe, {}), '{{temp:hot}}', 'malformed tokens are left for validation to flag');
+  assert.equal(
+    tokenizeStepMeasurements('Heat to 350–400°F (177–204°C). Use a 13x9-inch pan and 1-inch cubes, 2 inches apart. Add {{salt}}.'),
+    'Heat to {{temp:350-400F}}. Use a {{size:13x9in}} pan and {{size:1in}} cubes, {{len:2in}} apart. Add {{salt}}.',
+    'plain temperatures and inch sizes become tokens'
+  );
+
+  assert.deepEqual(parseStepTimer('20m|Simmer soup'), { seconds: 1200, label: 'Simmer soup' }, 'timer tokens carry a duration and label');
+  assert.deepEqual(parseStepTimer('1h30m'), { seconds: 5400, label: '' }, 'the label is optional');
+  assert.equal(parseStepTimer('soon|Simmer'), null, 'malformed durations are rejected');
+  assert.equal(parseStepTimer('5m|'), null, 'an empty label is rejected');
+  assert.equal(formatTimerDuration(3661), '1 hour 1 minute 1 second', 'timer durations read as words');
+  assert.equal(
+    formatStepText('Simmer {{timer:20m|Simmer soup}}, then rest 5 minutes.', panRecipe, { stepTimers: true }),
+    'Simmer <button type="button" class="step-timer" data-timer-seconds="1200" data-timer-label="Simmer soup">20 minutes</button>, then rest 5 minutes.',
+    'explicit timers render start buttons and replace detection in their step'
+  );
+  assert.equal(
+    formatStepText('Bake 30–45 minutes.', panRecipe, { stepTimers: true }),
+    'Bake <button type="button" class="step-timer" data-timer-seconds="1800" data-timer-label="">30–45 minutes</button>.',
+    'detected ranges start a timer for the shorter time'
+  );
+  assert.equal(formatStepText('Simmer {{timer:20m|Simmer soup}}.', panRecipe, {}), 'Simmer 20 minutes.', 'timers are plain text without the timer panel');
+
+  const eggs = { ratio: '2', unit: 'count', display: 'egg', unit_weights: { grams_per_count: 50 } };
+  assert.equal(ingredientDisplay(eggs, 1, 'g').text, '≈100 grams egg', 'piece weight converts counts to grams');
+  assert.equal(convertUnitAmount(150, 'g', 'count', eggs.unit_weights).amount, 3, 'piece weight converts grams back to counts');
+
   const carrotNutritionRecipe = {
     token_order: ['carrots'],
     ingredients: {
@@ -104,6 +279,200 @@ function runTests() {
   assert.equal(carrotTotals.complete, true, 'count portions should bridge carrots to gram nutrition');
   assert.equal(carrotTotals.coverage.covered, 1, 'portion-backed count ingredient should be covered');
   assert.equal(carrotTotals.kcal, 50, 'two medium carrots should use the portion gram bridge');
+  assert.equal(carrotTotals.added_sugar_g, null, 'added sugar stays unknown when the catalog rows lack it');
+  const fixedCarrots = JSON.parse(JSON.stringify(carrotNutritionRecipe));
+  fixedCarrots.ingredients.carrots.options[0].scaling = { rule: 'fixed' };
+  const fixedCarrotTotals = computeBatchTotals(fixedCarrots, {
+    multiplier: 3,
+    panMultiplier: 1,
+    selectedOptions: {},
+    unitSelections: {},
+    ingredientPortions: new Map([
+      ['carrot::count', { ingredient_id: 'carrot', unit: 'count', grams: 61 }],
+    ]),
+    ingredientUnitFactors: new Map(),
+    restrictions: { gluten_free: false, egg_free: false, dairy_free: false },
+  });
+  assert.equal(fixedCarrotTotals.kcal, 50, 'nutrition follows the scaling rule, so fixed amounts do not triple');
+
+  const sweetened = JSON.parse(JSON.stringify(carrotNutritionRecipe));
+  sweetened.ingredients.carrots.options[0].nutrition[0].added_sugars_g = 2;
+  const sweetenedTotals = computeBatchTotals(sweetened, {
+    multiplier: 1,
+    panMultiplier: 1,
+    selectedOptions: {},
+    unitSelections: { carrots: 'g' },
+    ingredientPortions: new Map([['carrot::count', { ingredient_id: 'carrot', unit: 'count', grams: 61 }]]),
+    ingredientUnitFactors: new Map(),
+  });
+  assert.equal(sweetenedTotals.added_sugar_g, 4, 'added sugars scale with the catalog serving');
+  assert.equal(sweetenedTotals.kcal, 50, 'a display unit choice should not change the nutrition math');
+  assert.equal(addedSugarShareOfKcal(sweetenedTotals), 0.32, 'added sugar share counts 4 kcal per gram');
+  assert.equal(addedSugarShareOfKcal({ kcal: 100, added_sugar_g: null }), null, 'unknown added sugar has no share');
+
+  const facts = nutritionFactsRows({
+    kcal: 347,
+    fat_g: 12.3,
+    sat_fat_g: 4.26,
+    sodium_mg: 612,
+    carbs_g: 41.6,
+    fiber_g: 0.4,
+    sugars_g: 9,
+    added_sugar_g: 5,
+    protein_g: 18.2,
+    calcium_mg: 130,
+    iron_mg: 1.84,
+    potassium_mg: 470,
+    vitamin_c_mg: 9,
+  });
+  assert.equal(facts.calories, 350, 'label calories round to the nearest 10 above 50');
+  const factRow = (key) => facts.rows.find((row) => row.key === key);
+  assert.equal(factRow('sat_fat_g').amount, 4.5, 'fat under 5 g rounds to half grams');
+  assert.equal(factRow('sat_fat_g').dv_pct, 21, 'sat fat %DV uses the 20 g daily value');
+  assert.equal(factRow('sodium_mg').amount, 610, 'sodium above 140 mg rounds to 10 mg');
+  assert.equal(factRow('fiber_g').amount, 0, 'grams under 0.5 show as zero');
+  assert.equal(factRow('sugars_g').dv_pct, null, 'total sugars carry no %DV');
+  assert.equal(factRow('added_sugar_g').dv_pct, 10, 'added sugars %DV uses 50 g');
+  assert.deepEqual(
+    facts.rows.filter((row) => row.micronutrient).map((row) => [row.label, row.dv_pct]),
+    [['Calcium', 10], ['Iron', 10], ['Potassium', 10], ['Vitamin C', 10]],
+    'label lists every micronutrient the catalog carries'
+  );
+  assert.equal(roundForNutritionLabel(42, 'calories'), 40, 'small calorie counts round to 5');
+
+  const beefAndRice = {
+    token_order: ['beef', 'rice'],
+    ingredients: {
+      beef: {
+        token: 'beef',
+        options: [
+          {
+            option: '', display: 'ground beef', ratio: '1', unit: 'lb', ingredient_id: 'ground-beef',
+            nutrition: [{
+              serving_qty: 1, serving_unit_norm: 'lb', calories_kcal: 1150, protein_g: 77, total_fat_g: 90,
+              saturated_fat_g: 36, total_carbs_g: 0, sugars_g: 0, fiber_g: 0, sodium_mg: 300, calcium_mg: 0,
+              iron_mg: 0, potassium_mg: 0, vitamin_c_mg: 0, cooked_yield: 0.7, fat_retention: 0.5,
+            }],
+          },
+        ],
+      },
+      rice: {
+        token: 'rice',
+        options: [
+          {
+            option: '', display: 'rice', ratio: '1', unit: 'cup', ingredient_id: 'rice', unit_weights: { grams_per_ml: 0.75 },
+            nutrition: [{
+              serving_qty: 1, serving_unit_norm: 'cup', calories_kcal: 700, protein_g: 13, total_fat_g: 2,
+              saturated_fat_g: 0.5, total_carbs_g: 150, sugars_g: 0, fiber_g: 2, sodium_mg: 5, calcium_mg: 0,
+              iron_mg: 0, potassium_mg: 0, vitamin_c_mg: 0, cooked_yield: 2.5,
+            }],
+          },
+        ],
+      },
+    },
+    choices: {},
+  };
+  const beefState = { multiplier: 1, panMultiplier: 1, selectedOptions: {}, unitSelections: {} };
+  const beefTotals = computeBatchTotals(beefAndRice, beefState);
+  assert.equal(beefTotals.fat_g, 47, 'drained meat keeps only its retained fat');
+  assert.equal(beefTotals.kcal, 1850 - 45 * 9, 'drained fat takes its calories with it');
+  assert.equal(Math.round(beefTotals.weight_g), Math.round(453.592 * 0.7 + 180 * 2.5), 'cooked weight applies yield factors');
+  assert.equal(beefTotals.weight_source, 'estimated', 'summed weights are labeled as estimates');
+  assert.equal(beefTotals.confidence.score, 100, 'direct catalog matches are fully trusted');
+
+  const confidence = nutritionConfidence([
+    { ingredient_id: 'flour', source: 'catalog', kcal: 600 },
+    { ingredient_id: 'butter', source: 'portion', kcal: 400 },
+    { ingredient_id: 'mystery', source: 'missing', kcal: null },
+  ]);
+  assert.equal(confidence.score, 59, 'confidence weighs each match by its share of calories');
+  assert.equal(confidence.level, 'low', 'scores under 70 are low confidence');
+  assert.deepEqual(
+    confidence.uncertain.map((entry) => entry.ingredient_id),
+    ['mystery', 'butter'],
+    'uncertain ingredients are listed by calorie share'
+  );
+  assert.equal(nutritionConfidence([]).score, 100, 'nothing to weigh means nothing uncertain');
+
+  const nutrientRow = (kcal, satFat, sodium) => ({
+    serving_qty: 1, serving_unit_norm: 'tbsp', calories_kcal: kcal, protein_g: 0, total_fat_g: satFat,
+    saturated_fat_g: satFat, total_carbs_g: 0, sugars_g: 0, fiber_g: 0, sodium_mg: sodium, calcium_mg: 0,
+    iron_mg: 0, potassium_mg: 0, vitamin_c_mg: 0,
+  });
+  const swapRecipe = {
+    token_order: ['fat'],
+    ingredients: {
+      fat: {
+        token: 'fat',
+        isChoice: true,
+        options: [
+          { option: 'butter', display: 'butter', ratio: '2', unit: 'tbsp', dietary: { dairy_free: false }, nutrition: nutrientRow(100, 7, 90) },
+          { option: 'vegan', display: 'vegan butter', ratio: '2', unit: 'tbsp', dietary: { dairy_free: true }, nutrition: nutrientRow(100, 4, 120) },
+          { option: 'oil', display: 'olive oil', ratio: '2', unit: 'tbsp', dietary: { dairy_free: true }, nutrition: nutrientRow(120, 2, 0) },
+        ],
+      },
+    },
+    choices: { fat: { default_option: 'butter' } },
+  };
+  const swapState = { multiplier: 1, panMultiplier: 1, selectedOptions: { fat: 'butter' }, unitSelections: {}, restrictions: {} };
+  assert.deepEqual(
+    choiceNutritionDeltas(swapRecipe, swapState, 'fat').vegan,
+    { kcal: 0, sat_fat_g: -6, sodium_mg: 60 },
+    'swap deltas compare each option with the current selection'
+  );
+  assert.equal(optimizeChoices(swapRecipe, swapState, 'sodium_mg').fat, 'oil', 'optimizing picks the lowest-sodium option');
+  assert.equal(
+    Object.keys(choiceNutritionDeltas(swapRecipe, { ...swapState, restrictions: { dairy_free: true } }, 'fat')).includes('butter'),
+    false,
+    'options blocked by an active restriction get no delta'
+  );
+  assert.equal(
+    optimizeChoices(swapRecipe, { ...swapState, selectedOptions: { fat: 'vegan' }, restrictions: { dairy_free: true } }, 'sat_fat_g').fat,
+    'oil',
+    'optimizing stays within the active restrictions'
+  );
+  const weighed = computeBatchTotals({ ...beefAndRice, finished_weight_g: 700 }, { ...beefState, multiplier: 2 });
+  assert.equal(weighed.weight_g, 1400, 'a weighed finished batch scales with the multiplier');
+  assert.equal(
+    nutritionFactsRows(scaleNutritionTotals(weighed, 1 / 4)).grams_per_serving,
+    350,
+    'Nutrition Facts reports grams per serving'
+  );
+
+  const bowl = {
+    id: 'bowl',
+    default_base: 1,
+    token_order: ['base', 'sauce'],
+    ingredients: {
+      base: {
+        token: 'base',
+        options: [{ option: '', display: 'beef and rice', ratio: '1/2', unit: 'recipe', ingredient_id: 'beef-and-rice' }],
+      },
+      sauce: {
+        token: 'sauce',
+        options: [{ option: '', display: 'house sauce', ratio: '1', unit: 'tbsp', ingredient_id: 'house-sauce' }],
+      },
+    },
+    choices: {},
+  };
+  const nutritionContext = { recipeIndex: new Map([['beef-and-rice', { ...beefAndRice, id: 'beef-and-rice', default_base: 1 }]]) };
+  const bowlTotals = computeBatchTotals(bowl, { ...defaultNutritionState(bowl, nutritionContext), multiplier: 2 });
+  assert.equal(bowlTotals.kcal, beefTotals.kcal, 'a referenced recipe is counted in its own batches, not rescaled twice');
+  assert.deepEqual(
+    bakeNutritionEstimate(bowl, nutritionContext).missing_ingredients,
+    [{ ingredient_id: 'house-sauce', unit: 'tbsp', reason: 'missing-nutrition-row' }],
+    'the baked estimate lists what the browser could not match'
+  );
+  assert.deepEqual(
+    nutritionCoverageGaps([bowl], nutritionContext).map((row) => `${row.ingredient_id} ${row.reason} ${row.count_occurrences}`),
+    ['house-sauce missing-nutrition-row 1'],
+    'coverage gaps skip references that resolve to a recipe'
+  );
+  assert.equal(
+    nutritionCoverageGaps([bowl], nutritionContext)[0].hidden_kcal,
+    Math.round(beefTotals.kcal / 2),
+    'an unmatched amount is assumed to hide an average ingredient'
+  );
 
   const recipe = {
     token_order: ['egg', 'flour_base', 'flour_adjust'],
@@ -185,6 +554,19 @@ function runTests() {
     false,
     'conditional step text should disappear when dependency is not met'
   );
+  assert.deepEqual(
+    stepIngredientLines(conditionalStep, recipe, { ...baseState, multiplier: 2 }),
+    [
+      { token: 'flour_base', text: '4 cups all-purpose flour' },
+      { token: 'flour_adjust', text: '1/2 cup all-purpose flour' },
+    ],
+    'cook mode lists the scaled ingredients a step names'
+  );
+  assert.deepEqual(
+    stepIngredientLines(conditionalStep, recipe, yolkState).map((line) => line.token),
+    ['flour_base'],
+    'ingredients in an unmet {{#if}} block are left out'
+  );
 
   const sectionedStepsRecipe = {
     ...recipe,
@@ -219,6 +601,271 @@ function runTests() {
   assert.equal(repeatedSections[1].section, 'Dressing', 'Dressing should remain after Prep');
   assert.equal(repeatedSections[2].section, 'Serve', 'Serve should remain after Dressing');
 
+  const [exportedPayload] = extractExportPayloads({
+    ok: true,
+    items: [
+      {
+        slug: 'pancakes',
+        payload: {
+          title: 'Pancakes',
+          categories: ['Breakfast & Brunch', 'Family'],
+          notes: 'Serve warm, with berries.',
+          steps_raw: '1. Whisk {{milk}}.\n2. Cook.',
+          token_order: ['milk'],
+          ingredients: {
+            milk: {
+              token: 'milk',
+              options: [
+                { option: 'dairy', display: 'milk', ratio: '1', unit: 'cup', ingredient_id: 'milk' },
+                { option: 'oat', display: 'oat milk', ratio: '1', unit: 'cup', ingredient_id: 'oat_milk' },
+              ],
+            },
+          },
+          choices: { milk: { token: 'milk', label: 'Milk', default_option: 'dairy' } },
+        },
+      },
+    ],
+  });
+  assert.equal(exportedPayload.id, 'pancakes', 'export rows should unwrap to a slugged payload');
+  const exportedFiles = payloadToRecipeFiles(exportedPayload);
+  assert.equal(
+    exportedFiles.files['meta.csv'].split('\n')[1],
+    'pancakes,Pancakes,multiplier,1,,"Serve warm, with berries.",Breakfast & Brunch; Family,',
+    'meta rows should quote commas and join categories'
+  );
+  assert.equal(
+    exportedFiles.files['choices.csv'],
+    'token,label,default_option\nmilk,Milk,dairy\n',
+    'tokens with multiple options should produce choices rows'
+  );
+  assert.equal(
+    exportedFiles.files['steps.csv'],
+    'section,text\n,Whisk {{milk}}.\n,Cook.\n',
+    'steps_raw numbering should be stripped'
+  );
+  assert.deepEqual(exportedFiles.ingredientIds, ['milk', 'oat_milk'], 'ingredient ids should be reported once');
+
+  assert.deepEqual(
+    parseCSV('section,text\r\n,"Boil, uncovered, ""hard"""\r\nServe,"Line one\nline two"\n'),
+    [
+      { section: '', text: 'Boil, uncovered, "hard"' },
+      { section: 'Serve', text: 'Line one\nline two' },
+    ],
+    'quoted commas, doubled quotes, and embedded newlines should parse'
+  );
+  assert.throws(
+    () => parseCSV('section,text\n,Boil, uncovered\n', { label: 'steps.csv' }),
+    /^Error: steps\.csv:2:7: expected 2 fields but found 3/,
+    'extra fields should report file, line, and column'
+  );
+  assert.throws(
+    () => parseCSV('id,notes\nx,"unclosed\n', { label: 'meta.csv' }),
+    /meta\.csv:2:3: unbalanced quote/,
+    'unbalanced quotes should report where the quote opened'
+  );
+  assert.equal(
+    stringifyCSV(['id', 'notes'], [{ id: 'x', notes: 'Serve warm, with "berries".' }]),
+    'id,notes\nx,"Serve warm, with ""berries""."\n',
+    'fields with commas or quotes should be re-quoted'
+  );
+
+  const taxonomy = buildCategoryTaxonomy(
+    parseCSV('id,label,parent,aliases\ncourse,Course,,\nmain-dishes,Main Dishes,course,Mains;Entrees\nslow-cooker,Slow Cooker,,Crock-Pot\n')
+  );
+  assert.equal(resolveCategory(taxonomy, 'mains')?.label, 'Main Dishes', 'aliases should resolve case-insensitively');
+  assert.equal(resolveCategory(taxonomy, 'Crock Pot')?.id, 'slow-cooker', 'punctuation should not matter');
+  assert.equal(resolveCategory(taxonomy, 'Dinner'), null, 'unknown categories should not resolve');
+  assert.equal(suggestCategory(taxonomy, 'Main Dish'), 'Main Dishes', 'near misses should suggest a label');
+  assert.deepEqual(
+    [...categorySubtreeLabels(taxonomy.categories, 'Course')],
+    ['Course', 'Main Dishes'],
+    'a group should match its nested categories'
+  );
+  assert.deepEqual(
+    categoryTree(taxonomy.categories).map((node) => [node.id, node.children.map((child) => child.id)]),
+    [
+      ['course', ['main-dishes']],
+      ['slow-cooker', []],
+    ],
+    'categories should nest under their parents'
+  );
+  assert.throws(
+    () => buildCategoryTaxonomy([{ id: 'a', label: 'A', parent: 'missing' }]),
+    /unknown parent "missing"/,
+    'parents must exist'
+  );
+
+  const allergenRecipe = {
+    ingredients: {
+      spread: {
+        isChoice: true,
+        options: [
+          { option: 'peanut', dietary: { gluten_free: true, peanut_free: false } },
+          { option: 'sunflower', dietary: { gluten_free: true, peanut_free: true } },
+        ],
+      },
+    },
+    choices: { spread: { default_option: 'peanut' } },
+  };
+  assert.deepEqual(
+    recipeDefaultCompatibility(allergenRecipe),
+    { gluten_free: true, peanut_free: false },
+    'default compatibility should cover whatever allergen keys the options carry'
+  );
+  assert.equal(
+    selectOptionForToken('spread', allergenRecipe, { selectedOptions: {}, restrictions: { peanut_free: true } })?.option,
+    'sunflower',
+    'a catalog-driven restriction should swap to a compliant option'
+  );
+  assert.equal(
+    optionMeetsRestrictions(allergenRecipe.ingredients.spread.options[0], { peanut_free: false, gluten_free: true }),
+    true,
+    'inactive restrictions should be ignored'
+  );
+  assert.deepEqual(
+    recipeCompatibilityPossible({
+      compatibility_possible: { gluten_free: true },
+      diet_possible: { vegan: false, low_fodmap: true },
+    }),
+    { gluten_free: true, vegan: false, low_fodmap: true },
+    'derived diets should sit beside allergen compatibility'
+  );
+  assert.deepEqual(
+    dietaryListFlags(
+      { gluten_free: false, egg_free: true, peanut_free: true },
+      [...DIETARY_BADGES, { key: 'peanut_free', name: 'Peanut-free', short: 'No peanut', list_badge: false }]
+    ),
+    [
+      { label: 'EF', title: 'Egg-free' },
+      { label: 'DF', title: 'Dairy-free' },
+    ],
+    'list flags should only show list_badge allergens the recipe can meet'
+  );
+
+  assert.equal(formatMinutes(25), '25 min', 'short times stay in minutes');
+  assert.equal(formatMinutes(90), '1 hr 30 min', 'long times split into hours and minutes');
+  assert.deepEqual(
+    recipeTimeParts({ prep_minutes: 15, cook_minutes: 45, inactive_minutes: null, total_minutes: 60 }).map(
+      (part) => `${part.label} ${part.text}`
+    ),
+    ['Prep 15 min', 'Cook 45 min', 'Total 1 hr'],
+    'time parts should skip missing fields and add a total'
+  );
+
+  assert.equal(stemWord('onions'), 'onion', 'plurals should share a stem');
+  assert.equal(stemWord('simmering'), 'simmer', '-ing forms should share a stem');
+  assert.equal(stemWord('berries'), 'berry', '-ies plurals should map to -y');
+  const searchIndex = buildSearchIndex([
+    { id: 'toast', fields: { title: ['Cinnamon Toast'], ingredient: ['bread'] } },
+    { id: 'stew', fields: { title: ['Beef Stew'], step: ['Add cinnamon and simmer in the crock pot.'] } },
+  ]);
+  const cinnamonHits = searchRecipes(searchIndex, 'cinnamon');
+  assert.deepEqual(
+    [...cinnamonHits.entries()].sort((a, b) => b[1].score - a[1].score).map(([id]) => id),
+    ['toast', 'stew'],
+    'title matches should outrank step matches'
+  );
+  assert.deepEqual([...searchRecipes(searchIndex, 'crock pot').keys()], ['stew'], 'all query words must match');
+  assert(searchRecipes(searchIndex, 'cinn').has('toast'), 'the last query word should match as a prefix');
+  assert.deepEqual(
+    [...searchRecipes(searchIndex, 'simmered').get('stew').matches.get('step')],
+    ['simmer'],
+    'matches should report the field and word that matched'
+  );
+  assert.equal(searchRecipes(searchIndex, 'c'), null, 'one-letter queries fall back to substring matching');
+  assert.equal(searchRecipes(searchIndex, 'the'), null, 'stop-word-only queries fall back to substring matching');
+  assert(searchRecipes(searchIndex, 'ci').has('toast'), 'two-letter last words match as a prefix');
+  const crockpotIndex = buildSearchIndex([
+    { id: 'soup', fields: { title: ['Crockpot Chicken Soup'] } },
+    { id: 'stew', fields: { title: ['Beef Stew'], step: ['Simmer in the crock pot.'] } },
+  ]);
+  assert.deepEqual(
+    [...searchRecipes(crockpotIndex, 'crock pot').keys()].sort(),
+    ['soup', 'stew'],
+    'adjacent query words also match joined, so "crock pot" finds crockpot'
+  );
+  assert(queryMatchesWord('crock pot', 'Crockpot'), 'joined query words highlight the joined word');
+
+  const butternut = { fdc_id: '1', description: 'Squash, winter, butternut, raw', data_type: 'sr_legacy_food' };
+  const zucchini = { fdc_id: '2', description: 'Squash, summer, zucchini, includes skin, raw', data_type: 'sr_legacy_food' };
+  assert(matchScore('Butternut squash', butternut) > matchScore('Butternut squash', zucchini), 'FDC matching prefers foods naming every word');
+  assert.equal(matchScore('Butternut squash', { fdc_id: '3', description: 'Beef, ground', data_type: 'foundation_food' }), 0, 'unrelated foods score 0');
+  assert(
+    matchScore('Butternut squash', butternut) > matchScore('Butternut squash', { ...butternut, data_type: 'branded_food' }),
+    'branded foods rank below reference data'
+  );
+
+  const cupPortion = portionFromParts({ amount: 1, unitName: 'undetermined', modifier: 'cup, chopped', gramWeight: 160 });
+  assert.equal(cupPortion.unit, 'cup', 'SR Legacy portions take their unit from the modifier');
+  assert.equal(portionFromParts({ amount: 2, unitName: 'tbsp', gramWeight: 30 }).grams, 15, 'portion grams are per single unit');
+  assert.equal(portionFromParts({ amount: 1, unitName: 'undetermined', modifier: 'medium', gramWeight: 0 }), null, 'weightless portions are dropped');
+  const tspPortion = { unit: 'tsp', grams: 4.2, text: '1 tsp = 4.2 g' };
+  assert.equal(pickPortion([cupPortion, tspPortion], ['tsp']), tspPortion, 'the exact recipe unit wins');
+  assert.equal(pickPortion([cupPortion, tspPortion], ['tbsp']), cupPortion, 'otherwise any portion in the same unit world');
+  assert.equal(pickPortion([cupPortion], ['count']), null, 'no portion crosses unit worlds');
+  assert(unitResolves('tbsp', { portion_unit: 'cup' }), 'a volume portion resolves other volumes');
+  assert(!unitResolves('count', { portion_unit: 'cup', unit_factor_from_unit_norm: '' }), 'counts need their own portion');
+  assert(unitResolves('oz', {}), 'mass units always resolve against per-100 g rows');
+
+  const catalogHeaders = ['ingredient_id', 'canonical_name', 'calories_kcal', 'sugars_g', 'added_sugars_g', 'nutrition_notes'];
+  const granulated = { fdc_id: '169655', description: 'Sugars, granulated', data_type: 'sr_legacy_food' };
+  const sugarDetail = { nutrients: { 208: 387, 269: 99.8, 205: 99.98 }, portions: [tspPortion, { unit: 'cup', grams: 200, text: '1 cup = 200 g' }] };
+  const catalogSugar = {
+    ingredient_id: 'sugar',
+    canonical_name: 'Sugar',
+    serving_qty: '1',
+    serving_unit_norm: 'tbsp',
+    serving_size: '1 Tbsp (12.5g)',
+    calories_kcal: '49',
+    sugars_g: '13',
+    added_sugars_g: '13',
+    nutrition_notes: 'Per 1 Tbsp (12.5g).',
+  };
+  const sugarProposal = proposeCatalogRow({
+    ingredientId: 'sugar',
+    existing: catalogSugar,
+    headers: catalogHeaders,
+    units: new Set(['tsp', 'cup']),
+    food: granulated,
+    detail: sugarDetail,
+  });
+  assert.equal(sugarProposal.row.serving_qty, '100', 'FDC rows are per 100 g');
+  assert.equal(sugarProposal.row.calories_kcal, '387', 'nutrients come from FDC');
+  assert.equal(sugarProposal.row.portion_unit, 'tsp', 'a portion is added for the units recipes use');
+  assert.equal(sugarProposal.row.added_sugars_g, '99.8', 'unreported added sugars keep the catalog value, rescaled and capped at total sugars');
+  assert.match(sugarProposal.row.nutrition_notes, /added_sugars_g kept/, 'kept added sugars are noted');
+  assert(sugarProposal.warnings.some((warning) => warning.includes('protein_g')), 'zeroed nutrients are warned about');
+
+  const syrupProposal = proposeCatalogRow({
+    ingredientId: 'syrup',
+    existing: { ...catalogSugar, serving_unit_norm: 'cup', serving_size: '1 cup', added_sugars_g: '50' },
+    headers: catalogHeaders,
+    units: new Set(['cup']),
+    food: granulated,
+    detail: sugarDetail,
+  });
+  assert.equal(syrupProposal.row.added_sugars_g, '25', 'per-serving added sugars scale through the FDC portion to 100 g');
+
+  const newRow = (ingredientId, detail) =>
+    proposeCatalogRow({ ingredientId, existing: null, headers: catalogHeaders, units: new Set(), food: granulated, detail });
+  const newSugar = newRow('cane-sugar', sugarDetail);
+  assert.equal(newSugar.row.canonical_name, 'Cane sugar', 'new rows get a name from the id');
+  assert.equal(newSugar.row.added_sugars_g, '', 'added sugars with nothing to keep are left for review');
+  assert(newSugar.warnings.some((warning) => warning.includes('added_sugars_g')), 'unknown added sugars raise a warning');
+  const plainDetail = { nutrients: { 208: 20, 269: 0 }, portions: [] };
+  assert.equal(newRow('kale', plainDetail).row.added_sugars_g, '0', 'foods without sugars have no added sugars');
+  assert.equal(newRow('kale', { nutrients: { 203: 3 }, portions: [] }), null, 'foods without calories are not proposed');
+  const reexpressed = proposeCatalogRow({
+    ingredientId: 'sugar',
+    existing: { ...catalogSugar, unit_factor_from_unit_norm: 'count', unit_factor_to_unit_norm: 'tsp', unit_factor: '2' },
+    headers: catalogHeaders,
+    units: new Set(['count']),
+    food: granulated,
+    detail: sugarDetail,
+  });
+  assert.equal(reexpressed.row.unit_factor, '8.4', 'unit factors to the old serving unit are re-expressed in grams');
+  assert.equal(reexpressed.row.unit_factor_to_unit_norm, 'g', 'the re-expressed factor lands on grams');
+
   return 'All tests passed';
 }
 
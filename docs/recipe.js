@@ -1,5 +1,8 @@
 import {
-  DIETARY_TAGS,
+  DIETARY_BADGES,
+  MEASUREMENT_SYSTEMS,
+  loadMeasurementSystem,
+  saveMeasurementSystem,
   restrictionsActive,
   recipeDefaultCompatibility,
   hasNonCompliantAlternative,
@@ -8,30 +11,42 @@ import {
   groupLinesBySection,
   selectOptionForToken,
   optionMeetsRestrictions,
+  recipeCompatibilityPossible,
   getEffectiveMultiplier,
+  ingredientScalingNote,
+  availableAmountUnits,
+  awkwardCountAmounts,
+  multiplierForAvailableAmount,
+  multiplierForServings,
+  recipeServingsPerBatch,
+  servingsForState,
   unitOptionsFor,
   convertUnitAmount,
+  recipeTimeParts,
 } from './recipe-utils.js';
 import {
+  addedSugarLimitPct,
+  addedSugarShareOfKcal,
+  choiceNutritionDeltas,
   computeBatchTotals,
   loadIngredientPortions,
   loadIngredientUnitFactors,
-  loadNutritionCoverage,
   loadNutritionGuidelines,
   loadNutritionPolicy,
   loadNutritionSettings,
   normalizeMealFractions,
+  nutritionFactsRows,
+  optimizeChoices,
   scaleNutritionTotals,
   saveNutritionSettings,
 } from './nutrition-engine.js';
+import { loadDietaryBadges, loadRecipeIndex, loadRecipeWithReferences } from './recipe-data.js';
+import { setupCookMode } from './cook-mode.js';
+import { setupStepTimers } from './step-timers.js';
 
 const INBOX_STORAGE_KEY = 'cookingdb-inbox-recipes';
 
-const DIETARY_BADGES = [
-  { key: 'gluten_free', short: 'GF', name: 'Gluten-free' },
-  { key: 'egg_free', short: 'EF', name: 'Egg-free' },
-  { key: 'dairy_free', short: 'DF', name: 'Dairy-free' },
-];
+let dietaryBadges = DIETARY_BADGES;
 
 function recipeHasDetails(recipe) {
   if (!recipe || typeof recipe !== 'object') return false;
@@ -183,19 +198,20 @@ function loadStoredInboxRecipes() {
   }
 }
 
-async function loadRecipes() {
-  const [recipesRes, indexRes] = await Promise.all([fetch('./built/recipes.json'), fetch('./built/index.json')]);
-  if (!indexRes.ok) {
-    throw new Error(`Unable to load built/index.json (${indexRes.status})`);
-  }
-  if (!recipesRes.ok) {
-    throw new Error(`Unable to load built/recipes.json (${recipesRes.status})`);
-  }
-  const builtRaw = await recipesRes.json();
-  const built = Array.isArray(builtRaw) ? builtRaw.map(normalizeRecipeForPage).filter(Boolean) : [];
+async function loadRecipes(recipeId) {
+  const indexEntries = await loadRecipeIndex();
+  const knownIds = new Set(indexEntries.map((entry) => String(entry.id)));
+  const shards = knownIds.has(String(recipeId))
+    ? await loadRecipeWithReferences(recipeId, knownIds)
+    : new Map();
+  const built = [...shards.values()].map(normalizeRecipeForPage).filter(Boolean);
+  const indexOnly = indexEntries
+    .filter((entry) => !shards.has(String(entry.id)))
+    .map(normalizeRecipeForPage)
+    .filter(Boolean);
   const inbox = loadStoredInboxRecipes();
   const recipeIndex = new Map(
-    [...built, ...inbox]
+    [...indexOnly, ...built, ...inbox]
       .filter((entry) => entry && entry.id)
       .map((entry) => [String(entry.id), entry])
   );
@@ -210,16 +226,37 @@ function getRecipeIdFromQuery() {
 function getDietaryFromQuery() {
   const params = new URLSearchParams(window.location.search);
   const parseParam = (key) => (params.has(key) ? params.get(key) === '1' : undefined);
-  return {
-    gluten_free: parseParam('gluten_free'),
-    egg_free: parseParam('egg_free'),
-    dairy_free: parseParam('dairy_free'),
+  return Object.fromEntries(dietaryBadges.map(({ key }) => [key, parseParam(key)]));
+}
+
+function getScaleFromQuery() {
+  const params = new URLSearchParams(window.location.search);
+  const read = (key) => {
+    const value = Number(params.get(key));
+    return params.has(key) && Number.isFinite(value) && value > 0 ? value : null;
   };
+  return { servings: read('servings'), multiplier: read('multiplier') };
+}
+
+// Shared links keep the scale: servings when the recipe has them, otherwise a non-default multiplier.
+function updateScaleQuery(recipe, state) {
+  const params = new URLSearchParams(window.location.search);
+  const servings = servingsForState(recipe, state);
+  const base = Number(recipe.default_base) || 1;
+  params.delete('servings');
+  params.delete('multiplier');
+  if (servings != null) {
+    params.set('servings', String(Math.round(servings * 10) / 10));
+  } else if (Math.abs(Number(state.multiplier) - base) > 1e-9) {
+    params.set('multiplier', String(state.multiplier));
+  }
+  const newUrl = `${window.location.pathname}?${params.toString()}`;
+  window.history.replaceState({}, '', newUrl);
 }
 
 function updateQueryFromState(state) {
   const params = new URLSearchParams(window.location.search);
-  ['gluten_free', 'egg_free', 'dairy_free'].forEach((key) => {
+  dietaryBadges.forEach(({ key }) => {
     const value = state.restrictions?.[key];
     if (value) {
       params.set(key, '1');
@@ -242,7 +279,7 @@ function renderDietaryBadges(
 ) {
   container.innerHTML = '';
 
-  DIETARY_BADGES.forEach(({ key, short, name }) => {
+  dietaryBadges.forEach(({ key, short, name }) => {
     const possible = !!compatibilityPossible[key];
     const ready = !!defaultCompatibility[key];
 
@@ -311,6 +348,36 @@ function panArea(pan) {
   return width * height;
 }
 
+function formatDelta(value, unit, digits = 0) {
+  const factor = 10 ** digits;
+  const rounded = Math.round(value * factor) / factor;
+  if (!rounded) return null;
+  return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded).toFixed(digits)}${unit}`;
+}
+
+/** Label each swap option with what picking it would change, per serving when servings are known. */
+function annotateChoiceDeltas(recipe, state) {
+  const servings = Number(state.nutritionFacts?.servings);
+  const perServing = Number.isFinite(servings) && servings > 0;
+  document.querySelectorAll('#swap-list select[data-token]').forEach((select) => {
+    const deltas = choiceNutritionDeltas(recipe, state, select.dataset.token);
+    Array.from(select.options).forEach((optionEl) => {
+      const delta = deltas[optionEl.value];
+      let note = '';
+      if (optionEl.value !== state.selectedOptions[select.dataset.token] && delta) {
+        const scale = perServing ? 1 / servings : 1;
+        const parts = [
+          formatDelta(delta.kcal * scale, ' kcal'),
+          formatDelta(delta.sat_fat_g * scale, ' g sat fat', 1),
+          formatDelta(delta.sodium_mg * scale, ' mg sodium'),
+        ].filter(Boolean);
+        note = ` (${parts.length ? parts.join(', ') : 'no change'}${perServing ? ' per serving' : ' per batch'})`;
+      }
+      optionEl.textContent = `${optionEl.dataset.label}${note}`;
+    });
+  });
+}
+
 function buildChoiceControls(recipe, state, onChange) {
   const swapList = document.getElementById('swap-list');
   const adjustDetails = document.getElementById('adjust-details');
@@ -355,6 +422,7 @@ function buildChoiceControls(recipe, state, onChange) {
       const optionEl = document.createElement('option');
       optionEl.value = opt.option;
       optionEl.textContent = opt.display;
+      optionEl.dataset.label = opt.display;
       const compatible = optionMeetsRestrictions(opt, state.restrictions);
       optionEl.disabled = restrictionsActive(state.restrictions) && !compatible;
       if (preferred?.option && preferred.option === opt.option) {
@@ -386,10 +454,99 @@ function buildChoiceControls(recipe, state, onChange) {
     }
   });
 
+  const hasNutrition = choiceEntries.some(([token]) =>
+    (ingredients[token]?.options || []).some((opt) => opt.nutrition)
+  );
+  if (renderedGroups > 0 && hasNutrition) {
+    const row = document.createElement('div');
+    row.className = 'swap-row swap-optimize';
+    const label = document.createElement('span');
+    label.className = 'swap-label';
+    label.textContent = 'Optimize for';
+    const actions = document.createElement('div');
+    actions.className = 'swap-optimize-actions';
+    [
+      ['sodium_mg', 'Lowest sodium'],
+      ['sat_fat_g', 'Lowest saturated fat'],
+    ].forEach(([nutrientKey, text]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'button secondary button-compact';
+      button.textContent = text;
+      button.title = 'Pick the swaps that minimize this, keeping any dietary filters you have on.';
+      button.addEventListener('click', () => {
+        Object.assign(state.selectedOptions, optimizeChoices(recipe, state, nutrientKey));
+        swapList.querySelectorAll('select[data-token]').forEach((select) => {
+          const selected = state.selectedOptions[select.dataset.token];
+          if (selected) select.value = selected;
+        });
+        onChange();
+      });
+      actions.appendChild(button);
+    });
+    row.appendChild(label);
+    row.appendChild(actions);
+    swapList.appendChild(row);
+  }
+
   return { hasSwapAdjustments: renderedGroups > 0, swapGroupCount: renderedGroups };
 }
 
-function renderIngredientsList(recipe, state, onUnitChange) {
+// Inline "I have…" form: the amount on hand of one ingredient, in any unit it converts from.
+function buildScaleToHaveForm(entry, state, onScaleToHave) {
+  const form = document.createElement('form');
+  form.className = 'scale-to-have';
+
+  const label = document.createElement('label');
+  label.textContent = 'I have ';
+  const amountInput = document.createElement('input');
+  amountInput.type = 'number';
+  amountInput.min = '0';
+  amountInput.step = 'any';
+  amountInput.required = true;
+  amountInput.placeholder = entry.display?.amountStr?.replace('≈', '') || '';
+  label.appendChild(amountInput);
+
+  const unitSelect = document.createElement('select');
+  const currentUnit = state.unitSelections?.[entry.token] || entry.display?.displayUnit || entry.option.unit;
+  availableAmountUnits(entry.option).forEach((unit) => {
+    const opt = document.createElement('option');
+    opt.value = unit.id;
+    opt.textContent = unit.label;
+    if (unit.id === currentUnit) opt.selected = true;
+    unitSelect.appendChild(opt);
+  });
+  label.append(' ', unitSelect);
+
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'button button-compact';
+  submit.textContent = 'Scale recipe';
+
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'link-button';
+  cancel.textContent = 'Cancel';
+  cancel.addEventListener('click', () => form.remove());
+
+  const error = document.createElement('div');
+  error.className = 'scale-to-have-error';
+  error.setAttribute('role', 'alert');
+
+  form.append(label, submit, cancel, error);
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const result = multiplierForAvailableAmount(entry.option, amountInput.value, unitSelect.value, state.panMultiplier);
+    if (!result) {
+      error.textContent = `Enter an amount above zero; ${unitSelect.selectedOptions[0]?.textContent || 'that unit'} can’t be converted for this ingredient.`;
+      return;
+    }
+    onScaleToHave(entry, result, `${amountInput.value} ${unitSelect.selectedOptions[0]?.textContent || unitSelect.value}`);
+  });
+  return form;
+}
+
+function renderIngredientsList(recipe, state, onUnitChange, onScaleToHave) {
   const list = document.getElementById('ingredients-list');
   if (!list) return;
 
@@ -428,7 +585,7 @@ function renderIngredientsList(recipe, state, onUnitChange) {
         textEl.textContent = entry.text;
         li.appendChild(textEl);
 
-        const unitOptions = unitOptionsFor(entry.option?.unit);
+        const unitOptions = unitOptionsFor(entry.option?.unit, entry.option?.unit_weights);
         const unitSelections = state.unitSelections || (state.unitSelections = {});
         const selectedUnit = unitSelections[entry.token];
         const display = entry.display;
@@ -458,7 +615,7 @@ function renderIngredientsList(recipe, state, onUnitChange) {
             display.displayUnit &&
             display.displayUnit !== display.baseUnit
           ) {
-            const factorConversion = convertUnitAmount(1, display.baseUnit, display.displayUnit);
+            const factorConversion = convertUnitAmount(1, display.baseUnit, display.displayUnit, entry.option.unit_weights);
             const factor = factorConversion ? factorConversion.amount : display.conversionFactor;
             const factorStr = Number.isFinite(factor)
               ? factor
@@ -467,13 +624,18 @@ function renderIngredientsList(recipe, state, onUnitChange) {
                   .replace(/(\.\d*[1-9])0+$/, '$1')
               : null;
 
+            const baseLabel = display.baseUnitLabel || entry.option.display;
             const parts = [
-              `Base: ${display.baseAmountStr} ${display.baseUnitLabel}`.trim(),
+              `Base: ${display.baseAmountStr} ${baseLabel}`.trim(),
               `Converted: ${display.amountStr} ${display.convertedUnitLabel}`.trim(),
             ];
 
             if (factorStr) {
-              parts.push(`1 ${display.baseUnitLabel} = ${factorStr} ${display.convertedUnitLabel}`.trim());
+              const equals = display.approximate ? '≈' : '=';
+              parts.push(`1 ${baseLabel} ${equals} ${factorStr} ${display.convertedUnitLabel}`.trim());
+            }
+            if (display.approximate) {
+              parts.push('approximate: uses a typical weight for this ingredient');
             }
 
             const note = document.createElement('div');
@@ -484,6 +646,33 @@ function renderIngredientsList(recipe, state, onUnitChange) {
           }
         }
 
+        const scalingNote = ingredientScalingNote(entry.option, getEffectiveMultiplier(state));
+        if (scalingNote) {
+          const note = document.createElement('div');
+          note.className = 'conversion-note';
+          note.textContent = scalingNote;
+          li.appendChild(note);
+        }
+
+        if (entry.option?.ratio && entry.option.scaling?.rule !== 'fixed' && typeof onScaleToHave === 'function') {
+          const scaleBtn = document.createElement('button');
+          scaleBtn.type = 'button';
+          scaleBtn.className = 'link-button scale-to-have-btn';
+          scaleBtn.textContent = 'I have…';
+          scaleBtn.title = `Scale the recipe to the ${entry.option.display} you have`;
+          scaleBtn.addEventListener('click', () => {
+            const open = li.querySelector('.scale-to-have');
+            if (open) {
+              open.remove();
+              return;
+            }
+            const form = buildScaleToHaveForm(entry, state, onScaleToHave);
+            li.appendChild(form);
+            form.querySelector('input')?.focus();
+          });
+          li.appendChild(scaleBtn);
+        }
+
         if (idx < line.entries.length - 1) {
           const joiner = document.createElement('span');
           joiner.className = 'ingredient-joiner';
@@ -511,7 +700,7 @@ function renderSteps(recipe, state) {
 
   steps.innerHTML = '';
 
-  const stepLines = renderStepLines(recipe, { ...state, recipe });
+  const stepLines = renderStepLines(recipe, { ...state, recipe, stepTimers: true });
 
   if (stepLines.length === 0) {
     const li = document.createElement('li');
@@ -571,6 +760,116 @@ function appendPrintSections(listEl, sections, missingText) {
   });
 }
 
+const CONFIDENCE_SOURCE_TEXT = {
+  'unit-factor': 'converted with a catalog unit factor',
+  portion: 'approximated from a typical portion weight',
+  recipe: 'from a linked recipe',
+  missing: 'no nutrition match, left out of the totals',
+};
+
+function renderNutritionConfidence(container, confidence) {
+  if (!container) return;
+  container.hidden = !confidence;
+  if (!confidence) return;
+  const level = confidence.level.charAt(0).toUpperCase() + confidence.level.slice(1);
+  const badge = container.querySelector('summary');
+  badge.textContent = `Nutrition confidence: ${level} (${confidence.score}%)`;
+  ['high', 'medium', 'low'].forEach((name) => container.classList.toggle(`is-${name}`, confidence.level === name));
+
+  const list = container.querySelector('ul');
+  list.innerHTML = '';
+  if (!confidence.uncertain.length) {
+    const li = document.createElement('li');
+    li.textContent = 'Every ingredient matched the nutrition catalog directly.';
+    list.appendChild(li);
+    return;
+  }
+  confidence.uncertain.forEach((entry) => {
+    const li = document.createElement('li');
+    const name = document.createElement('strong');
+    name.textContent = entry.name;
+    li.appendChild(name);
+    const pct = Math.round(entry.kcal_share * 100);
+    const share = entry.source === 'missing' ? '' : ` (${pct ? `~${pct}%` : '<1%'} of calories)`;
+    li.appendChild(document.createTextNode(` — ${CONFIDENCE_SOURCE_TEXT[entry.source] || entry.source}${share}`));
+    list.appendChild(li);
+  });
+}
+
+function renderNutritionFacts(container, facts) {
+  if (!container) return;
+  container.innerHTML = '';
+  container.hidden = !facts;
+  if (!facts) return;
+
+  const line = (className, label, value) => {
+    const row = document.createElement('p');
+    row.className = className;
+    const labelEl = document.createElement('span');
+    labelEl.textContent = label;
+    row.appendChild(labelEl);
+    if (value !== undefined) {
+      const valueEl = document.createElement('strong');
+      valueEl.textContent = value;
+      row.appendChild(valueEl);
+    }
+    return row;
+  };
+
+  const title = document.createElement('p');
+  title.className = 'nutrition-facts-title';
+  title.textContent = 'Nutrition Facts';
+  container.appendChild(title);
+  container.appendChild(
+    line('nutrition-facts-servings', `${formatNumber(facts.servings)} servings per batch`)
+  );
+  container.appendChild(
+    line(
+      'nutrition-facts-serving-size',
+      'Serving size',
+      `1/${formatNumber(facts.servings)} of batch` +
+        (Number.isFinite(facts.grams_per_serving) ? ` (${facts.weight_source === 'finished' ? '' : 'about '}${facts.grams_per_serving}g)` : '')
+    )
+  );
+  container.appendChild(line('nutrition-facts-calories', 'Calories', String(facts.calories)));
+  container.appendChild(line('nutrition-facts-dv-heading', '', '% Daily Value*'));
+
+  const list = document.createElement('ul');
+  list.className = 'nutrition-facts-rows';
+  facts.rows.forEach((row) => {
+    const li = document.createElement('li');
+    li.dataset.nutrient = row.key;
+    li.classList.toggle('is-bold', row.bold);
+    li.classList.toggle('is-micronutrient', row.micronutrient);
+    if (row.indent) li.classList.add(`indent-${row.indent}`);
+    const amount = `${formatNumber(row.amount)}${row.unit}`;
+    const label = document.createElement('span');
+    label.textContent = row.key === 'added_sugar_g' ? `Includes ${amount} ${row.label}` : `${row.label} ${amount}`;
+    li.appendChild(label);
+    const dv = document.createElement('strong');
+    dv.textContent = row.dv_pct === null ? '' : `${row.dv_pct}%`;
+    li.appendChild(dv);
+    list.appendChild(li);
+  });
+  container.appendChild(list);
+
+  const footnote = document.createElement('p');
+  footnote.className = 'nutrition-facts-footnote';
+  footnote.textContent =
+    `* The % Daily Value tells you how much a nutrient in a serving contributes to a daily diet. ` +
+    `${formatNumber(facts.daily_calories)} calories a day is used for general nutrition advice. ` +
+    'Estimated from ingredient data.';
+  container.appendChild(footnote);
+}
+
+function renderPrintNutrition(state) {
+  const section = document.getElementById('print-nutrition-section');
+  const factsEl = document.getElementById('print-nutrition-facts');
+  if (!section || !factsEl) return;
+  renderNutritionFacts(factsEl, state.nutritionFacts || null);
+  section.hidden = !state.nutritionFacts;
+}
+
 function renderPrintRecipe(recipe, state) {
   const titleEl = document.getElementById('print-recipe-title');
   const ingredientsEl = document.getElementById('print-ingredients-list');
@@ -609,6 +908,8 @@ function renderPrintRecipe(recipe, state) {
     if (notesEl) notesEl.textContent = '';
     notesSection.hidden = true;
   }
+
+  renderPrintNutrition(state);
 }
 
 function setupPanControls(recipe, state, rerender) {
@@ -689,7 +990,7 @@ function setupPanControls(recipe, state, rerender) {
   return true;
 }
 
-function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredientPortions, ingredientUnitFactors, nutritionCoverage) {
+function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredientPortions, ingredientUnitFactors) {
   const recipe = normalizeRecipeForPage(recipeInput) || recipeInput;
   recipe.nutritionPolicy = nutritionPolicy;
 
@@ -697,9 +998,15 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
   const notesEl = document.getElementById('notes');
   const familyInline = document.getElementById('family-inline');
   const categoryInline = document.getElementById('category-inline');
-  const dietaryBadges = document.getElementById('dietary-badges');
+  const timeInline = document.getElementById('time-inline');
+  const dietaryBadgesEl = document.getElementById('dietary-badges');
   const multiplierInput = document.getElementById('multiplier');
   const multiplierHelper = document.getElementById('multiplier-helper');
+  const multiplierControl = document.getElementById('multiplier-control');
+  const servingsControl = document.getElementById('servings-control');
+  const servingsInput = document.getElementById('servings-input');
+  const servingsNote = document.getElementById('servings-note');
+  const scaleToHaveNote = document.getElementById('scale-to-have-note');
   const ingredientsHeading = document.getElementById('ingredients-heading');
   const heroContent = document.querySelector('.hero-content');
   const recipeNoteDetails = document.querySelector('.recipe-note');
@@ -707,9 +1014,10 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
   const nutritionCollapsedSummary = document.getElementById('recipe-nutrition-collapsed');
   const nutritionWarning = document.getElementById('recipe-nutrition-warning');
   const nutritionDetails = document.getElementById('recipe-nutrition-details');
-  const nutritionMetrics = document.getElementById('recipe-nutrition-metrics');
+  const nutritionFactsEl = document.getElementById('recipe-nutrition-facts');
   const nutritionTargets = document.getElementById('recipe-nutrition-targets');
   const nutritionCoverageBadge = document.getElementById('recipe-nutrition-coverage');
+  const nutritionConfidenceEl = document.getElementById('recipe-nutrition-confidence');
   const nutritionCoverageBanner = document.getElementById('nutrition-coverage-banner');
   const nutritionServingsLabel = document.getElementById('recipe-nutrition-servings');
   const nutritionServingsInput = document.getElementById('nutrition-servings-input');
@@ -724,16 +1032,14 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
   };
 
   const defaultCompatibility = recipeDefaultCompatibility(recipe);
-  const compatibilityPossible = recipe.compatibility_possible || {};
+  const compatibilityPossible = recipeCompatibilityPossible(recipe);
   const queryRestrictions = getDietaryFromQuery();
 
   const hasDetails = recipeHasDetails(recipe);
 
-  const restrictionCanRelax = {
-    gluten_free: hasNonCompliantAlternative(recipe, 'gluten_free'),
-    egg_free: hasNonCompliantAlternative(recipe, 'egg_free'),
-    dairy_free: hasNonCompliantAlternative(recipe, 'dairy_free'),
-  };
+  const restrictionCanRelax = Object.fromEntries(
+    dietaryBadges.map(({ key }) => [key, hasNonCompliantAlternative(recipe, key)])
+  );
 
   const resolveRestriction = (restrictionKey) => {
     if (defaultCompatibility[restrictionKey] && !restrictionCanRelax[restrictionKey]) return true;
@@ -748,24 +1054,40 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
     selectedPanId: recipe.default_pan || null,
     selectedOptions: {},
     unitSelections: {},
+    measurementSystem: loadMeasurementSystem(),
     recipeIndex: recipe.recipeIndex || null,
     ingredientPortions,
     ingredientUnitFactors,
-    restrictions: {
-      gluten_free: compatibilityPossible.gluten_free ? resolveRestriction('gluten_free') : false,
-      egg_free: compatibilityPossible.egg_free ? resolveRestriction('egg_free') : false,
-      dairy_free: compatibilityPossible.dairy_free ? resolveRestriction('dairy_free') : false,
-    },
+    restrictions: Object.fromEntries(
+      dietaryBadges.map(({ key }) => [key, compatibilityPossible[key] ? resolveRestriction(key) : false])
+    ),
   };
 
-  if (nutritionCoverageBanner && nutritionCoverage?.missing_count) {
+  const builtConfidence = recipe.nutrition_estimate?.confidence;
+  if (nutritionCoverageBanner && builtConfidence?.level === 'low') {
     nutritionCoverageBanner.hidden = false;
     nutritionCoverageBanner.textContent =
-      `Nutrition data is still filling in (${nutritionCoverage.missing_count} missing unit matches). ` +
-      'Totals are estimates until coverage is complete.';
+      `Nutrition for this recipe is a rough estimate (confidence ${builtConfidence.score}%). ` +
+      'Open Nutrition & servings to see which ingredients are uncertain.';
   }
 
+  // Pan scaling starts at the default pan, so a servings link maps straight onto the batch multiplier.
+  const servingsPerBatch = recipeServingsPerBatch(recipe);
+  const queryScale = getScaleFromQuery();
+  if (servingsPerBatch && queryScale.servings) {
+    state.multiplier = multiplierForServings(recipe, queryScale.servings, 1);
+  } else if (queryScale.multiplier) {
+    state.multiplier = queryScale.multiplier;
+  }
   if (multiplierInput) multiplierInput.value = state.multiplier;
+  if (servingsControl && servingsInput && servingsPerBatch) {
+    servingsControl.hidden = false;
+    if (multiplierControl) multiplierControl.hidden = true;
+  } else if (servingsNote) {
+    servingsNote.hidden = false;
+    servingsNote.textContent =
+      'This recipe doesn’t say how many servings a batch makes, so scale it with the batch multiplier instead.';
+  }
 
   if (ingredientsHeading) {
     ingredientsHeading.textContent = hasDetails ? 'Ingredients' : 'Ingredients (pending)';
@@ -804,6 +1126,17 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
     categoryInline.textContent = categories.join(' • ');
   }
 
+  if (timeInline) {
+    const timeText = [
+      ...recipeTimeParts(recipe).map((part) => `${part.label} ${part.text}`),
+      recipe.yield_text ? `Yield: ${recipe.yield_text}` : '',
+    ]
+      .filter(Boolean)
+      .join(' • ');
+    timeInline.textContent = timeText;
+    timeInline.hidden = !timeText;
+  }
+
   const nutritionSettings = loadNutritionSettings(recipe.nutritionPolicy);
   const mealTypes = Object.keys(recipe.nutritionPolicy?.meal_fractions_default || {});
   const defaultMealType = mealTypes.includes('dinner') ? 'dinner' : (mealTypes[0] || 'dinner');
@@ -898,6 +1231,7 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
       calories_kcal: dailyCalories * mealFraction,
       sodium_mg: sodiumDaily * mealFraction,
       saturated_fat_g: satFatDaily * mealFraction,
+      added_sugar_g: (dailyCalories * mealFraction * addedSugarLimitPct(recipe.nutritionPolicy)) / 4,
     };
   };
 
@@ -937,6 +1271,7 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
           ? `Nutrition coverage: ${totals.coverage.covered}/${totals.coverage.total} (${coverage}%)`
           : 'Nutrition coverage: —';
     }
+    renderNutritionConfidence(nutritionConfidenceEl, totals.coverage.total > 0 ? totals.confidence : null);
     if (!totals.complete) {
       const authorServings = Number(recipe.servings_per_batch);
       const hasAuthorServings = Number.isFinite(authorServings) && authorServings > 0;
@@ -960,7 +1295,9 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
       }
       if (nutritionServingsLabel) nutritionServingsLabel.textContent = '';
       if (nutritionServingsInput) nutritionServingsInput.value = '';
-      if (nutritionMetrics) nutritionMetrics.innerHTML = '';
+      state.nutritionFacts = null;
+      renderNutritionFacts(nutritionFactsEl, null);
+      renderPrintNutrition(state);
       if (nutritionTargets) nutritionTargets.textContent = '';
       return;
     }
@@ -1011,31 +1348,27 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
         `Estimated servings per batch: ${Number.isFinite(servingsPerBatch) ? servingsPerBatch : '—'}.`;
     }
 
-    if (nutritionMetrics) {
-      nutritionMetrics.innerHTML = '';
-      const metrics = [
-        ['Calories', `${formatKcal(perServingTotals.kcal)} kcal`],
-        ['Protein', `${formatNumber(perServingTotals.protein_g)} g`],
-        ['Fat', `${formatNumber(perServingTotals.fat_g)} g`],
-        ['Sat fat', `${formatNumber(perServingTotals.sat_fat_g)} g`],
-        ['Carbs', `${formatNumber(perServingTotals.carbs_g)} g`],
-        ['Sugars', `${formatNumber(perServingTotals.sugars_g)} g`],
-        ['Fiber', `${formatNumber(perServingTotals.fiber_g)} g`],
-        ['Sodium', `${formatNumber(perServingTotals.sodium_mg, { maximumFractionDigits: 0 })} mg`],
-      ];
-      metrics.forEach(([label, value]) => {
-        const li = document.createElement('li');
-        li.innerHTML = `<span>${label}</span><strong>${value}</strong>`;
-        nutritionMetrics.appendChild(li);
-      });
-    }
+    const addedSugarShare = addedSugarShareOfKcal(perServingTotals);
+    const facts = nutritionFactsRows(perServingTotals, nutritionGuidelines);
+    state.nutritionFacts = facts && Number.isFinite(servingsPerBatch)
+      ? { ...facts, servings: servingsPerBatch, weight_source: totals.weight_source }
+      : null;
+    renderNutritionFacts(nutritionFactsEl, state.nutritionFacts);
+    renderPrintNutrition(state);
+    nutritionFactsEl?.querySelector('[data-nutrient="added_sugar_g"]')?.classList.toggle(
+      'is-over',
+      addedSugarShare !== null && addedSugarShare > addedSugarLimitPct(recipe.nutritionPolicy)
+    );
 
     if (nutritionTargets) {
       const targets = suggestion.targets || deriveMealTargets();
       nutritionTargets.textContent =
         `Based on ${mealLabel.toLowerCase()} targets: ~${formatKcal(targets.calories_kcal)} kcal, ` +
         `sodium ≤ ${formatNumber(targets.sodium_mg, { maximumFractionDigits: 0 })} mg, ` +
-        `sat fat ≤ ${formatNumber(targets.saturated_fat_g)} g.`;
+        `sat fat ≤ ${formatNumber(targets.saturated_fat_g)} g, ` +
+        `added sugar ≤ ${formatNumber(targets.added_sugar_g)} g ` +
+        `(${Math.round(addedSugarLimitPct(recipe.nutritionPolicy) * 100)}% of calories` +
+        `${addedSugarShare !== null ? `; this serving ${Math.round(addedSugarShare * 100)}%` : ''}).`;
     }
   };
 
@@ -1054,14 +1387,47 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
       : `Using recipe as written (×${effective.toFixed(2)}).`;
   };
 
+  // Pan changes alter the servings a batch makes; leave the box alone while the cook is typing in it.
+  const updateServingsInput = (force = false) => {
+    if (!servingsInput || !servingsPerBatch || (!force && document.activeElement === servingsInput)) return;
+    servingsInput.value = Math.round(servingsForState(recipe, state) * 10) / 10;
+  };
+
+  const clearScaleToHaveNote = () => {
+    if (scaleToHaveNote) scaleToHaveNote.hidden = true;
+  };
+
+  // "I have…" on an ingredient line: size the batch to that amount, then flag piece counts such as
+  // 2.4 eggs that no longer come out whole.
+  const scaleToHave = (entry, result, availableText) => {
+    if (!multiplierInput) return;
+    multiplierInput.value = result.multiplier;
+    rerender();
+    if (!scaleToHaveNote) return;
+    const awkward = awkwardCountAmounts(recipe, state);
+    const parts = [
+      `Scaled ×${getEffectiveMultiplier(state).toFixed(2)} to use ${availableText} ${entry.option.display}` +
+        `${result.approximate ? ' (converted with a typical weight, so approximate)' : ''}.`,
+    ];
+    if (awkward.length) {
+      parts.push(`Awkward amounts: ${awkward.map((line) => line.text).join(', ')}. Round these to what you can measure.`);
+    }
+    scaleToHaveNote.textContent = parts.join(' ');
+    scaleToHaveNote.classList.toggle('has-warning', awkward.length > 0);
+    scaleToHaveNote.hidden = false;
+  };
+
   const rerender = () => {
     const base = Number(recipe.default_base) || 1;
     state.multiplier = multiplierInput ? Number(multiplierInput.value) || base : base;
-    renderIngredientsList(recipe, state, rerender);
+    renderIngredientsList(recipe, state, rerender, scaleToHave);
     renderSteps(recipe, state);
     renderPrintRecipe(recipe, state);
     updateMultiplierHelper();
+    updateServingsInput();
+    updateScaleQuery(recipe, state);
     updateNutritionEstimate();
+    annotateChoiceDeltas(recipe, state);
   };
 
   const syncSelections = () => {
@@ -1076,9 +1442,9 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
   };
 
   const refreshDietaryBadges = () => {
-    if (!dietaryBadges) return;
+    if (!dietaryBadgesEl) return;
     renderDietaryBadges(
-      dietaryBadges,
+      dietaryBadgesEl,
       state,
       defaultCompatibility,
       compatibilityPossible,
@@ -1105,7 +1471,7 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
     return possible && !lockedOn;
   };
 
-  const hasSelectableDietaryAdjustments = DIETARY_BADGES.some(({ key }) => dietaryToggleEnabled(key));
+  const hasSelectableDietaryAdjustments = dietaryBadges.some(({ key }) => dietaryToggleEnabled(key));
 
   const adjustSummary = document.getElementById('adjust-summary');
   const adjustDetails = document.getElementById('adjust-details');
@@ -1136,7 +1502,40 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
     }
   }
 
-  if (multiplierInput) multiplierInput.addEventListener('input', rerender);
+  if (multiplierInput) {
+    multiplierInput.addEventListener('input', () => {
+      clearScaleToHaveNote();
+      rerender();
+    });
+  }
+  if (servingsInput && servingsPerBatch) {
+    servingsInput.addEventListener('input', () => {
+      const multiplier = multiplierForServings(recipe, servingsInput.value, state.panMultiplier);
+      if (!multiplier || !multiplierInput) return;
+      multiplierInput.value = multiplier;
+      clearScaleToHaveNote();
+      rerender();
+    });
+    servingsInput.addEventListener('change', () => updateServingsInput(true));
+  }
+
+  const measurementSelect = document.getElementById('measurement-system');
+  if (measurementSelect) {
+    MEASUREMENT_SYSTEMS.forEach((system) => {
+      const opt = document.createElement('option');
+      opt.value = system.id;
+      opt.textContent = system.label;
+      measurementSelect.appendChild(opt);
+    });
+    measurementSelect.value = state.measurementSystem;
+    measurementSelect.addEventListener('change', () => {
+      state.measurementSystem = measurementSelect.value;
+      saveMeasurementSystem(state.measurementSystem);
+      // The site-wide choice replaces units picked line by line.
+      state.unitSelections = {};
+      rerender();
+    });
+  }
 
   rerender();
 
@@ -1158,6 +1557,9 @@ function renderRecipe(recipeInput, nutritionPolicy, nutritionGuidelines, ingredi
   if (printBtn) {
     printBtn.addEventListener('click', () => window.print());
   }
+
+  const timers = setupStepTimers(document.getElementById('steps-list'), document.getElementById('timer-panel'));
+  setupCookMode(recipe, state, timers);
 }
 
 async function main() {
@@ -1173,16 +1575,17 @@ async function main() {
     nutritionGuidelines,
     ingredientPortions,
     ingredientUnitFactors,
-    nutritionCoverage,
+    loadedDietaryBadges,
   ] = await Promise.all([
-    loadRecipes(),
+    loadRecipes(recipeId),
     loadNutritionPolicy(),
     loadNutritionGuidelines(),
     loadIngredientPortions(),
     loadIngredientUnitFactors(),
-    loadNutritionCoverage(),
+    loadDietaryBadges(),
   ]);
   const { recipes, recipeIndex } = recipesPayload;
+  dietaryBadges = loadedDietaryBadges;
 
   const recipe = recipes.find((r) => String(r?.id) === String(recipeId));
   if (!recipe) {
@@ -1196,8 +1599,7 @@ async function main() {
     nutritionPolicy,
     nutritionGuidelines,
     ingredientPortions,
-    ingredientUnitFactors,
-    nutritionCoverage
+    ingredientUnitFactors
   );
 }
 
@@ -0,0 +1,194 @@
+export const SEARCH_FIELDS = ['title', 'ingredient', 'catalog', 'tags', 'step', 'notes'];
+
+export const SEARCH_FIELD_WEIGHTS = {
+  title: 10,
+  ingredient: 5,
+  catalog: 3,
+  tags: 3,
+  step: 2,
+  notes: 1,
+};
+
+export const SEARCH_FIELD_LABELS = {
+  title: 'Title',
+  ingredient: 'Ingredients',
+  catalog: 'Ingredients',
+  tags: 'Category',
+  step: 'Steps',
+  notes: 'Notes',
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'of', 'on',
+  'or', 'the', 'then', 'to', 'until', 'with',
+]);
+
+const VOWEL = /[aeiouy]/;
+
+/**
+ * Light suffix stripper (plurals, -ing, -ed) so "onions"/"onion" and "simmering"/"simmer"
+ * share a term. Build and browser must use the same function, so keep it dependency-free.
+ */
+export function stemWord(word) {
+  let stem = word;
+  if (stem.length <= 3 || /^\d/.test(stem)) return stem;
+  if (stem.endsWith('ies') && stem.length > 4) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (stem.endsWith('sses')) {
+    stem = stem.slice(0, -2);
+  } else if (/(ches|shes|xes|zes|oes)$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+  const suffix = stem.match(/(ing|ed)$/)?.[1];
+  if (suffix && stem.length - suffix.length >= 3 && VOWEL.test(stem.slice(0, -suffix.length))) {
+    stem = stem.slice(0, -suffix.length);
+    if (/([^aeiouslz])\1$/.test(stem)) stem = stem.slice(0, -1);
+  }
+  return stem;
+}
+
+export function tokenizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/{{[^}]*}}/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Build the inverted index written to docs/built/search-index.json.
+ * Each document is { id, fields: { title: [...strings], ingredient: [...], ... } }.
+ * Postings are flat [docIdx, fieldIdx, termFrequency, ...] triples to keep the file small;
+ * `words` keeps the most common surface form of each stem for "matched because" labels.
+ */
+export function buildSearchIndex(documents) {
+  const terms = {};
+  const surfaceCounts = {};
+  documents.forEach((doc, docIdx) => {
+    SEARCH_FIELDS.forEach((field, fieldIdx) => {
+      const counts = new Map();
+      (doc.fields[field] || []).forEach((text) => {
+        tokenizeText(text).forEach((word) => {
+          const stem = stemWord(word);
+          counts.set(stem, (counts.get(stem) || 0) + 1);
+          surfaceCounts[stem] = surfaceCounts[stem] || {};
+          surfaceCounts[stem][word] = (surfaceCounts[stem][word] || 0) + 1;
+        });
+      });
+      counts.forEach((count, stem) => {
+        if (!terms[stem]) terms[stem] = [];
+        terms[stem].push(docIdx, fieldIdx, count);
+      });
+    });
+  });
+
+  const sortedStems = Object.keys(terms).sort();
+  const words = {};
+  sortedStems.forEach((stem) => {
+    const [best] = Object.entries(surfaceCounts[stem]).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    if (best[0] !== stem) words[stem] = best[0];
+  });
+
+  return {
+    version: 1,
+    fields: SEARCH_FIELDS,
+    weights: SEARCH_FIELD_WEIGHTS,
+    docs: documents.map((doc) => doc.id),
+    terms: Object.fromEntries(sortedStems.map((stem) => [stem, terms[stem]])),
+    words,
+  };
+}
+
+// Shortest unfinished last word that is matched as a prefix; tokenizeText already drops one-letter words.
+const PREFIX_MIN_LENGTH = 2;
+
+function stemsForQueryWord(index, word, isLast) {
+  const stem = stemWord(word);
+  const exact = index.terms[stem] ? [stem] : [];
+  if (!isLast || exact.length || word.length < PREFIX_MIN_LENGTH) return exact;
+  // Treat an unfinished last word as a prefix so "cinn" already finds cinnamon.
+  return Object.keys(index.terms).filter((term) => term.startsWith(word));
+}
+
+/** Map<docIdx, { score, matches: [{ field, word }] }> of documents matching every query word. */
+function scoreQueryWords(index, queryWords) {
+  const docCount = index.docs.length || 1;
+  const weights = index.weights || SEARCH_FIELD_WEIGHTS;
+  let candidates = null;
+
+  queryWords.forEach((word, wordIdx) => {
+    const wordHits = new Map();
+    stemsForQueryWord(index, word, wordIdx === queryWords.length - 1).forEach((stem) => {
+      const postings = index.terms[stem];
+      const docFreq = new Set(postings.filter((_, idx) => idx % 3 === 0)).size;
+      const idf = Math.log(1 + docCount / docFreq);
+      const surface = index.words?.[stem] || stem;
+      for (let i = 0; i < postings.length; i += 3) {
+        const docIdx = postings[i];
+        const field = index.fields[postings[i + 1]];
+        const tf = postings[i + 2];
+        const hit = wordHits.get(docIdx) || { score: 0, matches: [] };
+        hit.score += (weights[field] || 1) * (1 + Math.log(tf)) * idf;
+        hit.matches.push({ field, word: surface });
+        wordHits.set(docIdx, hit);
+      }
+    });
+    const next = new Map();
+    wordHits.forEach((hit, docIdx) => {
+      if (candidates && !candidates.has(docIdx)) return;
+      const previous = candidates?.get(docIdx) || { score: 0, matches: [] };
+      next.set(docIdx, { score: previous.score + hit.score, matches: [...previous.matches, ...hit.matches] });
+    });
+    candidates = next;
+  });
+  return candidates || new Map();
+}
+
+/**
+ * Rank documents for a free-text query. Every query word must match somewhere in a recipe;
+ * two adjacent words also match as one, so "crock pot" finds crockpot.
+ * Returns Map<recipeId, { score, matches: Map<field, Set<word>> }>, or null when the query has no
+ * indexable words (one letter, only stop words) so callers can fall back to substring matching.
+ */
+export function searchRecipes(index, query) {
+  const queryWords = tokenizeText(query);
+  if (!queryWords.length) return null;
+  const results = new Map();
+  if (!index) return results;
+
+  const variants = [queryWords];
+  for (let i = 0; i < queryWords.length - 1; i += 1) {
+    variants.push([...queryWords.slice(0, i), `${queryWords[i]}${queryWords[i + 1]}`, ...queryWords.slice(i + 2)]);
+  }
+  const best = new Map();
+  variants.forEach((words) => {
+    scoreQueryWords(index, words).forEach((hit, docIdx) => {
+      if (!best.has(docIdx) || best.get(docIdx).score < hit.score) best.set(docIdx, hit);
+    });
+  });
+
+  best.forEach((hit, docIdx) => {
+    const matches = new Map();
+    hit.matches.forEach(({ field, word }) => {
+      if (!matches.has(field)) matches.set(field, new Set());
+      matches.get(field).add(word);
+    });
+    results.set(index.docs[docIdx], { score: hit.score, matches });
+  });
+  return results;
+}
+
+export function queryMatchesWord(query, word) {
+  const stem = stemWord(word.toLowerCase());
+  const queryWords = tokenizeText(query);
+  const joinedPairs = queryWords.slice(1).map((next, idx) => `${queryWords[idx]}${next}`);
+  if (joinedPairs.some((pair) => stemWord(pair) === stem)) return true;
+  return queryWords.some(
+    (queryWord, idx) =>
+      stemWord(queryWord) === stem || (idx === queryWords.length - 1 && queryWord.length >= PREFIX_MIN_LENGTH && stem.startsWith(queryWord))
+  );
+}
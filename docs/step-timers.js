@@ -0,0 +1,185 @@
+import { formatTimerDuration } from './recipe-utils.js';
+
+/**
+ * Floating multi-timer panel for the recipe page. Start buttons come from formatStepText
+ * (`.step-timer` with data-timer-seconds and data-timer-label). Timers live outside the step list,
+ * so they keep running while the cook scrolls between steps or the recipe re-renders.
+ */
+
+const ALERT_REPEAT_MS = 4000;
+
+function formatClock(seconds) {
+  const total = Math.max(0, Math.ceil(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+function remainingSeconds(timer, now = Date.now()) {
+  return timer.pausedRemaining ?? Math.max(0, (timer.endsAt - now) / 1000);
+}
+
+// Label for a detected duration: the step number plus its start of text, e.g. "Step 3 · Bake at 350°F…".
+function defaultTimerLabel(button, stepsList) {
+  const stepItem = button.closest('li');
+  const steps = stepsList ? [...stepsList.querySelectorAll('.step-item')] : [];
+  const stepNumber = steps.indexOf(stepItem) + 1;
+  const text = (stepItem?.textContent || '').replace(/\s+/g, ' ').trim();
+  const snippet = text.length > 32 ? `${text.slice(0, 32).trim()}…` : text;
+  const prefix = stepNumber > 0 ? `Step ${stepNumber}` : 'Timer';
+  return snippet ? `${prefix} · ${snippet}` : prefix;
+}
+
+export function setupStepTimers(stepsList, panel) {
+  const list = panel?.querySelector('.timer-list');
+  if (!panel || !list) return null;
+
+  const timers = [];
+  const pageTitle = document.title;
+  let nextId = 1;
+  let tickHandle = null;
+  let audioContext = null;
+
+  const beep = () => {
+    if (!audioContext) return;
+    const start = audioContext.currentTime;
+    [0, 0.3, 0.6].forEach((offset) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = 880;
+      gain.gain.setValueAtTime(0.25, start + offset);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + offset + 0.25);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(start + offset);
+      oscillator.stop(start + offset + 0.25);
+    });
+  };
+
+  const alertDone = (timer) => {
+    timer.done = true;
+    timer.lastAlert = Date.now();
+    beep();
+    if (navigator.vibrate) navigator.vibrate([300, 150, 300]);
+  };
+
+  const render = () => {
+    list.replaceChildren();
+    timers.forEach((timer) => {
+      const item = document.createElement('li');
+      item.className = 'timer-item';
+      item.classList.toggle('is-done', timer.done);
+      item.classList.toggle('is-paused', timer.pausedRemaining != null && !timer.done);
+
+      const label = document.createElement('span');
+      label.className = 'timer-label';
+      label.textContent = timer.label;
+
+      const clock = document.createElement('span');
+      clock.className = 'timer-clock';
+      clock.textContent = timer.done ? 'Done!' : formatClock(remainingSeconds(timer));
+      timer.clockEl = clock;
+
+      const actions = document.createElement('span');
+      actions.className = 'timer-actions';
+      if (!timer.done) {
+        const pause = document.createElement('button');
+        pause.type = 'button';
+        pause.className = 'timer-toggle';
+        pause.dataset.timerId = String(timer.id);
+        pause.textContent = timer.pausedRemaining != null ? 'Resume' : 'Pause';
+        actions.appendChild(pause);
+      }
+      const dismiss = document.createElement('button');
+      dismiss.type = 'button';
+      dismiss.className = 'timer-dismiss';
+      dismiss.dataset.timerId = String(timer.id);
+      dismiss.textContent = timer.done ? 'Dismiss' : 'Cancel';
+      dismiss.setAttribute('aria-label', `${dismiss.textContent} ${timer.label}`);
+      actions.appendChild(dismiss);
+
+      item.append(label, clock, actions);
+      list.appendChild(item);
+    });
+    panel.hidden = timers.length === 0;
+    const alerting = timers.some((timer) => timer.done);
+    panel.classList.toggle('is-alerting', alerting);
+    document.title = alerting ? `⏰ Timer done · ${pageTitle}` : pageTitle;
+  };
+
+  // Only the clocks change between alerts; rebuilding the rows every second would swallow clicks.
+  const tick = () => {
+    const now = Date.now();
+    let finished = false;
+    timers.forEach((timer) => {
+      if (timer.pausedRemaining != null) return;
+      if (!timer.done && timer.endsAt <= now) {
+        alertDone(timer);
+        finished = true;
+      } else if (timer.done && now - timer.lastAlert >= ALERT_REPEAT_MS) {
+        alertDone(timer);
+      } else if (!timer.done && timer.clockEl) {
+        timer.clockEl.textContent = formatClock(remainingSeconds(timer, now));
+      }
+    });
+    if (finished) render();
+    const running = timers.some((timer) => timer.pausedRemaining == null);
+    if (!running && tickHandle) {
+      clearInterval(tickHandle);
+      tickHandle = null;
+    }
+  };
+
+  const ensureTicking = () => {
+    if (!tickHandle) tickHandle = setInterval(tick, 1000);
+  };
+
+  const start = (seconds, label) => {
+    const duration = Number(seconds);
+    if (!Number.isFinite(duration) || duration <= 0) return;
+    // Audio can only start from a user gesture, so unlock it when a timer is started.
+    const AudioCtor = window.AudioContext || window.webkitAudioContext;
+    if (!audioContext && AudioCtor) audioContext = new AudioCtor();
+    audioContext?.resume?.();
+    timers.push({
+      id: nextId,
+      label: label || formatTimerDuration(duration),
+      endsAt: Date.now() + duration * 1000,
+      pausedRemaining: null,
+      done: false,
+      lastAlert: 0,
+    });
+    nextId += 1;
+    ensureTicking();
+    render();
+  };
+
+  stepsList?.addEventListener('click', (event) => {
+    const button = event.target.closest('.step-timer');
+    if (!button) return;
+    const seconds = Number(button.dataset.timerSeconds);
+    const label = button.dataset.timerLabel || defaultTimerLabel(button, stepsList);
+    start(seconds, label);
+  });
+
+  list.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-timer-id]');
+    if (!button) return;
+    const index = timers.findIndex((timer) => String(timer.id) === button.dataset.timerId);
+    if (index === -1) return;
+    const timer = timers[index];
+    if (button.classList.contains('timer-dismiss')) {
+      timers.splice(index, 1);
+    } else if (timer.pausedRemaining != null) {
+      timer.endsAt = Date.now() + timer.pausedRemaining * 1000;
+      timer.pausedRemaining = null;
+      ensureTicking();
+    } else {
+      timer.pausedRemaining = remainingSeconds(timer);
+    }
+    render();
+  });
+
+  return { start };
+}
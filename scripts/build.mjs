@@ -1,79 +1,24 @@
 import fs from 'fs';
 import path from 'path';
-import { UNIT_CONVERSIONS } from '../docs/unit-conversions.js';
-import { validateAll } from './validate.mjs';
-
-async function loadPapa() {
-  const module = await import('papaparse').catch(() => null);
-  return module ? module.default || module : null;
-}
-
-function simpleParseCSV(text) {
-  const lines = text.replace(/\r\n/g, '\n').split(/\n/).filter((line) => line.trim() !== '');
-  if (lines.length === 0) return [];
-  const headers = parseLine(lines[0]);
-  return lines.slice(1).map((line) => {
-    const values = parseLine(line);
-    const row = {};
-    headers.forEach((header, idx) => {
-      row[header] = values[idx] ?? '';
-    });
-    return row;
-  });
-}
-
-function csvEscape(value) {
-  if (value === null || value === undefined) return '';
-  const text = String(value);
-  if (/[",\n]/.test(text)) {
-    return `"${text.replace(/"/g, '""')}"`;
-  }
-  return text;
-}
-
-function parseLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i += 1) {
-    const char = line[i];
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      result.push(current);
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-  result.push(current);
-  return result;
-}
-
-async function parseCSVFile(filePath) {
-  const content = fs.readFileSync(filePath, 'utf-8');
-  const Papa = await loadPapa();
-  if (Papa) {
-    const parsed = Papa.parse(content, { header: true, skipEmptyLines: true });
-    if (parsed.errors && parsed.errors.length) {
-      throw new Error(`CSV parse error in ${filePath}: ${parsed.errors[0].message}`);
-    }
-    return parsed.data;
-  }
-  return simpleParseCSV(content);
-}
-
-function parseCategories(raw) {
-  if (!raw) return [];
-  return raw
-    .split(/[;,]/)
-    .map((entry) => entry.trim())
-    .filter(Boolean);
+import { loadAllergens, loadDiets, parseCSVFile, validateAll } from './validate.mjs';
+import { parseCSV, stringifyCSV } from '../docs/csv-utils.js';
+import { writeStaticRecipePages } from './prerender.mjs';
+import { buildSearchIndex } from '../docs/search-utils.js';
+import { STEP_PAN_TOKEN, convertUnitAmount, normalizeUnit, parseIngredientScaling, unitDefinition } from '../docs/recipe-utils.js';
+import {
+  NUTRITION_COVERAGE_COLUMNS,
+  bakeNutritionEstimate,
+  computeBatchTotals,
+  defaultNutritionState,
+  ingredientPortionsFromJson,
+  ingredientUnitFactorsFromJson,
+  nutritionCoverageGaps,
+} from '../docs/nutrition-engine.js';
+import { buildCategoryTaxonomy, resolveCategory, splitCategories } from '../docs/category-utils.js';
+
+function normalizeCategories(raw, taxonomy) {
+  // Validation already rejected unknown names, so every entry resolves to its canonical label.
+  return [...new Set(splitCategories(raw).map((entry) => resolveCategory(taxonomy, entry)?.label || entry))];
 }
 
 function extractTokensFromSteps(stepsRaw) {
@@ -81,7 +26,7 @@ function extractTokensFromSteps(stepsRaw) {
   const tokens = [];
   let match;
   while ((match = tokenRegex.exec(stepsRaw)) !== null) {
-    tokens.push(match[1]);
+    if (match[1] !== STEP_PAN_TOKEN) tokens.push(match[1]);
   }
   const conditionRegex = /{{#if\s+([a-zA-Z0-9_-]+)/g;
   while ((match = conditionRegex.exec(stepsRaw)) !== null) {
@@ -92,18 +37,22 @@ function extractTokensFromSteps(stepsRaw) {
 
 function loadIngredientCatalogRows(catalogPath) {
   const rows = fs.existsSync(catalogPath) ? fs.readFileSync(catalogPath, 'utf-8') : '';
-  return rows ? simpleParseCSV(rows) : [];
+  return rows ? parseCSV(rows, { label: path.relative(process.cwd(), catalogPath) }) : [];
 }
 
-function buildIngredientCatalog(rows) {
+function buildIngredientCatalog(rows, allergens) {
   const map = new Map();
   rows.forEach((row) => {
     if (!row?.ingredient_id) return;
     if (map.has(row.ingredient_id)) return;
     map.set(row.ingredient_id, {
-      contains_gluten: row.contains_gluten === 'true',
-      contains_egg: row.contains_egg === 'true',
-      contains_dairy: row.contains_dairy === 'true',
+      contains: Object.fromEntries(allergens.map((allergen) => [allergen.id, row[allergen.column] === 'true'])),
+      animal_sources: String(row.animal_source || '')
+        .split(';')
+        .map((source) => source.trim())
+        .filter((source) => source && source !== 'none'),
+      honey: row.honey === 'true',
+      high_fodmap: row.high_fodmap === 'true',
       canonical_name: row.canonical_name,
     });
   });
@@ -193,254 +142,31 @@ function loadNutritionPolicy(policyPath, guidelinesPath) {
   };
 }
 
-function parseRatioToNumber(raw) {
+function parseMinutes(value) {
+  const raw = String(value ?? '').trim();
   if (!raw) return null;
-  const trimmed = String(raw).trim();
-  if (!trimmed) return null;
-  const parts = trimmed.split(' ');
-  let whole = 0;
-  let frac = parts[0];
-  if (parts.length === 2) {
-    whole = Number(parts[0]);
-    frac = parts[1];
-  }
-  let num;
-  let den;
-  if (frac.includes('/')) {
-    const [n, d] = frac.split('/');
-    num = Number(n);
-    den = Number(d);
-  } else {
-    num = Number(frac);
-    den = 1;
-  }
-  if (!Number.isFinite(whole) || !Number.isFinite(num) || !Number.isFinite(den) || den === 0) {
-    return null;
-  }
-  return whole + num / den;
+  const minutes = Number(raw);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : null;
 }
 
-function parseNumericField(value) {
-  if (value === null || value === undefined) return null;
-  const num = Number(value);
-  return Number.isFinite(num) ? num : null;
-}
-
-const UNIT_ALIASES = new Map([
-  ['cloves', 'clove'],
-  ['clove', 'clove'],
-  ['sprigs', 'sprig'],
-  ['sprig', 'sprig'],
-  ['leaves', 'leaf'],
-  ['leaf', 'leaf'],
-  ['pieces', 'piece'],
-  ['piece', 'piece'],
-  ['packages', 'package'],
-  ['package', 'package'],
-  ['bags', 'bag'],
-  ['bag', 'bag'],
-  ['bunches', 'bunch'],
-  ['bunch', 'bunch'],
-  ['cans', 'can'],
-  ['can', 'can'],
-  ['jars', 'jar'],
-  ['jar', 'jar'],
-  ['bottles', 'bottle'],
-  ['bottle', 'bottle'],
-  ['fl oz', 'fl_oz'],
-  ['fl-oz', 'fl_oz'],
-  ['fluid ounce', 'fl_oz'],
-  ['fluid ounces', 'fl_oz'],
-  ['tablespoons', 'tbsp'],
-  ['tablespoon', 'tbsp'],
-  ['teaspoons', 'tsp'],
-  ['teaspoon', 'tsp'],
-  ['cups', 'cup'],
-  ['pints', 'pint'],
-  ['pint', 'pint'],
-  ['quarts', 'quart'],
-  ['quart', 'quart'],
-  ['qt', 'quart'],
-  ['ounces', 'oz'],
-  ['ounce', 'oz'],
-  ['pounds', 'lb'],
-  ['pound', 'lb'],
-  ['liters', 'l'],
-  ['liter', 'l'],
-  ['milliliters', 'ml'],
-  ['milliliter', 'ml'],
-  ['ml', 'ml'],
-  ['l', 'l'],
-  ['medium', 'count'],
-  ['large', 'count'],
-  ['small', 'count'],
-  ['piece', 'count'],
-  ['pieces', 'count'],
-  ['bunch', 'count'],
-  ['bunches', 'count'],
-  ['dash', 'tsp'],
-  ['drop', 'tsp'],
-]);
-
-function normalizeUnit(unit) {
-  if (!unit) return null;
-  const cleaned = String(unit).trim().toLowerCase();
-  if (!cleaned) return null;
-  return UNIT_ALIASES.get(cleaned) || cleaned;
-}
-
-function unitDefinition(unitId) {
-  if (!unitId) return null;
-  const normalized = String(unitId).toLowerCase();
-  for (const [groupName, group] of Object.entries(UNIT_CONVERSIONS)) {
-    const def = group.units[normalized];
-    if (def) return { ...def, id: normalized, group: groupName };
-  }
-  return null;
-}
-
-function convertUnitAmount(amount, fromUnit, toUnit) {
-  if (!Number.isFinite(amount)) return null;
-  const fromDef = unitDefinition(fromUnit);
-  const toDef = unitDefinition(toUnit);
-  if (!fromDef || !toDef || fromDef.group !== toDef.group) return null;
-  const amountInBase = amount * fromDef.to_base;
-  const converted = amountInBase / toDef.to_base;
-  return { amount: converted, unit: toDef.id };
-}
-
-function selectNutritionVariant(variants, normalizedUnit, amount) {
-  if (!Array.isArray(variants) || !variants.length) {
-    return { variant: null, convertedAmount: null, matchedUnit: null, convertible: false };
-  }
-  const exact = variants.find((entry) => entry?.serving_unit_norm === normalizedUnit);
-  if (exact) {
-    return { variant: exact, convertedAmount: amount, matchedUnit: normalizedUnit, convertible: true };
-  }
-
-  for (const entry of variants) {
-    const servingUnit = entry?.serving_unit_norm;
-    if (!servingUnit) continue;
-    const conversion = convertUnitAmount(amount, normalizedUnit, servingUnit);
-    if (conversion && Number.isFinite(conversion.amount)) {
-      return { variant: entry, convertedAmount: conversion.amount, matchedUnit: servingUnit, convertible: true };
-    }
-  }
-
-  return { variant: null, convertedAmount: null, matchedUnit: null, convertible: false };
-}
-
-function selectVariantWithFactor(ingredientId, amount, normalizedUnit, variants, unitFactors) {
-  if (!ingredientId || !Array.isArray(variants) || !unitFactors) return null;
-  const factors = unitFactors.get(ingredientId) || [];
-  for (const factor of factors) {
-    let bridgedAmount = null;
-    if (normalizedUnit === factor.from_unit_norm) {
-      bridgedAmount = amount * factor.factor;
-    } else {
-      const fromConversion = convertUnitAmount(amount, normalizedUnit, factor.from_unit_norm);
-      if (!fromConversion || !Number.isFinite(fromConversion.amount)) continue;
-      bridgedAmount = fromConversion.amount * factor.factor;
-    }
-    const match = selectNutritionVariant(variants, factor.to_unit_norm, bridgedAmount);
-    if (match?.variant && Number.isFinite(match.convertedAmount)) {
-      return {
-        variant: match.variant,
-        convertedAmount: match.convertedAmount,
-        bridge: factor,
-      };
-    }
-  }
-  return null;
-}
-
-function selectVariantWithPortion(ingredientId, amount, normalizedUnit, variants, ingredientPortions) {
-  if (!ingredientId || !Array.isArray(variants) || !ingredientPortions) return null;
-  const portions = [...ingredientPortions.values()].filter((entry) => entry.ingredient_id === ingredientId);
-  if (!portions.length) return null;
-  for (const portion of portions) {
-    let portionAmount = null;
-    if (normalizedUnit === portion.unit) {
-      portionAmount = amount;
-    } else {
-      const converted = convertUnitAmount(amount, normalizedUnit, portion.unit);
-      if (converted && Number.isFinite(converted.amount)) {
-        portionAmount = converted.amount;
-      }
-    }
-    if (!Number.isFinite(portionAmount)) continue;
-    const grams = portionAmount * portion.grams;
-    if (!Number.isFinite(grams)) continue;
-    const match = selectNutritionVariant(variants, 'g', grams);
-    if (match?.variant && Number.isFinite(match.convertedAmount)) {
-      return {
-        variant: match.variant,
-        convertedAmount: match.convertedAmount,
-        bridge: portion,
-      };
-    }
-  }
-  return null;
-}
-
-function deriveServingTargets(settings, guidelines) {
-  const dailyCalories = Number(settings?.daily_kcal) || Number(guidelines?.daily_calories_default) || 2000;
-  const mealsPerDay = Number(guidelines?.meals_per_day_default) || 3;
-  const dailySodium = Number(guidelines?.daily_sodium_mg_default) || 2300;
-  const dailySatFat = Number(guidelines?.daily_saturated_fat_g_default) || 20;
-  const meals = mealsPerDay > 0 ? mealsPerDay : 3;
+function buildTimeFields(meta) {
+  const prep = parseMinutes(meta.prep_minutes);
+  const cook = parseMinutes(meta.cook_minutes);
+  const inactive = parseMinutes(meta.inactive_minutes);
+  const parts = [prep, cook, inactive].filter((value) => value !== null);
   return {
-    calories_kcal: dailyCalories / meals,
-    sodium_mg: dailySodium / meals,
-    saturated_fat_g: dailySatFat / meals,
+    prep_minutes: prep,
+    cook_minutes: cook,
+    inactive_minutes: inactive,
+    total_minutes: parts.length ? parts.reduce((sum, value) => sum + value, 0) : null,
+    yield_text: String(meta.yield_text || '').trim(),
   };
 }
 
-function suggestServingsFromTotals(totals, targets) {
-  if (!totals || !targets || !Number.isFinite(totals.kcal) || totals.kcal <= 0) return null;
-  const candidates = [Math.ceil(totals.kcal / targets.calories_kcal)];
-  if (Number.isFinite(totals.sodium_mg) && totals.sodium_mg > 0 && Number.isFinite(targets.sodium_mg)) {
-    candidates.push(Math.ceil(totals.sodium_mg / targets.sodium_mg));
-  }
-  if (Number.isFinite(totals.sat_fat_g) && totals.sat_fat_g > 0 && Number.isFinite(targets.saturated_fat_g)) {
-    candidates.push(Math.ceil(totals.sat_fat_g / targets.saturated_fat_g));
-  }
-  return Math.max(1, ...candidates.filter((value) => Number.isFinite(value) && value > 0));
-}
-
-function listVariantUnits(variants) {
-  if (!Array.isArray(variants)) return [];
-  const seen = new Set();
-  variants.forEach((entry) => {
-    const unit = entry?.serving_unit_norm;
-    if (unit) seen.add(unit);
-  });
-  return [...seen];
-}
-
-function pickSuggestedTargetUnit(normalizedUnit, variants) {
-  const units = listVariantUnits(variants);
-  if (!units.length) return '';
-  const recipeGroup = unitDefinition(normalizedUnit)?.group || null;
-  if (recipeGroup) {
-    const sameGroup = units.find((unit) => unitDefinition(unit)?.group === recipeGroup);
-    if (sameGroup) return sameGroup;
-  }
-  return units[0];
-}
-
-function classifyUnitWorldMismatch(normalizedUnit, targetUnit) {
-  if (!normalizedUnit || !targetUnit) return '';
-  const packageUnits = new Set(['bag', 'bunch', 'can', 'cube', 'jar', 'packet', 'package', 'bottle']);
-  if (packageUnits.has(normalizedUnit)) return 'package';
-  const recipeGroup = unitDefinition(normalizedUnit)?.group || null;
-  const targetGroup = unitDefinition(targetUnit)?.group || null;
-  if (!recipeGroup || !targetGroup || recipeGroup === targetGroup) return '';
-  if (recipeGroup === 'count' && targetGroup === 'volume') return 'count-vs-volume';
-  if (recipeGroup === 'count' && targetGroup === 'mass') return 'count-vs-mass';
-  if (recipeGroup === 'volume' && targetGroup === 'mass') return 'volume-vs-mass';
-  if (recipeGroup === 'mass' && targetGroup === 'volume') return 'volume-vs-mass';
-  return '';
+function parseNumericField(value) {
+  if (value === null || value === undefined) return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
 }
 
 function buildIngredientNutritionVariantsFromCatalog(rows) {
@@ -464,12 +190,15 @@ function buildIngredientNutritionVariantsFromCatalog(rows) {
       saturated_fat_g: parseNumericField(row.saturated_fat_g),
       total_carbs_g: parseNumericField(row.total_carbs_g),
       sugars_g: parseNumericField(row.sugars_g),
+      added_sugars_g: parseNumericField(row.added_sugars_g),
       fiber_g: parseNumericField(row.fiber_g),
       sodium_mg: parseNumericField(row.sodium_mg),
       calcium_mg: parseNumericField(row.calcium_mg),
       iron_mg: parseNumericField(row.iron_mg),
       potassium_mg: parseNumericField(row.potassium_mg),
       vitamin_c_mg: parseNumericField(row.vitamin_c_mg),
+      cooked_yield: row.cooked_yield ? parseNumericField(row.cooked_yield) : null,
+      fat_retention: row.fat_retention ? parseNumericField(row.fat_retention) : null,
       source: row.nutrition_source || '',
       notes: row.nutrition_notes || '',
     });
@@ -499,6 +228,79 @@ function buildIngredientUnitFactorsFromCatalog(rows) {
   return map;
 }
 
+const SERVING_GRAMS_HINT = /\(\s*≈?\s*(\d+(?:\.\d+)?)\s*g\s*\)/i;
+const LEADING_AMOUNT = /^(\d+(?:\.\d+)?)(?:\s*\/\s*(\d+))?\s/;
+
+function servingGramsHint(row) {
+  // serving_size usually carries "(140g)"; older rows keep it in the "Per 1 Tbsp (14g)." note.
+  const text = [row.serving_size, String(row.nutrition_notes || '').replace(/^per\s+/i, '')]
+    .map((value) => String(value || '').trim())
+    .find((value) => SERVING_GRAMS_HINT.test(value));
+  if (!text) return null;
+  // "1/4 cup (28g)" describes its own quantity; otherwise trust serving_qty.
+  const amount = text.match(LEADING_AMOUNT);
+  return {
+    grams: Number(text.match(SERVING_GRAMS_HINT)[1]),
+    quantity: amount ? Number(amount[1]) / Number(amount[2] || 1) : parseNumericField(row.serving_qty),
+  };
+}
+
+/**
+ * Approximate grams per ml and grams per piece for each ingredient, so the recipe page can
+ * offer cup↔g and count↔g conversions. Explicit portion rows win over serving_size gram
+ * hints; unit factors then bridge whatever world is still unknown (e.g. onion tbsp→count).
+ */
+function buildIngredientWeightsFromCatalog(rows, ingredientPortions, ingredientUnitFactors) {
+  const weights = new Map();
+  const gramsPerBase = (ingredientId, world) => {
+    if (world === 'mass') return 1;
+    const entry = weights.get(ingredientId);
+    return world === 'volume' ? entry?.grams_per_ml ?? null : world === 'count' ? entry?.grams_per_count ?? null : null;
+  };
+  const record = (ingredientId, unit, grams, quantity = 1) => {
+    const def = unitDefinition(unit);
+    if (!def || def.group === 'mass' || !(grams > 0) || !(quantity > 0)) return false;
+    if (gramsPerBase(ingredientId, def.group) !== null) return false;
+    const entry = weights.get(ingredientId) || {};
+    entry[def.group === 'volume' ? 'grams_per_ml' : 'grams_per_count'] = grams / (quantity * def.to_base);
+    weights.set(ingredientId, entry);
+    return true;
+  };
+
+  ingredientPortions.forEach((portion) => record(portion.ingredient_id, portion.unit, portion.grams));
+  (rows || []).forEach((row) => {
+    const hint = row?.ingredient_id ? servingGramsHint(row) : null;
+    if (!hint) return;
+    record(row.ingredient_id, normalizeUnit(row.serving_unit_norm), hint.grams, hint.quantity);
+  });
+
+  let bridged = true;
+  while (bridged) {
+    bridged = false;
+    ingredientUnitFactors.forEach((factors, ingredientId) => {
+      factors.forEach((factor) => {
+        const fromDef = unitDefinition(factor.from_unit_norm);
+        const toDef = unitDefinition(factor.to_unit_norm);
+        if (!fromDef || !toDef || !(factor.factor > 0)) return;
+        const fromGrams = gramsPerBase(ingredientId, fromDef.group);
+        const toGrams = gramsPerBase(ingredientId, toDef.group);
+        if (toGrams !== null && fromGrams === null) {
+          bridged = record(ingredientId, fromDef.id, factor.factor * toDef.to_base * toGrams) || bridged;
+        } else if (fromGrams !== null && toGrams === null) {
+          bridged = record(ingredientId, toDef.id, fromDef.to_base * fromGrams, factor.factor) || bridged;
+        }
+      });
+    });
+  }
+
+  weights.forEach((entry) => {
+    Object.keys(entry).forEach((key) => {
+      entry[key] = Number(entry[key].toPrecision(4));
+    });
+  });
+  return weights;
+}
+
 function buildNutritionProfile(entries) {
   if (!entries) return [];
   const list = Array.isArray(entries) ? entries : [entries];
@@ -511,17 +313,37 @@ function buildNutritionProfile(entries) {
     saturated_fat_g: entry.saturated_fat_g ?? null,
     total_carbs_g: entry.total_carbs_g ?? null,
     sugars_g: entry.sugars_g ?? null,
+    added_sugars_g: entry.added_sugars_g ?? null,
     fiber_g: entry.fiber_g ?? null,
     sodium_mg: entry.sodium_mg ?? null,
     calcium_mg: entry.calcium_mg ?? null,
     iron_mg: entry.iron_mg ?? null,
     potassium_mg: entry.potassium_mg ?? null,
     vitamin_c_mg: entry.vitamin_c_mg ?? null,
+    cooked_yield: entry.cooked_yield ?? null,
+    fat_retention: entry.fat_retention ?? null,
     source: entry.source || '',
     notes: entry.notes || '',
   }));
 }
 
+function buildSearchDocuments(recipes, catalog) {
+  return recipes.map((recipe) => {
+    const options = Object.values(recipe.ingredients || {}).flatMap((tokenData) => tokenData.options || []);
+    return {
+      id: recipe.id,
+      fields: {
+        title: [recipe.title],
+        ingredient: options.map((opt) => opt.display),
+        catalog: options.map((opt) => catalog.get(opt.ingredient_id)?.canonical_name).filter(Boolean),
+        tags: [...(recipe.categories || []), recipe.family, recipe.byline].filter(Boolean),
+        step: (recipe.steps || []).map((step) => step.text),
+        notes: [recipe.notes].filter(Boolean),
+      },
+    };
+  });
+}
+
 function assertVolumeConversions() {
   const checks = [
     ['tsp', 5],
@@ -568,38 +390,44 @@ function loadPanCatalog(catalogPath) {
   return { panCatalog: map, panList: list };
 }
 
-function ingredientCompatible(flags, restriction) {
+function ingredientCompatible(flags, allergen) {
+  if (!flags) return false;
+  return flags.contains[allergen.id] === false;
+}
+
+function fitsDiet(flags, diet) {
   if (!flags) return false;
-  if (restriction === 'gluten_free') return flags.contains_gluten === false;
-  if (restriction === 'egg_free') return flags.contains_egg === false;
-  if (restriction === 'dairy_free') return flags.contains_dairy === false;
+  if (flags.animal_sources.some((source) => diet.exclude_animal_sources.includes(source))) return false;
+  if (diet.exclude_honey && flags.honey) return false;
+  if (diet.exclude_high_fodmap && flags.high_fodmap) return false;
   return true;
 }
 
+// Allergen "<id>_free" keys and diet ids share one flag map so restrictions treat them alike.
+function dietaryFlags(flags, allergens, diets) {
+  return {
+    ...Object.fromEntries(allergens.map((allergen) => [allergen.key, ingredientCompatible(flags, allergen)])),
+    ...Object.fromEntries(diets.map((diet) => [diet.key, fitsDiet(flags, diet)])),
+  };
+}
+
 function parseBoolean(value) {
   return ['true', '1', 'yes', 'y', 'on'].includes(String(value || '').trim().toLowerCase());
 }
 
-function computeCompatibility(ingredients, catalog) {
-  const restrictions = ['gluten_free', 'egg_free', 'dairy_free'];
-  const result = { gluten_free: true, egg_free: true, dairy_free: true };
+/**
+ * A recipe can meet a restriction when every plain token complies and every choice token
+ * has at least one complying option. `keys` are option `dietary` flag names.
+ */
+function computeCompatibility(ingredients, keys) {
+  const result = Object.fromEntries(keys.map((key) => [key, true]));
 
-  for (const restriction of restrictions) {
+  for (const key of keys) {
     for (const tokenData of Object.values(ingredients)) {
-      if (tokenData.isChoice) {
-        const compatibleOption = tokenData.options.some((opt) =>
-          ingredientCompatible(catalog.get(opt.ingredient_id), restriction)
-        );
-        if (!compatibleOption) {
-          result[restriction] = false;
-          break;
-        }
-      } else {
-        const flags = catalog.get(tokenData.options[0].ingredient_id);
-        if (!ingredientCompatible(flags, restriction)) {
-          result[restriction] = false;
-          break;
-        }
+      const candidates = tokenData.isChoice ? tokenData.options : tokenData.options.slice(0, 1);
+      if (!candidates.some((opt) => opt.dietary[key])) {
+        result[key] = false;
+        break;
       }
     }
   }
@@ -607,261 +435,49 @@ function computeCompatibility(ingredients, catalog) {
   return result;
 }
 
-function selectDefaultOption(tokenData, choice) {
-  if (!tokenData?.options?.length) return null;
-  if (!tokenData.isChoice) return tokenData.options[0];
-  const preferred = choice?.default_option;
-  if (preferred) {
-    return tokenData.options.find((opt) => opt.option === preferred) || tokenData.options[0];
-  }
-  const withOption = tokenData.options.find((opt) => opt.option);
-  return withOption || tokenData.options[0];
-}
-
-function computeNutritionEstimate(
-  ingredients,
-  choices,
-  nutritionVariants,
-  unitFactors,
-  ingredientPortions,
-  guidelines,
-  recipesById = null,
-  visited = new Set()
-) {
-  const targets = deriveServingTargets(null, guidelines);
-  let covered = 0;
-  const missing = [];
-  const totals = {
-    kcal: 0,
-    sodium_mg: 0,
-    sat_fat_g: 0,
+const PARITY_FIELDS = [
+  ['calories_total', 'kcal'],
+  ['sodium_total_mg', 'sodium_mg'],
+  ['sat_fat_total_g', 'sat_fat_g'],
+  ['added_sugar_total_g', 'added_sugar_g'],
+  ['cooked_weight_g', 'weight_g'],
+];
+
+function parityMatches(baked, live, field) {
+  if (baked === null || live === null || baked === undefined || live === undefined) return baked == live;
+  // cooked_weight_g is baked rounded to the gram.
+  const tolerance = field === 'cooked_weight_g' ? 0.5 : 1e-6 * Math.max(1, Math.abs(baked));
+  return Math.abs(baked - live) <= tolerance;
+}
+
+/**
+ * Re-read the built JSON the way the recipe page does and recompute every recipe's default
+ * options with computeBatchTotals; the baked nutrition_estimate must agree with it.
+ */
+function assertNutritionParity(builtDir) {
+  const readBuilt = (name) => JSON.parse(fs.readFileSync(path.join(builtDir, name), 'utf-8'));
+  const recipes = readBuilt('recipes.json');
+  const context = {
+    recipeIndex: new Map(recipes.map((recipe) => [recipe.id, recipe])),
+    ingredientPortions: ingredientPortionsFromJson(readBuilt('ingredient-portions.json')),
+    ingredientUnitFactors: ingredientUnitFactorsFromJson(readBuilt('ingredient-unit-factors.json')),
   };
-  let totalIngredients = 0;
-  const tokens = Object.keys(ingredients || {});
-  tokens.forEach((token) => {
-    const tokenData = ingredients[token];
-    const option = selectDefaultOption(tokenData, choices[token]);
-    if (!option || !option.ratio || !option.unit) return;
-    const amount = parseRatioToNumber(option.ratio);
-    if (!Number.isFinite(amount)) return;
-    const normalizedUnit = normalizeUnit(option.unit);
-    if (!normalizedUnit) return;
-
-    if (normalizedUnit === 'recipe') {
-      const recipeId = option.ingredient_id;
-      const recipe = recipesById?.get?.(recipeId);
-      if (recipe && !visited.has(recipeId)) {
-        visited.add(recipeId);
-        const nested = computeNutritionEstimate(
-          recipe.ingredients,
-          recipe.choices,
-          nutritionVariants,
-          unitFactors,
-          ingredientPortions,
-          guidelines,
-          recipesById,
-          visited
-        );
-        visited.delete(recipeId);
-        totals.kcal += amount * (nested.calories_total || 0);
-        totals.sodium_mg += amount * (nested.sodium_total_mg || 0);
-        totals.sat_fat_g += amount * (nested.sat_fat_total_g || 0);
-        covered += nested.covered_ingredients || 0;
-        totalIngredients += nested.total_ingredients || 0;
-        if (Array.isArray(nested.missing_ingredients)) {
-          missing.push(...nested.missing_ingredients);
-        }
-        return;
-      }
-
-      missing.push({ ingredient_id: recipeId, unit: normalizedUnit || option.unit });
-      totalIngredients += 1;
-      return;
-    }
-
-    const variants = nutritionVariants.get(option.ingredient_id) || [];
-    const selection = selectNutritionVariant(variants, normalizedUnit, amount);
-    let variant = selection.variant;
-    let convertedAmount = selection.convertedAmount;
-
-    if (!variant) {
-      const factorMatch = selectVariantWithFactor(
-        option.ingredient_id,
-        amount,
-        normalizedUnit,
-        variants,
-        unitFactors
-      );
-      variant = factorMatch?.variant || null;
-      convertedAmount = factorMatch?.convertedAmount ?? null;
-    }
-
-    if (!variant) {
-      const portionMatch = selectVariantWithPortion(
-        option.ingredient_id,
-        amount,
-        normalizedUnit,
-        variants,
-        ingredientPortions
-      );
-      variant = portionMatch?.variant || null;
-      convertedAmount = portionMatch?.convertedAmount ?? null;
-    }
-
-    if (!variant || !Number.isFinite(convertedAmount)) {
-      missing.push({ ingredient_id: option.ingredient_id, unit: normalizedUnit || option.unit });
-      totalIngredients += 1;
-      return;
-    }
-
-    if (![variant.calories_kcal, variant.sodium_mg, variant.saturated_fat_g].every(Number.isFinite)) {
-      missing.push({ ingredient_id: option.ingredient_id, unit: normalizedUnit || option.unit });
-      totalIngredients += 1;
-      return;
-    }
-
-    const servingQty = Number.isFinite(variant.serving_qty) ? variant.serving_qty : 1;
-    const multiplier = servingQty ? convertedAmount / servingQty : 0;
-    totals.kcal += multiplier * variant.calories_kcal;
-    totals.sodium_mg += multiplier * variant.sodium_mg;
-    totals.sat_fat_g += multiplier * variant.saturated_fat_g;
-    covered += 1;
-    totalIngredients += 1;
-  });
-
-  const suggestedServings = suggestServingsFromTotals(totals, targets);
-  const perServing = suggestedServings
-    ? {
-        kcal: totals.kcal / suggestedServings,
-        sodium_mg: totals.sodium_mg / suggestedServings,
-        sat_fat_g: totals.sat_fat_g / suggestedServings,
-      }
-    : null;
-
-  return {
-    calories_total: totals.kcal,
-    calories_per_serving: perServing?.kcal ?? null,
-    sodium_total_mg: totals.sodium_mg,
-    sat_fat_total_g: totals.sat_fat_g,
-    servings_estimate: suggestedServings,
-    covered_ingredients: covered,
-    total_ingredients: totalIngredients,
-    coverage_ratio: totalIngredients ? covered / totalIngredients : 0,
-    target_meal_calories: targets.calories_kcal,
-    missing_ingredients: missing,
-  };
-}
-
-function generateNutritionCoverageReport(recipes, nutritionVariants, unitFactors, ingredientPortions, recipesById = null) {
-  const missing = new Map();
-
+  const mismatches = [];
   recipes.forEach((recipe) => {
-    const ingredients = recipe.ingredients || {};
-    const choices = recipe.choices || {};
-    Object.keys(ingredients).forEach((token) => {
-      const tokenData = ingredients[token];
-      const option = selectDefaultOption(tokenData, choices[token]);
-      if (!option || !option.ratio || !option.unit) return;
-      const amount = parseRatioToNumber(option.ratio);
-      if (!Number.isFinite(amount)) return;
-      const normalizedUnit = normalizeUnit(option.unit);
-      const variants = nutritionVariants.get(option.ingredient_id) || [];
-      let reason = null;
-      const variantUnits = listVariantUnits(variants);
-      const suggestedTargetUnit = pickSuggestedTargetUnit(normalizedUnit, variants);
-      const mismatchType = classifyUnitWorldMismatch(normalizedUnit, suggestedTargetUnit);
-
-      if (normalizedUnit === 'recipe') {
-        if (!recipesById?.has?.(option.ingredient_id)) {
-          reason = 'recipe-reference-needed';
-        }
-      } else if (!variants.length) {
-        reason = 'missing-nutrition-row';
-      } else {
-        const selection = selectNutritionVariant(variants, normalizedUnit, amount);
-        let variant = selection.variant;
-        let convertedAmount = selection.convertedAmount;
-
-        if (!variant) {
-          const factorMatch = selectVariantWithFactor(
-            option.ingredient_id,
-            amount,
-            normalizedUnit,
-            variants,
-            unitFactors
-          );
-          variant = factorMatch?.variant || null;
-          convertedAmount = factorMatch?.convertedAmount ?? null;
-        }
-
-        if (!variant) {
-          const portionMatch = selectVariantWithPortion(
-            option.ingredient_id,
-            amount,
-            normalizedUnit,
-            variants,
-            ingredientPortions
-          );
-          variant = portionMatch?.variant || null;
-          convertedAmount = portionMatch?.convertedAmount ?? null;
-        }
-
-        if (!variant) {
-          const recipeGroup = unitDefinition(normalizedUnit)?.group || null;
-          const hasSameGroup = variants.some((entry) => {
-            const servingGroup = unitDefinition(entry?.serving_unit_norm)?.group || null;
-            return servingGroup && recipeGroup && servingGroup === recipeGroup;
-          });
-          reason = hasSameGroup ? 'no-convertible-variant' : 'missing-cross-factor';
-        }
-
-        if (!reason && (!variant || !Number.isFinite(convertedAmount))) {
-          reason = 'no-convertible-variant';
-        }
-
-        if (!reason) {
-          const required = [
-            variant.calories_kcal,
-            variant.protein_g,
-            variant.total_fat_g,
-            variant.saturated_fat_g,
-            variant.total_carbs_g,
-            variant.sugars_g,
-            variant.fiber_g,
-            variant.sodium_mg,
-            variant.calcium_mg,
-            variant.iron_mg,
-            variant.potassium_mg,
-            variant.vitamin_c_mg,
-          ];
-          if (required.some((value) => !Number.isFinite(value))) {
-            reason = 'non-numeric-fields';
-          }
-        }
+    const baked = recipe.nutrition_estimate || {};
+    const live = computeBatchTotals(recipe, defaultNutritionState(recipe, context));
+    PARITY_FIELDS.forEach(([field, key]) => {
+      if (!parityMatches(baked[field], live[key], field)) {
+        mismatches.push(`${recipe.id}: ${field} baked ${baked[field]} but the browser computes ${live[key]}`);
       }
-
-      if (!reason) return;
-      const key = `${option.ingredient_id}::${normalizedUnit || ''}::${reason}`;
-      if (!missing.has(key)) {
-        missing.set(key, {
-          ingredient_id: option.ingredient_id,
-          unit_norm: normalizedUnit || '',
-          reason,
-          example_recipe_id: recipe.id,
-          example_qty: option.ratio,
-          nutrition_variants_units: variantUnits.join(','),
-          suggested_target_unit: suggestedTargetUnit,
-          unit_world_mismatch_type: mismatchType,
-          count_occurrences: 0,
-        });
-      }
-      missing.get(key).count_occurrences += 1;
     });
+    if (!(baked.missing_ingredients || []).length !== live.complete) {
+      mismatches.push(`${recipe.id}: baked and browser estimates disagree on whether nutrition is complete`);
+    }
   });
-
-  return [...missing.values()].sort((a, b) =>
-    a.ingredient_id.localeCompare(b.ingredient_id) || a.unit_norm.localeCompare(b.unit_norm)
-  );
+  if (mismatches.length) {
+    throw new Error(`Nutrition parity check failed:\n  ${mismatches.join('\n  ')}`);
+  }
 }
 
 async function build() {
@@ -869,16 +485,20 @@ async function build() {
   await validateAll();
   const catalogPath = path.join(process.cwd(), 'data', 'ingredient_catalog.csv');
   const catalogRows = loadIngredientCatalogRows(catalogPath);
-  const catalog = buildIngredientCatalog(catalogRows);
+  const allergens = loadAllergens(path.join(process.cwd(), 'data', 'allergens.json'), Object.keys(catalogRows[0] || {}));
+  const diets = loadDiets(path.join(process.cwd(), 'data', 'diets.json'));
+  const catalog = buildIngredientCatalog(catalogRows, allergens);
   const ingredientPortions = buildIngredientPortionsFromCatalog(catalogRows);
   const nutritionVariants = buildIngredientNutritionVariantsFromCatalog(catalogRows);
   const ingredientUnitFactors = buildIngredientUnitFactorsFromCatalog(catalogRows);
+  const ingredientWeights = buildIngredientWeightsFromCatalog(catalogRows, ingredientPortions, ingredientUnitFactors);
   const nutritionGuidelines = loadNutritionGuidelines(path.join(process.cwd(), 'data', 'nutrition_guidelines.json'));
   const nutritionPolicy = loadNutritionPolicy(
     path.join(process.cwd(), 'data', 'nutrition_policy.json'),
     path.join(process.cwd(), 'data', 'nutrition_guidelines.json')
   );
   const { panCatalog, panList } = loadPanCatalog(path.join(process.cwd(), 'data', 'pan-sizes.json'));
+  const categoryTaxonomy = buildCategoryTaxonomy(await parseCSVFile(path.join(process.cwd(), 'data', 'categories.csv')));
   const recipesDir = path.join(process.cwd(), 'recipes');
   const recipeDirs = fs.readdirSync(recipesDir, { withFileTypes: true }).filter((ent) => ent.isDirectory());
 
@@ -930,13 +550,16 @@ async function build() {
         depends_on: dependency,
         line_group: row.line_group || null,
         section: row.section || null,
-        dietary: {
-          gluten_free: ingredientCompatible(flags, 'gluten_free'),
-          egg_free: ingredientCompatible(flags, 'egg_free'),
-          dairy_free: ingredientCompatible(flags, 'dairy_free'),
-        },
+        dietary: dietaryFlags(flags, allergens, diets),
         nutrition: nutritionProfile,
       };
+      if (ingredientWeights.has(row.ingredient_id)) {
+        optionEntry.unit_weights = ingredientWeights.get(row.ingredient_id);
+      }
+      const scaling = parseIngredientScaling(row.scaling, row.scaling_exponent);
+      if (scaling && scaling.rule !== 'linear') {
+        optionEntry.scaling = scaling;
+      }
       ingredients[row.token].options.push(optionEntry);
       if (row.section) {
         ingredients[row.token].section = ingredients[row.token].section || row.section;
@@ -980,7 +603,9 @@ async function build() {
       }
     }
 
-    const compatibility = computeCompatibility(ingredients, catalog);
+    const compatibility = computeCompatibility(ingredients, allergens.map((allergen) => allergen.key));
+    const dietPossible = computeCompatibility(ingredients, diets.map((diet) => diet.key));
+    const timeFields = buildTimeFields(meta);
     const metaServingsPerBatchRaw = Number(meta.servings_per_batch);
     const metaServingsPerBatch =
       Number.isFinite(metaServingsPerBatchRaw) && metaServingsPerBatchRaw > 0 ? metaServingsPerBatchRaw : null;
@@ -1001,13 +626,21 @@ async function build() {
       }
     });
 
+    const categories = normalizeCategories(meta.categories, categoryTaxonomy);
+    categories.forEach((label) => {
+      // A hand-typed diet category (e.g. Vegan) should agree with what the ingredients allow.
+      const dietId = resolveCategory(categoryTaxonomy, label)?.id.replace(/-/g, '_');
+      if (dietId in dietPossible && !dietPossible[dietId]) {
+        console.warn(`${recipeId}: categorized as ${label} but its ingredients cannot be made ${label.toLowerCase()}.`);
+      }
+    });
     recipeOutputs.push({
       id: meta.id,
       title: meta.title,
       byline: meta.byline || '',
       base_kind: meta.base_kind,
       default_base: Number(meta.default_base) || 1,
-      categories: parseCategories(meta.categories),
+      categories,
       family: meta.family || '',
       notes: meta.notes,
       nutrition_estimate: null,
@@ -1022,33 +655,37 @@ async function build() {
       pan_sizes: panSizes,
       default_pan: defaultPanId,
       servings_per_batch: null,
+      finished_weight_g: Number(meta.finished_weight_g) > 0 ? Number(meta.finished_weight_g) : null,
+      ...timeFields,
       compatibility_possible: compatibility,
+      diet_possible: dietPossible,
     });
 
     indexList.push({
       id: meta.id,
       title: meta.title,
       byline: meta.byline || '',
-      categories: parseCategories(meta.categories),
+      categories,
       family: meta.family || '',
+      ...timeFields,
       compatibility_possible: compatibility,
+      diet_possible: dietPossible,
+      ingredient_ids: [...new Set(ingredientRows.map((row) => row.ingredient_id).filter(Boolean))],
+      ingredient_names: [...new Set(ingredientRows.map((row) => row.display).filter(Boolean))],
     });
   }
 
   const recipesById = new Map(recipeOutputs.map((recipe) => [recipe.id, recipe]));
+  const nutritionContext = { recipeIndex: recipesById, ingredientPortions, ingredientUnitFactors };
   recipeOutputs.forEach((recipe) => {
-    const nutritionEstimate = computeNutritionEstimate(
-      recipe.ingredients,
-      recipe.choices,
-      nutritionVariants,
-      ingredientUnitFactors,
-      ingredientPortions,
-      nutritionGuidelines,
-      recipesById
-    );
+    const nutritionEstimate = bakeNutritionEstimate(recipe, nutritionContext, nutritionGuidelines);
     const metaServingsPerBatch = metaServingsPerBatchById.get(recipe.id);
     const servingsPerBatch =
       Number.isFinite(metaServingsPerBatch) && metaServingsPerBatch > 0 ? metaServingsPerBatch : null;
+    const batchWeight = nutritionEstimate.cooked_weight_g;
+    const servings = servingsPerBatch || nutritionEstimate.servings_estimate;
+    nutritionEstimate.grams_per_serving =
+      Number.isFinite(batchWeight) && servings ? Math.round(batchWeight / servings) : null;
     recipe.nutrition_estimate = nutritionEstimate;
     recipe.servings_per_batch = servingsPerBatch;
   });
@@ -1059,6 +696,18 @@ async function build() {
   }
   fs.writeFileSync(path.join(builtDir, 'nutrition-policy.json'), JSON.stringify(nutritionPolicy, null, 2));
   fs.writeFileSync(path.join(builtDir, 'nutrition-guidelines.json'), JSON.stringify(nutritionGuidelines, null, 2));
+  fs.writeFileSync(
+    path.join(builtDir, 'allergens.json'),
+    JSON.stringify(allergens.map(({ id, key, name, short, list_badge }) => ({ id, key, name, short, list_badge })), null, 2)
+  );
+  fs.writeFileSync(
+    path.join(builtDir, 'diets.json'),
+    JSON.stringify(diets.map(({ id, key, name, short, list_badge }) => ({ id, key, name, short, list_badge })), null, 2)
+  );
+  fs.writeFileSync(
+    path.join(builtDir, 'categories.json'),
+    JSON.stringify(categoryTaxonomy.categories.map(({ id, label, parent }) => ({ id, label, parent })), null, 2)
+  );
   fs.writeFileSync(
     path.join(builtDir, 'ingredient-portions.json'),
     JSON.stringify([...ingredientPortions.values()], null, 2)
@@ -1069,30 +718,23 @@ async function build() {
   );
   fs.writeFileSync(path.join(builtDir, 'recipes.json'), JSON.stringify(recipeOutputs, null, 2));
   fs.writeFileSync(path.join(builtDir, 'index.json'), JSON.stringify(indexList, null, 2));
-  const coverageReport = generateNutritionCoverageReport(
-    recipeOutputs,
-    nutritionVariants,
-    ingredientUnitFactors,
-    ingredientPortions,
-    recipesById
+  const shardDir = path.join(builtDir, 'recipes');
+  fs.rmSync(shardDir, { recursive: true, force: true });
+  fs.mkdirSync(shardDir, { recursive: true });
+  recipeOutputs.forEach((recipe) => {
+    fs.writeFileSync(path.join(shardDir, `${recipe.id}.json`), JSON.stringify(recipe, null, 2));
+  });
+  fs.writeFileSync(
+    path.join(builtDir, 'search-index.json'),
+    JSON.stringify(buildSearchIndex(buildSearchDocuments(recipeOutputs, catalog)))
+  );
+  writeStaticRecipePages(recipeOutputs, path.join(process.cwd(), 'docs', 'r'));
+  assertNutritionParity(builtDir);
+  const coverageReport = nutritionCoverageGaps(recipeOutputs, nutritionContext);
+  fs.writeFileSync(
+    path.join(builtDir, 'nutrition_coverage_report.csv'),
+    stringifyCSV(NUTRITION_COVERAGE_COLUMNS, coverageReport)
   );
-  const coverageCsv = [
-    'ingredient_id,unit_norm,example_recipe_id,count_occurrences,example_qty,reason,nutrition_variants_units,suggested_target_unit,unit_world_mismatch_type',
-    ...coverageReport.map((row) =>
-      [
-        csvEscape(row.ingredient_id),
-        csvEscape(row.unit_norm),
-        csvEscape(row.example_recipe_id),
-        csvEscape(row.count_occurrences),
-        csvEscape(row.example_qty),
-        csvEscape(row.reason),
-        csvEscape(row.nutrition_variants_units),
-        csvEscape(row.suggested_target_unit),
-        csvEscape(row.unit_world_mismatch_type),
-      ].join(',')
-    ),
-  ].join('\n');
-  fs.writeFileSync(path.join(builtDir, 'nutrition_coverage_report.csv'), `${coverageCsv}\n`);
   const strictMode = process.env.NUTRITION_STRICT === '1';
   fs.writeFileSync(
     path.join(builtDir, 'nutrition-coverage.json'),
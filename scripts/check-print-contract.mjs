@@ -45,6 +45,22 @@ if (recipeJs.includes('let lastSection') && recipeJs.includes('print-section-hea
   throw new Error('Print section rendering should not rely on lastSection; use groupLinesBySection().');
 }
 
+if (!recipeHtml.includes('id="print-nutrition-facts"')) {
+  throw new Error('Missing required print element: #print-nutrition-facts');
+}
+
+if (!recipeJs.includes("renderNutritionFacts(factsEl, state.nutritionFacts") || !recipeJs.includes('renderPrintNutrition(state)')) {
+  throw new Error('The print snapshot must render the Nutrition Facts label via renderNutritionFacts().');
+}
+
+if (!recipeJs.includes('nutritionFactsRows(')) {
+  throw new Error('Nutrition Facts must be built from nutritionFactsRows() so screen and print agree.');
+}
+
+if (!/#print-recipe\s+\.nutrition-facts\s*\{/.test(styles)) {
+  throw new Error('Print stylesheet must style the Nutrition Facts label inside #print-recipe.');
+}
+
 if (!styles.includes('#print-recipe')) {
   throw new Error('Print stylesheet must explicitly target #print-recipe.');
 }
@@ -0,0 +1,55 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { JSDOM } from 'jsdom';
+
+// Renders docs/recipe.html with docs/recipe.js end to end, serving fetches from docs/.
+const docsDir = path.resolve('docs');
+const recipeId = 'blintzes';
+const dom = new JSDOM(fs.readFileSync(path.join(docsDir, 'recipe.html'), 'utf8'), {
+  url: `http://localhost/recipe.html?id=${recipeId}`,
+  pretendToBeVisual: true,
+});
+const { window } = dom;
+
+for (const key of Object.getOwnPropertyNames(window)) {
+  if (!(key in globalThis)) globalThis[key] = window[key];
+}
+Object.defineProperty(globalThis, 'navigator', { value: window.navigator, configurable: true });
+globalThis.fetch = async (url) => {
+  const filePath = path.join(docsDir, new URL(url, window.location.href).pathname);
+  if (!fs.existsSync(filePath)) return new Response('', { status: 404 });
+  return new Response(fs.readFileSync(filePath, 'utf8'), { status: 200 });
+};
+
+const errors = [];
+const originalConsoleError = console.error;
+console.error = (...args) => errors.push(args.map(String).join(' '));
+
+await import('../docs/recipe.js');
+
+const { document } = window;
+const ingredientsList = document.getElementById('ingredients-list');
+for (let waited = 0; waited < 5000 && !ingredientsList?.children.length; waited += 20) {
+  await new Promise((resolve) => setTimeout(resolve, 20));
+}
+console.error = originalConsoleError;
+
+if (errors.length) {
+  throw new Error(`Recipe page logged errors while rendering ${recipeId}:\n${errors.join('\n')}`);
+}
+if (!ingredientsList || !ingredientsList.children.length) {
+  throw new Error(`Recipe page did not render ingredients for ${recipeId}: ${document.body.textContent.trim().slice(0, 200)}`);
+}
+if (!document.getElementById('steps-list')?.children.length) {
+  throw new Error(`Recipe page did not render steps for ${recipeId}.`);
+}
+if (!document.getElementById('recipe-title')?.textContent.trim()) {
+  throw new Error(`Recipe page did not render a title for ${recipeId}.`);
+}
+if (!document.getElementById('dietary-badges')?.children.length) {
+  throw new Error(`Recipe page did not render dietary badges for ${recipeId}.`);
+}
+
+window.close();
+console.log('Recipe page render passed');
+process.exit(0);
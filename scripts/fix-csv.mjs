@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { parseCSVRecords, stringifyCSV } from '../docs/csv-utils.js';
+
+// When a row has too many fields, the surplus almost always comes from unquoted commas in
+// free-text prose. These are the columns allowed to absorb them.
+const FREE_TEXT_COLUMNS = {
+  'meta.csv': 'notes',
+  'steps.csv': 'text',
+  'ingredient_catalog.csv': 'nutrition_notes',
+};
+
+function listDefaultFiles(root) {
+  const files = [];
+  const recipesDir = path.join(root, 'recipes');
+  fs.readdirSync(recipesDir, { withFileTypes: true })
+    .filter((ent) => ent.isDirectory())
+    .forEach((ent) => {
+      fs.readdirSync(path.join(recipesDir, ent.name))
+        .filter((name) => name.endsWith('.csv'))
+        .forEach((name) => files.push(path.join(recipesDir, ent.name, name)));
+    });
+  const dataDir = path.join(root, 'data');
+  fs.readdirSync(dataDir)
+    .filter((name) => name.endsWith('.csv'))
+    .forEach((name) => files.push(path.join(dataDir, name)));
+  return files.sort();
+}
+
+/**
+ * Re-read a CSV leniently and return { content, fixes } in canonical form:
+ * LF line endings, a trailing newline, and quotes only where a field needs them.
+ */
+export function canonicalizeCSV(text, filePath) {
+  const label = path.relative(process.cwd(), filePath);
+  const records = parseCSVRecords(text, { label, strict: false });
+  if (!records.length) return { content: text, fixes: [] };
+  const [headerRecord, ...dataRecords] = records;
+  const headers = headerRecord.fields.map((header) => header.trim());
+  const freeTextColumn = FREE_TEXT_COLUMNS[path.basename(filePath)];
+  const freeTextIdx = headers.indexOf(freeTextColumn);
+  const fixes = [];
+
+  const rows = dataRecords.map((record) => {
+    const fields = [...record.fields];
+    while (fields.length > headers.length && fields[fields.length - 1] === '') {
+      fields.pop();
+    }
+    if (fields.length < record.fields.length) {
+      fixes.push(`${label}:${record.line}: dropped ${record.fields.length - fields.length} empty trailing field(s)`);
+    }
+    if (fields.length > headers.length) {
+      if (freeTextIdx === -1) {
+        throw new Error(
+          `${label}:${record.line}: ${fields.length} fields for ${headers.length} columns and no free-text column to merge into; fix by hand`
+        );
+      }
+      const surplus = fields.length - headers.length;
+      const merged = fields.slice(freeTextIdx, freeTextIdx + surplus + 1).join(',');
+      fields.splice(freeTextIdx, surplus + 1, merged);
+      fixes.push(`${label}:${record.line}: merged ${surplus} unquoted comma(s) back into ${freeTextColumn}`);
+    } else if (fields.length < headers.length) {
+      fixes.push(`${label}:${record.line}: padded ${headers.length - fields.length} missing trailing field(s)`);
+      while (fields.length < headers.length) fields.push('');
+    }
+    return fields;
+  });
+
+  return { content: stringifyCSV(headers, rows), fixes };
+}
+
+function fixCsv() {
+  const args = process.argv.slice(2);
+  const checkOnly = args.includes('--check');
+  const targets = args.filter((arg) => !arg.startsWith('--'));
+  const files = targets.length ? targets.map((target) => path.resolve(target)) : listDefaultFiles(process.cwd());
+
+  const changed = [];
+  files.forEach((filePath) => {
+    const original = fs.readFileSync(filePath, 'utf-8');
+    const { content, fixes } = canonicalizeCSV(original, filePath);
+    fixes.forEach((fix) => console.log(fix));
+    if (content === original) return;
+    changed.push(path.relative(process.cwd(), filePath));
+    if (!checkOnly) fs.writeFileSync(filePath, content);
+  });
+
+  if (checkOnly && changed.length) {
+    console.error(`${changed.length} CSV file(s) are not in canonical form:\n  ${changed.join('\n  ')}`);
+    console.error('Run npm run fix:csv to rewrite them.');
+    process.exit(1);
+  }
+  console.log(`${checkOnly ? 'Checked' : 'Rewrote'} ${checkOnly ? files.length : changed.length} CSV file(s).`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    fixCsv();
+  } catch (err) {
+    console.error(err.message || err);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,584 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { createInterface } from 'readline/promises';
+import { parseCSV, parseCSVRecords, stringifyCSV } from '../docs/csv-utils.js';
+import { convertUnitAmount, normalizeUnit, unitDefinition } from '../docs/recipe-utils.js';
+import { validateAll } from './validate.mjs';
+
+// Catalog nutrient columns by FDC nutrient number; the first number a food reports wins.
+// Foundation foods often carry only the Atwater energy values (958/957) instead of 208.
+const FDC_NUTRIENTS = {
+  calories_kcal: ['208', '958', '957'],
+  protein_g: ['203'],
+  total_fat_g: ['204'],
+  saturated_fat_g: ['606'],
+  total_carbs_g: ['205'],
+  sugars_g: ['269', '269.3'],
+  added_sugars_g: ['539'],
+  fiber_g: ['291'],
+  sodium_mg: ['307'],
+  calcium_mg: ['301'],
+  iron_mg: ['303'],
+  potassium_mg: ['306'],
+  vitamin_c_mg: ['401'],
+};
+
+const DATA_TYPE_BONUS = {
+  foundation_food: 0.05,
+  sr_legacy_food: 0.03,
+  survey_fndds_food: 0,
+  branded_food: -0.1,
+};
+
+const JSON_FOOD_KEYS = ['FoundationFoods', 'SRLegacyFoods', 'SurveyFoods', 'BrandedFoods'];
+const JSON_DATA_TYPES = {
+  Foundation: 'foundation_food',
+  'SR Legacy': 'sr_legacy_food',
+  'Survey (FNDDS)': 'survey_fndds_food',
+  Branded: 'branded_food',
+};
+
+const FILLER_WORDS = new Set([
+  'and', 'with', 'without', 'of', 'in', 'the', 'or', 'nfs', 'ns', 'all', 'from', 'fresh', 'raw', 'type',
+  'commercial', 'includes', 'usda', 'commodity', 'prepared', 'form', 'solids', 'liquids', 'added',
+]);
+const COOKED_WORDS = new Set(['cooked', 'boiled', 'baked', 'roasted', 'fried', 'canned', 'dried', 'frozen']);
+
+const USAGE = 'Usage: node scripts/import-fdc.mjs <fdc-dump-dir-or.json> [--ingredient id[,id]] [--unsourced] ' +
+  '[--min-score 0.5] [--yes] [--dry-run] [--proposals out.csv] [--include-branded]';
+
+function parseArgs(argv) {
+  const args = {
+    dump: null,
+    ingredients: [],
+    unsourced: false,
+    minScore: 0.5,
+    yes: false,
+    dryRun: false,
+    proposals: null,
+    includeBranded: false,
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--ingredient') {
+      args.ingredients.push(...String(argv[i + 1] || '').split(',').map((id) => id.trim()).filter(Boolean));
+      i += 1;
+    } else if (arg === '--min-score') {
+      args.minScore = Number(argv[i + 1]);
+      i += 1;
+    } else if (arg === '--proposals') {
+      args.proposals = path.resolve(argv[i + 1] || '');
+      i += 1;
+    } else if (arg === '--unsourced') {
+      args.unsourced = true;
+    } else if (arg === '--yes') {
+      args.yes = true;
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--include-branded') {
+      args.includeBranded = true;
+    } else if (!args.dump) {
+      args.dump = arg;
+    }
+  }
+  if (!Number.isFinite(args.minScore)) throw new Error('--min-score must be a number between 0 and 1');
+  return args;
+}
+
+function nutrientNumber(raw) {
+  const value = Number(raw);
+  return Number.isFinite(value) ? String(value) : String(raw || '');
+}
+
+/** Stream a large FDC CSV one record at a time (the dumps never put line breaks inside fields). */
+async function eachCsvRow(filePath, onRow) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let headers = null;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const [record] = parseCSVRecords(line, { label: path.basename(filePath), strict: false });
+    if (!record) continue;
+    if (!headers) {
+      headers = record.fields.map((field) => field.trim());
+      continue;
+    }
+    const row = {};
+    headers.forEach((header, idx) => {
+      row[header] = record.fields[idx] ?? '';
+    });
+    onRow(row);
+  }
+}
+
+export function portionFromParts({ amount, unitName, modifier, description, gramWeight }) {
+  const grams = Number(gramWeight);
+  if (!Number.isFinite(grams) || grams <= 0) return null;
+  const count = Number(amount) > 0 ? Number(amount) : 1;
+  // SR Legacy leaves the unit "undetermined" and puts it in the modifier ("cup, chopped").
+  const label = unitName && unitName !== 'undetermined' ? unitName : (modifier || description || '');
+  const text = String(label).toLowerCase().replace(/^[\d/.\s]+/, '');
+  const word = text.split(/[\s,(]+/)[0] === 'fl' ? 'fl oz' : text.split(/[\s,(]+/)[0];
+  const unit = ['each', 'whole', 'fruit', 'item'].includes(word) ? 'count' : normalizeUnit(word);
+  if (!unit) return null;
+  const detail = [unitName && unitName !== 'undetermined' ? unitName : '', modifier].filter(Boolean).join(', ');
+  return { unit, grams: grams / count, text: `${count} ${detail || description || unit} = ${grams} g` };
+}
+
+async function loadCsvDump(dir, dataTypes) {
+  const need = (name) => {
+    const filePath = path.join(dir, name);
+    if (!fs.existsSync(filePath)) throw new Error(`${dir} has no ${name}; point at an unzipped FoodData Central CSV download`);
+    return filePath;
+  };
+  const foods = [];
+  await eachCsvRow(need('food.csv'), (row) => {
+    if (!dataTypes.has(row.data_type)) return;
+    foods.push({ fdc_id: row.fdc_id, description: row.description, data_type: row.data_type });
+  });
+  const numbers = new Map();
+  await eachCsvRow(need('nutrient.csv'), (row) => numbers.set(row.id, nutrientNumber(row.nutrient_nbr)));
+  const measureUnits = new Map();
+  const measureUnitPath = path.join(dir, 'measure_unit.csv');
+  if (fs.existsSync(measureUnitPath)) {
+    await eachCsvRow(measureUnitPath, (row) => measureUnits.set(row.id, row.name));
+  }
+
+  const details = async (fdcIds) => {
+    const wanted = new Set(fdcIds);
+    const result = new Map([...wanted].map((id) => [id, { nutrients: {}, portions: [] }]));
+    await eachCsvRow(need('food_nutrient.csv'), (row) => {
+      if (!wanted.has(row.fdc_id)) return;
+      const amount = Number(row.amount);
+      if (Number.isFinite(amount)) result.get(row.fdc_id).nutrients[numbers.get(row.nutrient_id)] = amount;
+    });
+    const portionPath = path.join(dir, 'food_portion.csv');
+    if (fs.existsSync(portionPath)) {
+      await eachCsvRow(portionPath, (row) => {
+        if (!wanted.has(row.fdc_id)) return;
+        const portion = portionFromParts({
+          amount: row.amount,
+          unitName: measureUnits.get(row.measure_unit_id),
+          modifier: row.modifier,
+          description: row.portion_description,
+          gramWeight: row.gram_weight,
+        });
+        if (portion) result.get(row.fdc_id).portions.push(portion);
+      });
+    }
+    return result;
+  };
+  return { foods, details };
+}
+
+function loadJsonDump(filePath, dataTypes) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const entries = Array.isArray(parsed) ? parsed : JSON_FOOD_KEYS.flatMap((key) => parsed[key] || []);
+  const byId = new Map();
+  const foods = [];
+  entries.forEach((entry) => {
+    const dataType = JSON_DATA_TYPES[entry.dataType];
+    if (!dataTypes.has(dataType)) return;
+    const fdcId = String(entry.fdcId);
+    foods.push({ fdc_id: fdcId, description: entry.description, data_type: dataType });
+    const nutrients = {};
+    (entry.foodNutrients || []).forEach((item) => {
+      const number = nutrientNumber(item.nutrient?.number);
+      if (Number.isFinite(item.amount)) nutrients[number] = item.amount;
+    });
+    const portions = (entry.foodPortions || [])
+      .map((item) =>
+        portionFromParts({
+          amount: item.amount ?? item.value,
+          unitName: item.measureUnit?.name,
+          modifier: item.modifier,
+          description: item.portionDescription,
+          gramWeight: item.gramWeight,
+        })
+      )
+      .filter(Boolean);
+    byId.set(fdcId, { nutrients, portions });
+  });
+  return { foods, details: async (fdcIds) => new Map(fdcIds.map((id) => [id, byId.get(id)])) };
+}
+
+function nameTokens(value) {
+  return String(value || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.replace(/ies$/, 'y').replace(/oes$/, 'o').replace(/([^s])s$/, '$1'));
+}
+
+/** 0–1 likeness of an ingredient name to an FDC description ("Squash, winter, acorn, raw"). */
+export function matchScore(query, food) {
+  const wanted = [...new Set(nameTokens(query))].filter((word) => !FILLER_WORDS.has(word));
+  if (!wanted.length) return 0;
+  const described = nameTokens(food.description);
+  const meaningful = [...new Set(described)].filter((word) => !FILLER_WORDS.has(word));
+  const shared = wanted.filter((word) => described.includes(word)).length;
+  if (!shared) return 0;
+  const recall = shared / wanted.length;
+  const precision = shared / Math.max(meaningful.length, 1);
+  const head = nameTokens(String(food.description).split(',')[0]);
+  const headBonus = wanted.some((word) => head.includes(word)) ? 0.1 : 0;
+  const cookedQuery = wanted.some((word) => COOKED_WORDS.has(word));
+  const rawBonus = !cookedQuery && described.includes('raw') ? 0.05 : 0;
+  const score = 0.65 * recall + 0.35 * precision + headBonus + rawBonus + (DATA_TYPE_BONUS[food.data_type] || 0);
+  return Math.max(0, Math.min(1, Math.round(score * 100) / 100));
+}
+
+function bestMatches(query, foods, limit = 5) {
+  return foods
+    .map((food) => ({ food, score: matchScore(query, food) }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.food.description.length - b.food.description.length)
+    .slice(0, limit);
+}
+
+function roundNutrient(value) {
+  if (!Number.isFinite(value)) return 0;
+  return Math.round(value * 100) / 100;
+}
+
+export function pickPortion(portions, units) {
+  // Prefer the exact unit a recipe uses, then anything in the same unit world.
+  for (const unit of units) {
+    const exact = portions.find((portion) => portion.unit === unit);
+    if (exact) return exact;
+  }
+  for (const unit of units) {
+    const group = unitDefinition(unit)?.group;
+    const sameWorld = group && portions.find((portion) => unitDefinition(portion.unit)?.group === group);
+    if (sameWorld) return sameWorld;
+  }
+  return null;
+}
+
+export function unitResolves(unit, row) {
+  const group = unitDefinition(unit)?.group;
+  const reaches = (other) => other && (other === unit || (group && unitDefinition(other)?.group === group));
+  return group === 'mass' || reaches(normalizeUnit(row.portion_unit)) || reaches(normalizeUnit(row.unit_factor_from_unit_norm));
+}
+
+const SERVING_GRAMS_HINT = /\(\s*≈?\s*(\d+(?:\.\d+)?)\s*g\s*\)/i;
+
+/** Grams in an existing row's serving: a mass unit, a "(12.5g)" hint, the row's portion, or an FDC portion. */
+function servingGrams(row, portions) {
+  const qty = Number(row.serving_qty);
+  const unit = normalizeUnit(row.serving_unit_norm);
+  if (!(qty > 0) || !unit) return null;
+  const mass = convertUnitAmount(qty, unit, 'g');
+  if (mass) return mass.amount;
+  const hint = String(row.serving_size || '').match(SERVING_GRAMS_HINT);
+  if (hint) return Number(hint[1]);
+  if (normalizeUnit(row.portion_unit) === unit && Number(row.portion_grams) > 0) return qty * Number(row.portion_grams);
+  const portion = portions.find((entry) => entry.unit === unit);
+  return portion ? qty * portion.grams : null;
+}
+
+/** The existing row's added sugars re-expressed per 100 g, or null when there is none to keep. */
+function keptAddedSugars(existing, portions) {
+  if (!existing || String(existing.added_sugars_g ?? '').trim() === '') return null;
+  const added = Number(existing.added_sugars_g);
+  const grams = servingGrams(existing, portions);
+  if (!Number.isFinite(added) || !grams) return null;
+  return (added * 100) / grams;
+}
+
+function titleFromId(ingredientId) {
+  const words = String(ingredientId).split(/[-_]+/).filter(Boolean);
+  const text = words.join(' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Catalog row for one FDC food: nutrients per 100 g, plus a portion and unit factor that reach
+ * the units recipes use. Existing portion/unit-factor columns are kept unless empty; a unit
+ * factor that pointed at the old serving unit is re-expressed in grams when FDC knows that unit.
+ */
+export function proposeCatalogRow({ ingredientId, existing, headers, units, food, detail }) {
+  const row = existing ? { ...existing } : Object.fromEntries(headers.map((header) => [header, '']));
+  const warnings = [];
+  if (!existing) {
+    row.ingredient_id = ingredientId;
+    row.canonical_name = titleFromId(ingredientId);
+    warnings.push('new row: fill in the contains_* allergen flags, animal_source, honey and high_fodmap');
+  }
+  const notReported = [];
+  Object.entries(FDC_NUTRIENTS).forEach(([column, numbers]) => {
+    const number = numbers.find((candidate) => Number.isFinite(detail.nutrients[candidate]));
+    if (!number) notReported.push(column);
+    row[column] = String(roundNutrient(number ? detail.nutrients[number] : 0));
+  });
+  if (notReported.includes('calories_kcal')) return null;
+  // SR Legacy rarely reports added sugars; a 0 there would quietly undo the catalog's value.
+  let addedSugarsNote = '';
+  if (notReported.includes('added_sugars_g') && Number(row.sugars_g) > 0) {
+    const kept = keptAddedSugars(existing, detail.portions);
+    if (kept !== null) {
+      row.added_sugars_g = String(roundNutrient(kept));
+      addedSugarsNote = 'added_sugars_g kept from the previous row, rescaled to 100 g.';
+    } else {
+      row.added_sugars_g = '';
+      warnings.push('FDC does not report added sugars; fill in added_sugars_g by hand (0 if nothing is added)');
+    }
+  }
+  if (Number(row.added_sugars_g) > Number(row.sugars_g)) row.added_sugars_g = row.sugars_g;
+  const zeroed = notReported.filter((column) => column !== 'added_sugars_g' || row.added_sugars_g === '0');
+  if (zeroed.length) warnings.push(`FDC does not report ${zeroed.join(', ')}; set to 0`);
+  row.serving_qty = '100';
+  row.serving_unit_norm = 'g';
+  row.serving_size = '100 g';
+  row.nutrition_source = `USDA FDC ${food.fdc_id} (${food.description})`;
+  // Keep the cook's remarks, but not an old "Per 1 cup (140g)." serving note.
+  const keptNotes = existing && !/^per\b/i.test(existing.nutrition_notes || '') ? existing.nutrition_notes : '';
+  row.nutrition_notes = [
+    'Per 100 g.',
+    zeroed.length ? `Not reported by FDC (set to 0): ${zeroed.join(', ')}.` : '',
+    addedSugarsNote,
+    keptNotes,
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  const portionUnits = [...units].filter((unit) => unitDefinition(unit)?.group !== 'mass');
+  if (!row.portion_unit) {
+    const portion = pickPortion(detail.portions, portionUnits);
+    if (portion) {
+      row.portion_unit = portion.unit;
+      row.portion_grams = String(roundNutrient(portion.grams));
+      row.portion_source = `USDA FDC ${food.fdc_id}`;
+      row.portion_notes = portion.text;
+    }
+  }
+
+  const factorTo = normalizeUnit(row.unit_factor_to_unit_norm);
+  if (factorTo && unitDefinition(factorTo)?.group !== 'mass') {
+    // The old factor bridged to the old serving unit; nutrients are per gram now.
+    const bridge = detail.portions.find((portion) => portion.unit === factorTo);
+    if (bridge) {
+      row.unit_factor = String(roundNutrient(Number(row.unit_factor) * bridge.grams));
+      row.unit_factor_to_unit_norm = 'g';
+      row.unit_factor_notes = `${row.unit_factor_notes ? `${row.unit_factor_notes} ` : ''}Re-expressed in grams: ${bridge.text}.`;
+    } else {
+      warnings.push(`unit factor still converts to ${factorTo}, which the new per-100 g row cannot use`);
+    }
+  }
+  if (!row.unit_factor_from_unit_norm) {
+    const unresolved = portionUnits.filter((unit) => !unitResolves(unit, row));
+    const portion = pickPortion(detail.portions, unresolved);
+    if (portion) {
+      row.unit_factor_from_unit_norm = portion.unit;
+      row.unit_factor_to_unit_norm = 'g';
+      row.unit_factor = String(roundNutrient(portion.grams));
+      row.unit_factor_source = `USDA FDC ${food.fdc_id}`;
+      row.unit_factor_notes = portion.text;
+    }
+  }
+
+  const unresolved = portionUnits.filter((unit) => !unitResolves(unit, row));
+  if (unresolved.length) warnings.push(`no FDC portion for ${unresolved.join(', ')}; add a portion or unit factor by hand`);
+  return { row, warnings };
+}
+
+function collectRecipeUnits(recipesDir) {
+  const units = new Map();
+  fs.readdirSync(recipesDir, { withFileTypes: true })
+    .filter((ent) => ent.isDirectory())
+    .forEach((ent) => {
+      const filePath = path.join(recipesDir, ent.name, 'ingredients.csv');
+      if (!fs.existsSync(filePath)) return;
+      parseCSV(fs.readFileSync(filePath, 'utf-8'), { label: path.relative(process.cwd(), filePath) }).forEach((row) => {
+        const unit = normalizeUnit(row.unit);
+        // Recipe references point at other recipes, not catalog rows.
+        if (!row.ingredient_id || unit === 'recipe') return;
+        if (!units.has(row.ingredient_id)) units.set(row.ingredient_id, new Set());
+        if (unit) units.get(row.ingredient_id).add(unit);
+      });
+    });
+  return units;
+}
+
+function collectTargets(args, catalogById, recipeUnits) {
+  if (args.ingredients.length) return args.ingredients;
+  const targets = new Set();
+  recipeUnits.forEach((units, ingredientId) => {
+    if (!catalogById.has(ingredientId)) targets.add(ingredientId);
+  });
+  const reportPath = path.join(process.cwd(), 'docs', 'built', 'nutrition_coverage_report.csv');
+  if (fs.existsSync(reportPath)) {
+    parseCSV(fs.readFileSync(reportPath, 'utf-8'), { label: 'nutrition_coverage_report.csv' })
+      .filter((row) => row.reason !== 'recipe-reference-needed')
+      .forEach((row) => targets.add(row.ingredient_id));
+  }
+  if (args.unsourced) {
+    catalogById.forEach((row, ingredientId) => {
+      if (!/\bFDC \d+/.test(row.nutrition_source || '')) targets.add(ingredientId);
+    });
+  }
+  return [...targets].sort();
+}
+
+function describeProposal(target, match, proposal, existing) {
+  const { row } = proposal;
+  const lines = [
+    `${target} → FDC ${match.food.fdc_id} "${match.food.description}" (${match.food.data_type}, score ${match.score.toFixed(2)})`,
+    `  per 100 g: ${row.calories_kcal} kcal, ${row.protein_g} g protein, ${row.total_fat_g} g fat (${row.saturated_fat_g} g sat), ` +
+      `${row.total_carbs_g} g carbs, ${row.sugars_g} g sugars (${row.added_sugars_g === '' ? '?' : row.added_sugars_g} g added), ` +
+      `${row.fiber_g} g fiber, ${row.sodium_mg} mg sodium`,
+  ];
+  if (row.portion_unit) lines.push(`  portion: 1 ${row.portion_unit} = ${row.portion_grams} g`);
+  if (row.unit_factor_from_unit_norm) {
+    lines.push(`  unit factor: 1 ${row.unit_factor_from_unit_norm} = ${row.unit_factor} ${row.unit_factor_to_unit_norm}`);
+  }
+  if (existing) {
+    lines.push(
+      `  replaces: ${existing.serving_qty} ${existing.serving_unit_norm} → ${existing.calories_kcal} kcal (${existing.nutrition_source || 'no source'})`
+    );
+  }
+  proposal.warnings.forEach((warning) => lines.push(`  ! ${warning}`));
+  return lines.join('\n');
+}
+
+async function reviewInteractively(target, options, prompt) {
+  let choice = 0;
+  for (;;) {
+    console.log(`\n${options[choice].description}`);
+    const others = options.map((option, idx) => `${idx + 1}) ${option.match.food.description}`).join('  ');
+    if (options.length > 1) console.log(`  other matches: ${others}`);
+    const answer = (await prompt.question(`Accept for ${target}? [y]es / [n]o / 1-${options.length} / [q]uit: `))
+      .trim()
+      .toLowerCase();
+    if (answer === 'y' || answer === 'yes') return options[choice];
+    if (answer === 'q' || answer === 'quit') return 'quit';
+    const picked = Number(answer);
+    if (Number.isInteger(picked) && picked >= 1 && picked <= options.length) {
+      choice = picked - 1;
+    } else if (answer === 'n' || answer === 'no') {
+      return null;
+    }
+  }
+}
+
+async function importFdc() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.dump) throw new Error(USAGE);
+  const dataTypes = new Set(['foundation_food', 'sr_legacy_food', 'survey_fndds_food']);
+  if (args.includeBranded) dataTypes.add('branded_food');
+  const dump = fs.statSync(args.dump).isDirectory()
+    ? await loadCsvDump(args.dump, dataTypes)
+    : loadJsonDump(args.dump, dataTypes);
+  if (!dump.foods.length) throw new Error(`No foods of types ${[...dataTypes].join(', ')} in ${args.dump}`);
+
+  const catalogPath = path.join(process.cwd(), 'data', 'ingredient_catalog.csv');
+  const catalogText = fs.readFileSync(catalogPath, 'utf-8');
+  const headers = parseCSVRecords(catalogText)[0].fields.map((header) => header.trim());
+  const catalogRows = parseCSV(catalogText, { label: 'data/ingredient_catalog.csv' });
+  const catalogById = new Map(catalogRows.map((row) => [row.ingredient_id, row]));
+  const recipeUnits = collectRecipeUnits(path.join(process.cwd(), 'recipes'));
+  const targets = collectTargets(args, catalogById, recipeUnits);
+  if (!targets.length) {
+    console.log('Nothing to import: every recipe ingredient has catalog nutrition that reaches its units.');
+    return;
+  }
+
+  const matchesByTarget = new Map(
+    targets.map((target) => {
+      const existing = catalogById.get(target);
+      return [target, bestMatches(existing?.canonical_name || titleFromId(target), dump.foods)];
+    })
+  );
+  const details = await dump.details([...new Set([...matchesByTarget.values()].flat().map((m) => m.food.fdc_id))]);
+
+  const interactive = !args.yes && !args.dryRun && process.stdin.isTTY;
+  if (!interactive && !args.yes && !args.dryRun) {
+    console.log('stdin is not a terminal; listing proposals only (use --yes to batch-approve).');
+  }
+  const prompt = interactive ? createInterface({ input: process.stdin, output: process.stdout }) : null;
+  const accepted = [];
+  const proposals = [];
+  const skipped = [];
+  try {
+    for (const target of targets) {
+      const existing = catalogById.get(target) || null;
+      const units = recipeUnits.get(target) || new Set();
+      const options = matchesByTarget
+        .get(target)
+        .map((match) => {
+          const proposal = proposeCatalogRow({
+            ingredientId: target,
+            existing,
+            headers,
+            units,
+            food: match.food,
+            detail: details.get(match.food.fdc_id) || { nutrients: {}, portions: [] },
+          });
+          return proposal ? { match, proposal, description: describeProposal(target, match, proposal, existing) } : null;
+        })
+        .filter(Boolean);
+      if (!options.length) {
+        skipped.push(`${target} (no FDC match with calories)`);
+        continue;
+      }
+      proposals.push(options[0].proposal.row);
+      if (interactive) {
+        const decision = await reviewInteractively(target, options, prompt);
+        if (decision === 'quit') break;
+        if (decision) accepted.push(decision.proposal.row);
+        else skipped.push(target);
+        continue;
+      }
+      console.log(`\n${options[0].description}`);
+      if (!args.yes) continue;
+      if (options[0].match.score >= args.minScore) {
+        accepted.push(options[0].proposal.row);
+      } else {
+        skipped.push(`${target} (best score ${options[0].match.score.toFixed(2)} < ${args.minScore})`);
+      }
+    }
+  } finally {
+    prompt?.close();
+  }
+
+  if (args.proposals) {
+    fs.writeFileSync(args.proposals, stringifyCSV(headers, proposals));
+    console.log(`\nWrote ${proposals.length} proposal row(s) to ${path.relative(process.cwd(), args.proposals)}`);
+  }
+  if (skipped.length) console.log(`\nNot imported: ${skipped.join(', ')}`);
+  if (args.dryRun || !accepted.length) return;
+
+  let added = 0;
+  accepted.forEach((row) => {
+    const idx = catalogRows.findIndex((entry) => entry.ingredient_id === row.ingredient_id);
+    if (idx === -1) {
+      catalogRows.push(row);
+      added += 1;
+    } else {
+      catalogRows[idx] = row;
+    }
+  });
+  fs.writeFileSync(catalogPath, stringifyCSV(headers, catalogRows));
+  const summary = `\nUpdated ${accepted.length - added} and added ${added} row(s) in data/ingredient_catalog.csv`;
+  if (added) {
+    console.log(summary);
+    console.log('Fill in the allergen and diet flags of the new rows, then run npm run build.');
+    return;
+  }
+  // Validation reads the catalog from disk, so an import that fails it puts the original back.
+  try {
+    await validateAll();
+  } catch (err) {
+    fs.writeFileSync(catalogPath, catalogText);
+    throw new Error(`Import not applied; data/ingredient_catalog.csv is unchanged. Validation failed: ${err.message || err}`);
+  }
+  console.log(summary);
+  console.log('Validation passed');
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  importFdc().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
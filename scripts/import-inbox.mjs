@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import { extractExportPayloads, payloadToRecipeFiles } from '../docs/inbox/recipe-export.js';
+import { parseCSVFile, validateAll } from './validate.mjs';
+
+function parseArgs(argv) {
+  const args = { input: null, out: path.join(process.cwd(), 'recipes'), force: false, dryRun: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--out') {
+      args.out = path.resolve(argv[i + 1] || '');
+      i += 1;
+    } else if (arg === '--force') {
+      args.force = true;
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (!args.input) {
+      args.input = arg;
+    }
+  }
+  return args;
+}
+
+function nameWords(value) {
+  return String(value || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function suggestCatalogId(ingredientId, catalogRows) {
+  const words = new Set(nameWords(ingredientId));
+  if (!words.size) return null;
+  let best = null;
+  let bestScore = 0;
+  catalogRows.forEach((row) => {
+    const candidate = new Set([...nameWords(row.ingredient_id), ...nameWords(row.canonical_name)]);
+    const shared = [...words].filter((word) => candidate.has(word)).length;
+    const score = shared / new Set([...words, ...candidate]).size;
+    if (score > bestScore) {
+      bestScore = score;
+      best = row.ingredient_id;
+    }
+  });
+  return best;
+}
+
+async function importInbox() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.input) {
+    throw new Error('Usage: node scripts/import-inbox.mjs <export.json> [--out recipes] [--force] [--dry-run]');
+  }
+  const exported = JSON.parse(fs.readFileSync(args.input, 'utf-8'));
+  const payloads = extractExportPayloads(exported);
+  if (!payloads.length) {
+    throw new Error(`No recipe payloads found in ${args.input}`);
+  }
+
+  const catalogRows = await parseCSVFile(path.join(process.cwd(), 'data', 'ingredient_catalog.csv'));
+  const catalogIds = new Set(catalogRows.map((row) => row.ingredient_id));
+  const missingCatalog = new Map();
+  const written = [];
+
+  payloads.forEach((payload) => {
+    const { id, files, ingredientIds } = payloadToRecipeFiles(payload);
+    const recipeDir = path.join(args.out, id);
+    if (fs.existsSync(recipeDir) && !args.force) {
+      console.warn(`Skipping ${id}: ${recipeDir} already exists (use --force to overwrite).`);
+      return;
+    }
+    ingredientIds
+      .filter((ingredientId) => !catalogIds.has(ingredientId))
+      .forEach((ingredientId) => {
+        if (!missingCatalog.has(ingredientId)) missingCatalog.set(ingredientId, new Set());
+        missingCatalog.get(ingredientId).add(id);
+      });
+    if (!args.dryRun) {
+      fs.mkdirSync(recipeDir, { recursive: true });
+      Object.entries(files).forEach(([fileName, content]) => {
+        fs.writeFileSync(path.join(recipeDir, fileName), content);
+      });
+    }
+    written.push(id);
+  });
+
+  console.log(`${args.dryRun ? 'Would write' : 'Wrote'} ${written.length} recipe(s): ${written.join(', ') || '—'}`);
+
+  if (missingCatalog.size) {
+    console.warn('Ingredients missing from data/ingredient_catalog.csv:');
+    [...missingCatalog.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .forEach(([ingredientId, recipeIds]) => {
+        const suggestion = suggestCatalogId(ingredientId, catalogRows);
+        const hint = suggestion ? ` (closest catalog id: ${suggestion})` : '';
+        console.warn(`  ${ingredientId} — used in ${[...recipeIds].join(', ')}${hint}`);
+      });
+  }
+
+  if (args.dryRun || !written.length) return;
+  await validateAll({ recipesDir: args.out });
+  console.log('Validation passed');
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  importInbox().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
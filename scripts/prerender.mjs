@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  groupLinesBySection,
+  recipeTimeParts,
+  renderIngredientLines,
+  renderStepLines,
+} from '../docs/recipe-utils.js';
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlToPlainText(html) {
+  return String(html || '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function recipeServings(recipe) {
+  const fromMeta = Number(recipe.servings_per_batch);
+  if (Number.isFinite(fromMeta) && fromMeta > 0) return fromMeta;
+  const fromEstimate = Number(recipe.nutrition_estimate?.servings_estimate);
+  return Number.isFinite(fromEstimate) && fromEstimate > 0 ? fromEstimate : null;
+}
+
+function buildNutritionLd(recipe, servings) {
+  const estimate = recipe.nutrition_estimate;
+  if (!estimate || !servings || (estimate.missing_ingredients || []).length) return null;
+  const calories = Number(estimate.calories_total);
+  if (!Number.isFinite(calories)) return null;
+  const nutrition = {
+    '@type': 'NutritionInformation',
+    servingSize: '1 serving',
+    calories: `${Math.round(calories / servings)} calories`,
+  };
+  const satFat = Number(estimate.sat_fat_total_g);
+  if (Number.isFinite(satFat)) nutrition.saturatedFatContent = `${roundTo(satFat / servings, 1)} g`;
+  const sodium = Number(estimate.sodium_total_mg);
+  if (Number.isFinite(sodium)) nutrition.sodiumContent = `${Math.round(sodium / servings)} mg`;
+  return nutrition;
+}
+
+function isoDuration(minutes) {
+  if (!Number.isFinite(minutes)) return null;
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60);
+  const rest = rounded % 60;
+  return `PT${hours ? `${hours}H` : ''}${rest || !hours ? `${rest}M` : ''}`;
+}
+
+export function buildRecipeJsonLd(recipe, ingredientLines, stepLines) {
+  const servings = recipeServings(recipe);
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: recipe.title,
+    recipeIngredient: ingredientLines.map((line) => line.text),
+    recipeInstructions: stepLines.map((step) => ({
+      '@type': 'HowToStep',
+      text: htmlToPlainText(step.text),
+    })),
+  };
+  if (recipe.notes) jsonLd.description = recipe.notes;
+  if (recipe.byline) jsonLd.author = { '@type': 'Person', name: recipe.byline };
+  if (recipe.categories?.length) jsonLd.recipeCategory = recipe.categories;
+  if (recipe.yield_text) {
+    jsonLd.recipeYield = recipe.yield_text;
+  } else if (servings) {
+    jsonLd.recipeYield = `${servings} serving${servings === 1 ? '' : 's'}`;
+  }
+  [
+    ['prepTime', recipe.prep_minutes],
+    ['cookTime', recipe.cook_minutes],
+    ['totalTime', recipe.total_minutes],
+  ].forEach(([key, minutes]) => {
+    const duration = isoDuration(minutes);
+    if (duration) jsonLd[key] = duration;
+  });
+  const nutrition = buildNutritionLd(recipe, servings);
+  if (nutrition) jsonLd.nutrition = nutrition;
+  return jsonLd;
+}
+
+function renderSectionedList(sections, renderLine) {
+  return sections
+    .flatMap((section) => [
+      section.section ? `        <li class="section-header">${escapeHtml(section.section)}</li>` : null,
+      ...section.lines.map((line) => `        <li>${renderLine(line)}</li>`),
+    ])
+    .filter(Boolean)
+    .join('\n');
+}
+
+function renderIngredientLineHtml(line) {
+  const altText = [...new Set((line.alternatives || []).filter(Boolean))].join(' / ');
+  const alternatives = altText
+    ? ` <span class="ingredient-alternatives">(or ${escapeHtml(altText)})</span>`
+    : '';
+  return `${escapeHtml(line.text)}${alternatives}`;
+}
+
+/**
+ * Render the no-JavaScript page for one built recipe using its default options.
+ * Pages live at docs/r/<id>/index.html, so a <base> tag points shared assets and links back at docs/.
+ */
+export function renderStaticRecipePage(recipe, recipeIndex) {
+  const state = {
+    multiplier: Number(recipe.default_base) || 1,
+    panMultiplier: 1,
+    selectedPanId: recipe.default_pan || null,
+    selectedOptions: {},
+    unitSelections: {},
+    recipeIndex,
+    restrictions: {},
+  };
+  const ingredientLines = renderIngredientLines(recipe, state);
+  const stepLines = renderStepLines(recipe, state);
+  const ingredientSections = groupLinesBySection(ingredientLines, recipe.ingredient_sections || []);
+  const stepSections = groupLinesBySection(stepLines, recipe.step_sections || []);
+  const jsonLd = JSON.stringify(buildRecipeJsonLd(recipe, ingredientLines, stepLines), null, 2).replace(
+    /<\//g,
+    '<\\/'
+  );
+  const interactiveHref = `recipe.html?id=${encodeURIComponent(recipe.id)}`;
+  const metaLine = [
+    recipe.byline || recipe.family,
+    (recipe.categories || []).join(' · '),
+    recipeTimeParts(recipe).map((part) => `${part.label} ${part.text}`).join(' · '),
+    recipe.yield_text ? `Yield: ${recipe.yield_text}` : '',
+  ]
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join(' — ');
+  const notes = String(recipe.notes || '').trim();
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <base href="../../" />
+  <title>${escapeHtml(recipe.title)} · CookingDB</title>
+  ${notes ? `<meta name="description" content="${escapeHtml(notes)}" />\n  ` : ''}<link rel="stylesheet" href="styles.css" />
+  <link rel="icon" href="favicon.svg" />
+  <script type="application/ld+json">
+${jsonLd}
+  </script>
+</head>
+<body class="page-recipe">
+  <header class="site-header">
+    <div class="inner">
+      <h1 class="site-title">${escapeHtml(recipe.title)}</h1>
+      <nav class="nav-links">
+        <a href="index.html">← Back to recipes</a>
+        <a href="${interactiveHref}">Open interactive recipe</a>
+      </nav>
+    </div>
+  </header>
+  <div class="page-shell">
+    <main>
+${metaLine ? `      <p class="category-inline">${metaLine}</p>\n` : ''}      <p><a class="button" href="${interactiveHref}">Scale, swap ingredients, or print this recipe</a></p>
+      <section>
+        <h2>Ingredients</h2>
+        <ul>
+${renderSectionedList(ingredientSections, renderIngredientLineHtml)}
+        </ul>
+      </section>
+      <section>
+        <h2>Steps</h2>
+        <ol>
+${renderSectionedList(stepSections, (line) => line.text)}
+        </ol>
+      </section>
+${notes ? `      <section>\n        <h2>Cook’s note</h2>\n        <p class="notes">${escapeHtml(notes)}</p>\n      </section>\n` : ''}    </main>
+  </div>
+</body>
+</html>
+`;
+}
+
+export function writeStaticRecipePages(recipes, outDir) {
+  const recipeIndex = new Map(recipes.map((recipe) => [String(recipe.id), recipe]));
+  fs.rmSync(outDir, { recursive: true, force: true });
+  recipes.forEach((recipe) => {
+    const recipeDir = path.join(outDir, recipe.id);
+    fs.mkdirSync(recipeDir, { recursive: true });
+    fs.writeFileSync(path.join(recipeDir, 'index.html'), renderStaticRecipePage(recipe, recipeIndex));
+  });
+}
@@ -1,462 +1,287 @@
 import fs from 'fs';
 import path from 'path';
-import { UNIT_CONVERSIONS } from '../docs/unit-conversions.js';
+import { parseCSV, parseCSVRecords, stringifyCSV } from '../docs/csv-utils.js';
+import {
+  NUTRITION_COVERAGE_COLUMNS,
+  ingredientPortionsFromJson,
+  ingredientUnitFactorsFromJson,
+  nutritionCoverageGaps,
+} from '../docs/nutrition-engine.js';
+import { convertUnitAmount, unitDefinition } from '../docs/recipe-utils.js';
+import { validateAll } from './validate.mjs';
 
-function simpleParseCSV(text) {
-  const lines = text.replace(/\r\n/g, '\n').split(/\n/).filter((line) => line.trim() !== '');
-  if (lines.length === 0) return [];
-  const headers = parseLine(lines[0]);
-  return lines.slice(1).map((line) => {
-    const values = parseLine(line);
-    const row = {};
-    headers.forEach((header, idx) => {
-      row[header] = values[idx] ?? '';
-    });
-    return row;
-  });
+const USAGE = 'Usage: node scripts/report_missing_portions.js [--recipe id[,id]] [--ingredient id[,id]] ' +
+  '[--reason reason[,reason]] [--format csv|json|md] [--out file] [--patch patch.csv] | --apply patch.csv';
+
+const FORMATS = new Set(['csv', 'json', 'md']);
+
+// Draft catalog edits, one per gap that a unit factor or portion weight can close.
+const PATCH_COLUMNS = ['ingredient_id', 'kind', 'from_unit', 'to_unit', 'value', 'source', 'notes', 'reason', 'hidden_kcal'];
+
+function listArg(raw) {
+  return String(raw || '').split(',').map((entry) => entry.trim()).filter(Boolean);
 }
 
-function parseLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i += 1) {
-    const char = line[i];
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      result.push(current);
-      current = '';
+function parseArgs(argv) {
+  const args = { recipes: [], ingredients: [], reasons: [], format: 'csv', out: null, patch: null, apply: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--recipe') {
+      args.recipes.push(...listArg(argv[i + 1]));
+      i += 1;
+    } else if (arg === '--ingredient') {
+      args.ingredients.push(...listArg(argv[i + 1]));
+      i += 1;
+    } else if (arg === '--reason') {
+      args.reasons.push(...listArg(argv[i + 1]));
+      i += 1;
+    } else if (arg === '--format') {
+      args.format = String(argv[i + 1] || '').toLowerCase();
+      i += 1;
+    } else if (arg === '--out') {
+      args.out = path.resolve(argv[i + 1] || '');
+      i += 1;
+    } else if (arg === '--patch') {
+      args.patch = path.resolve(argv[i + 1] || '');
+      i += 1;
+    } else if (arg === '--apply') {
+      args.apply = path.resolve(argv[i + 1] || '');
+      i += 1;
     } else {
-      current += char;
+      throw new Error(`Unknown argument ${arg}\n${USAGE}`);
     }
   }
-  result.push(current);
-  return result;
+  if (!FORMATS.has(args.format)) throw new Error(`--format must be one of ${[...FORMATS].join(', ')}`);
+  return args;
 }
 
-function csvEscape(value) {
-  if (value === null || value === undefined) return '';
-  const text = String(value);
-  if (/[",\n]/.test(text)) {
-    return `"${text.replace(/"/g, '""')}"`;
+function readBuiltJson(builtDir, name) {
+  const filePath = path.join(builtDir, name);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Missing docs/built/${name}. Run the build first.`);
   }
-  return text;
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
 }
 
-function loadIngredientCatalogRows(catalogPath) {
-  if (!fs.existsSync(catalogPath)) return [];
-  const rows = fs.readFileSync(catalogPath, 'utf-8');
-  return rows ? simpleParseCSV(rows) : [];
+function loadCatalog(catalogPath) {
+  const text = fs.readFileSync(catalogPath, 'utf-8');
+  const rows = parseCSV(text, { label: path.relative(process.cwd(), catalogPath) });
+  const headers = parseCSVRecords(text)[0].fields.map((header) => header.trim());
+  return { headers, rows };
 }
 
-const UNIT_ALIASES = new Map([
-  ['cloves', 'clove'],
-  ['clove', 'clove'],
-  ['sprigs', 'sprig'],
-  ['sprig', 'sprig'],
-  ['leaves', 'leaf'],
-  ['leaf', 'leaf'],
-  ['pieces', 'piece'],
-  ['piece', 'piece'],
-  ['packages', 'package'],
-  ['package', 'package'],
-  ['bags', 'bag'],
-  ['bag', 'bag'],
-  ['bunches', 'bunch'],
-  ['bunch', 'bunch'],
-  ['cans', 'can'],
-  ['can', 'can'],
-  ['jars', 'jar'],
-  ['jar', 'jar'],
-  ['bottles', 'bottle'],
-  ['bottle', 'bottle'],
-  ['fl oz', 'fl_oz'],
-  ['fl-oz', 'fl_oz'],
-  ['fluid ounce', 'fl_oz'],
-  ['fluid ounces', 'fl_oz'],
-  ['tablespoons', 'tbsp'],
-  ['tablespoon', 'tbsp'],
-  ['teaspoons', 'tsp'],
-  ['teaspoon', 'tsp'],
-  ['cups', 'cup'],
-  ['pints', 'pint'],
-  ['pint', 'pint'],
-  ['quarts', 'quart'],
-  ['quart', 'quart'],
-  ['qt', 'quart'],
-  ['ounces', 'oz'],
-  ['ounce', 'oz'],
-  ['pounds', 'lb'],
-  ['pound', 'lb'],
-  ['liters', 'l'],
-  ['liter', 'l'],
-  ['milliliters', 'ml'],
-  ['milliliter', 'ml'],
-  ['ml', 'ml'],
-  ['l', 'l'],
-  ['medium', 'count'],
-  ['large', 'count'],
-  ['small', 'count'],
-  ['piece', 'count'],
-  ['pieces', 'count'],
-  ['bunch', 'count'],
-  ['bunches', 'count'],
-  ['dash', 'tsp'],
-  ['drop', 'tsp'],
-]);
-
-function normalizeUnit(unit) {
-  if (!unit) return null;
-  const cleaned = String(unit).trim().toLowerCase();
-  if (!cleaned) return null;
-  return UNIT_ALIASES.get(cleaned) || cleaned;
+function formatNumber(value) {
+  return String(Number(value.toPrecision(4)));
 }
 
-function unitDefinition(unitId) {
-  if (!unitId) return null;
-  const normalized = String(unitId).toLowerCase();
-  for (const [groupName, group] of Object.entries(UNIT_CONVERSIONS)) {
-    const def = group.units[normalized];
-    if (def) return { ...def, id: normalized, group: groupName };
+/**
+ * Catalog edit that would close a unit-world gap: a unit factor between volume and mass (with
+ * a water-density guess in the notes), portion grams to weigh when the catalog serving is a mass,
+ * or a unit factor otherwise. Values are always left blank so nothing is applied unreviewed.
+ * Returns null for gaps a unit fix cannot close.
+ */
+function draftPatch(gap) {
+  if (gap.reason !== 'missing-cross-factor' && gap.reason !== 'no-convertible-variant') return null;
+  if (!gap.unit_norm || !gap.suggested_target_unit) return null;
+  const base = { ingredient_id: gap.ingredient_id, source: '', reason: gap.reason, hidden_kcal: gap.hidden_kcal };
+  const fromGroup = unitDefinition(gap.unit_norm)?.group;
+  const toGroup = unitDefinition(gap.suggested_target_unit)?.group;
+  const volumeMass = new Set([fromGroup, toGroup]);
+  if (fromGroup !== toGroup && volumeMass.has('volume') && volumeMass.has('mass')) {
+    const guess = convertUnitAmount(1, gap.unit_norm, gap.suggested_target_unit, { grams_per_ml: 1 });
+    return {
+      ...base,
+      kind: 'unit_factor',
+      from_unit: gap.unit_norm,
+      to_unit: gap.suggested_target_unit,
+      value: '',
+      notes: guess
+        ? `Water density (1 g/ml) would give ${formatNumber(guess.amount)}; enter a measured value.`
+        : `Enter how many ${gap.suggested_target_unit} one ${gap.unit_norm} makes.`,
+    };
   }
-  return null;
-}
-
-function convertUnitAmount(amount, fromUnit, toUnit) {
-  if (!Number.isFinite(amount)) return null;
-  const fromDef = unitDefinition(fromUnit);
-  const toDef = unitDefinition(toUnit);
-  if (!fromDef || !toDef || fromDef.group !== toDef.group) return null;
-  const amountInBase = amount * fromDef.to_base;
-  const converted = amountInBase / toDef.to_base;
-  return { amount: converted, unit: toDef.id };
+  if (toGroup === 'mass') {
+    return {
+      ...base,
+      kind: 'portion',
+      from_unit: gap.unit_norm,
+      to_unit: 'g',
+      value: '',
+      notes: `Weigh one ${gap.unit_norm} in grams.`,
+    };
+  }
+  return {
+    ...base,
+    kind: 'unit_factor',
+    from_unit: gap.unit_norm,
+    to_unit: gap.suggested_target_unit,
+    value: '',
+    notes: `Enter how many ${gap.suggested_target_unit} one ${gap.unit_norm} makes.`,
+  };
 }
 
-function selectNutritionVariant(variants, normalizedUnit, amount) {
-  if (!Array.isArray(variants) || variants.length === 0) {
-    return { variant: null, convertedAmount: null, convertible: false };
+function suggestedFix(gap, patch) {
+  if (patch) {
+    const value = patch.value || '?';
+    return patch.kind === 'portion'
+      ? `portion: 1 ${patch.from_unit} = ${value} g`
+      : `unit factor: 1 ${patch.from_unit} = ${value} ${patch.to_unit}`;
   }
-  const exact = variants.find((entry) => entry?.serving_unit_norm === normalizedUnit);
-  if (exact) return { variant: exact, convertedAmount: amount, convertible: true };
-
-  for (const entry of variants) {
-    const servingUnit = entry?.serving_unit_norm;
-    if (!servingUnit) continue;
-    const conversion = convertUnitAmount(amount, normalizedUnit, servingUnit);
-    if (conversion && Number.isFinite(conversion.amount)) {
-      return { variant: entry, convertedAmount: conversion.amount, convertible: true };
-    }
+  if (gap.reason === 'missing-nutrition-row') {
+    return `add a catalog nutrition row (npm run import:fdc -- <dump> --ingredient ${gap.ingredient_id})`;
   }
+  if (gap.reason === 'non-numeric-fields') return 'fill the blank nutrient columns of the catalog row';
+  if (gap.reason === 'recipe-reference-needed') return 'add the referenced recipe or use a measured unit';
+  return '';
+}
 
-  return { variant: null, convertedAmount: null, convertible: false };
+function markdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
 }
 
-function selectVariantWithFactor(ingredientId, amount, normalizedUnit, variants, unitFactors) {
-  if (!ingredientId || !unitFactors) return null;
-  const factors = unitFactors.get(ingredientId) || [];
-  for (const factor of factors) {
-    let bridgedAmount = null;
-    if (normalizedUnit === factor.from_unit_norm) {
-      bridgedAmount = amount * factor.factor;
-    } else {
-      const fromConversion = convertUnitAmount(amount, normalizedUnit, factor.from_unit_norm);
-      if (!fromConversion || !Number.isFinite(fromConversion.amount)) continue;
-      bridgedAmount = fromConversion.amount * factor.factor;
-    }
-    const match = selectNutritionVariant(variants, factor.to_unit_norm, bridgedAmount);
-    if (match?.variant && Number.isFinite(match.convertedAmount)) {
-      return { variant: match.variant, convertedAmount: match.convertedAmount, bridge: factor };
-    }
-  }
-  return null;
+function toMarkdown(gaps) {
+  const lines = [
+    '| Hidden kcal | Ingredient | Unit | Reason | Uses | Example recipe | Suggested fix |',
+    '| ---: | --- | --- | --- | ---: | --- | --- |',
+  ];
+  gaps.forEach((gap) => {
+    const cells = [
+      gap.hidden_kcal,
+      gap.ingredient_id,
+      gap.unit_norm,
+      gap.reason,
+      gap.count_occurrences,
+      `${gap.example_recipe_id} (${gap.example_qty})`,
+      gap.suggested_fix,
+    ];
+    lines.push(`| ${cells.map(markdownCell).join(' | ')} |`);
+  });
+  return `${lines.join('\n')}\n`;
 }
 
-function selectVariantWithPortion(ingredientId, amount, normalizedUnit, variants, ingredientPortions) {
-  if (!ingredientId || !ingredientPortions) return null;
-  const portions = [...ingredientPortions.values()].filter((entry) => entry.ingredient_id === ingredientId);
-  if (!portions.length) return null;
-  for (const portion of portions) {
-    let portionAmount = null;
-    if (normalizedUnit === portion.unit) {
-      portionAmount = amount;
-    } else {
-      const converted = convertUnitAmount(amount, normalizedUnit, portion.unit);
-      if (converted && Number.isFinite(converted.amount)) {
-        portionAmount = converted.amount;
+/** Write reviewed draft rows into the catalog, filling only empty unit factor or portion slots. */
+async function applyPatch(patchPath) {
+  const catalogPath = path.join(process.cwd(), 'data', 'ingredient_catalog.csv');
+  const { headers, rows } = loadCatalog(catalogPath);
+  const patchRows = parseCSV(fs.readFileSync(patchPath, 'utf-8'), { label: path.relative(process.cwd(), patchPath) });
+  const applied = [];
+  const skipped = [];
+  patchRows.forEach((patch) => {
+    const label = `${patch.ingredient_id} (${patch.kind} ${patch.from_unit})`;
+    const row = rows.find((entry) => entry.ingredient_id === patch.ingredient_id);
+    const value = Number(patch.value);
+    if (!row) {
+      skipped.push(`${label}: not in the catalog`);
+    } else if (!String(patch.value).trim() || !Number.isFinite(value) || value <= 0) {
+      skipped.push(`${label}: no value filled in`);
+    } else if (patch.kind === 'unit_factor') {
+      if (row.unit_factor) {
+        skipped.push(`${label}: already has a unit factor (${row.unit_factor_from_unit_norm} -> ${row.unit_factor_to_unit_norm}); edit by hand`);
+        return;
       }
+      Object.assign(row, {
+        unit_factor_from_unit_norm: patch.from_unit,
+        unit_factor_to_unit_norm: patch.to_unit,
+        unit_factor: patch.value,
+        unit_factor_source: patch.source || '',
+        unit_factor_notes: patch.notes || '',
+      });
+      applied.push(label);
+    } else if (patch.kind === 'portion') {
+      if (row.portion_grams) {
+        skipped.push(`${label}: already has a portion (${row.portion_unit}); edit by hand`);
+        return;
+      }
+      Object.assign(row, {
+        portion_unit: patch.from_unit,
+        portion_grams: patch.value,
+        portion_source: patch.source || '',
+        portion_notes: patch.notes || '',
+      });
+      applied.push(label);
+    } else {
+      skipped.push(`${label}: unknown kind`);
     }
-    if (!Number.isFinite(portionAmount)) continue;
-    const grams = portionAmount * portion.grams;
-    if (!Number.isFinite(grams)) continue;
-    const match = selectNutritionVariant(variants, 'g', grams);
-    if (match?.variant && Number.isFinite(match.convertedAmount)) {
-      return { variant: match.variant, convertedAmount: match.convertedAmount, bridge: portion };
-    }
-  }
-  return null;
-}
-
-function listVariantUnits(variants) {
-  if (!Array.isArray(variants)) return [];
-  const seen = new Set();
-  variants.forEach((entry) => {
-    const unit = entry?.serving_unit_norm;
-    if (unit) seen.add(unit);
   });
-  return [...seen];
-}
-
-function pickSuggestedTargetUnit(normalizedUnit, variants) {
-  const units = listVariantUnits(variants);
-  if (!units.length) return '';
-  const recipeGroup = unitDefinition(normalizedUnit)?.group || null;
-  if (recipeGroup) {
-    const sameGroup = units.find((unit) => unitDefinition(unit)?.group === recipeGroup);
-    if (sameGroup) return sameGroup;
+  if (skipped.length) console.log(`Skipped:\n  ${skipped.join('\n  ')}`);
+  if (!applied.length) {
+    console.log('Nothing to apply.');
+    return;
   }
-  return units[0];
-}
-
-function classifyUnitWorldMismatch(normalizedUnit, targetUnit) {
-  if (!normalizedUnit || !targetUnit) return '';
-  const packageUnits = new Set(['bag', 'bunch', 'can', 'cube', 'jar', 'packet', 'package', 'bottle']);
-  if (packageUnits.has(normalizedUnit)) return 'package';
-  const recipeGroup = unitDefinition(normalizedUnit)?.group || null;
-  const targetGroup = unitDefinition(targetUnit)?.group || null;
-  if (!recipeGroup || !targetGroup || recipeGroup === targetGroup) return '';
-  if (recipeGroup === 'count' && targetGroup === 'volume') return 'count-vs-volume';
-  if (recipeGroup === 'count' && targetGroup === 'mass') return 'count-vs-mass';
-  if (recipeGroup === 'volume' && targetGroup === 'mass') return 'volume-vs-mass';
-  if (recipeGroup === 'mass' && targetGroup === 'volume') return 'volume-vs-mass';
-  return '';
-}
-
-function parseRatioToNumber(raw) {
-  if (!raw) return null;
-  const trimmed = String(raw).trim();
-  if (!trimmed) return null;
-  const parts = trimmed.split(' ');
-  let whole = 0;
-  let frac = parts[0];
-  if (parts.length === 2) {
-    whole = Number(parts[0]);
-    frac = parts[1];
-  }
-  let num;
-  let den;
-  if (frac.includes('/')) {
-    const [n, d] = frac.split('/');
-    num = Number(n);
-    den = Number(d);
-  } else {
-    num = Number(frac);
-    den = 1;
+  // Validation reads the catalog from disk, so a patch that fails it puts the original back.
+  const originalText = fs.readFileSync(catalogPath, 'utf-8');
+  fs.writeFileSync(catalogPath, stringifyCSV(headers, rows));
+  try {
+    await validateAll();
+  } catch (err) {
+    fs.writeFileSync(catalogPath, originalText);
+    throw new Error(`Patch not applied; data/ingredient_catalog.csv is unchanged. Validation failed: ${err.message || err}`);
   }
-  if (!Number.isFinite(whole) || !Number.isFinite(num) || !Number.isFinite(den) || den === 0) {
-    return null;
-  }
-  return whole + num / den;
+  console.log(`Applied ${applied.length} patch row(s) to data/ingredient_catalog.csv`);
+  console.log('Validation passed; run npm run build to refresh the estimates.');
 }
 
-function selectDefaultOption(tokenData, choice) {
-  if (!tokenData?.options?.length) return null;
-  if (!tokenData.isChoice) return tokenData.options[0];
-  const preferred = choice?.default_option;
-  if (preferred) {
-    return tokenData.options.find((opt) => opt.option === preferred) || tokenData.options[0];
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.apply) {
+    await applyPatch(args.apply);
+    return;
   }
-  const withOption = tokenData.options.find((opt) => opt.option);
-  return withOption || tokenData.options[0];
-}
 
-function buildIngredientUnitFactorsFromCatalog(rows) {
-  const parsed = rows || [];
-  const map = new Map();
-  parsed.forEach((row) => {
-    if (!row?.ingredient_id) return;
-    const fromUnit = normalizeUnit(row.unit_factor_from_unit_norm);
-    const toUnit = normalizeUnit(row.unit_factor_to_unit_norm);
-    const factor = Number(row.unit_factor);
-    if (!fromUnit || !toUnit || !Number.isFinite(factor)) return;
-    if (!map.has(row.ingredient_id)) map.set(row.ingredient_id, []);
-    map.get(row.ingredient_id).push({
-      ingredient_id: row.ingredient_id,
-      from_unit_norm: fromUnit,
-      to_unit_norm: toUnit,
-      factor,
-      source: row.unit_factor_source || '',
-      notes: row.unit_factor_notes || '',
-    });
+  const builtDir = path.join(process.cwd(), 'docs', 'built');
+  const allRecipes = readBuiltJson(builtDir, 'recipes.json');
+  const recipes = args.recipes.length
+    ? allRecipes.filter((recipe) => args.recipes.includes(recipe.id))
+    : allRecipes;
+  const unknownRecipes = args.recipes.filter((id) => !allRecipes.some((recipe) => recipe.id === id));
+  if (unknownRecipes.length) throw new Error(`Unknown recipe id(s): ${unknownRecipes.join(', ')}`);
+
+  const gaps = nutritionCoverageGaps(recipes, {
+    recipeIndex: new Map(allRecipes.map((recipe) => [recipe.id, recipe])),
+    ingredientPortions: ingredientPortionsFromJson(readBuiltJson(builtDir, 'ingredient-portions.json')),
+    ingredientUnitFactors: ingredientUnitFactorsFromJson(readBuiltJson(builtDir, 'ingredient-unit-factors.json')),
+  })
+    .filter((gap) => !args.ingredients.length || args.ingredients.includes(gap.ingredient_id))
+    .filter((gap) => !args.reasons.length || args.reasons.includes(gap.reason))
+    .sort((a, b) => b.hidden_kcal - a.hidden_kcal || a.ingredient_id.localeCompare(b.ingredient_id));
+  const patches = [];
+  gaps.forEach((gap) => {
+    const patch = draftPatch(gap);
+    if (patch) patches.push(patch);
+    gap.suggested_fix = suggestedFix(gap, patch);
   });
-  return map;
-}
 
-function buildIngredientPortionsFromCatalog(rows) {
-  const parsed = rows || [];
-  const map = new Map();
-  for (const row of parsed) {
-    if (!row.ingredient_id || !row.portion_unit) continue;
-    const normalizedUnit = normalizeUnit(row.portion_unit);
-    if (!normalizedUnit) continue;
-    const grams = Number(row.portion_grams);
-    if (!Number.isFinite(grams)) continue;
-    map.set(`${row.ingredient_id}::${normalizedUnit}`, {
-      ingredient_id: row.ingredient_id,
-      unit: normalizedUnit,
-      grams,
-      source: row.portion_source || '',
-      notes: row.portion_notes || '',
-    });
+  let output;
+  if (args.format === 'json') {
+    output = `${JSON.stringify(gaps, null, 2)}\n`;
+  } else if (args.format === 'md') {
+    output = toMarkdown(gaps);
+  } else {
+    output = stringifyCSV(NUTRITION_COVERAGE_COLUMNS, gaps);
+  }
+  // An unfiltered CSV run refreshes the build's report; anything else goes to --out or stdout.
+  const filtered = args.recipes.length || args.ingredients.length || args.reasons.length;
+  const outputPath = args.out || (args.format === 'csv' && !filtered
+    ? path.join(builtDir, 'nutrition_coverage_report.csv')
+    : null);
+  if (outputPath) {
+    fs.writeFileSync(outputPath, output);
+    console.log(`Wrote ${gaps.length} missing rows to ${outputPath}`);
+  } else {
+    process.stdout.write(output);
   }
-  return map;
-}
-
-function generateNutritionCoverageReport(recipes, unitFactors, ingredientPortions, recipesById = null) {
-  const missing = new Map();
-  recipes.forEach((recipe) => {
-    const ingredients = recipe.ingredients || {};
-    const choices = recipe.choices || {};
-    Object.keys(ingredients).forEach((token) => {
-      const tokenData = ingredients[token];
-      const option = selectDefaultOption(tokenData, choices[token]);
-      if (!option || !option.ratio || !option.unit) return;
-      const amount = parseRatioToNumber(option.ratio);
-      if (!Number.isFinite(amount)) return;
-      const normalizedUnit = normalizeUnit(option.unit);
-      const variants = Array.isArray(option.nutrition) ? option.nutrition : (option.nutrition ? [option.nutrition] : []);
-      let reason = null;
-      const variantUnits = listVariantUnits(variants);
-      const suggestedTargetUnit = pickSuggestedTargetUnit(normalizedUnit, variants);
-      const mismatchType = classifyUnitWorldMismatch(normalizedUnit, suggestedTargetUnit);
-
-      if (normalizedUnit === 'recipe') {
-        if (!recipesById?.has?.(option.ingredient_id)) {
-          reason = 'recipe-reference-needed';
-        }
-      } else if (!variants.length) {
-        reason = 'missing-nutrition-row';
-      } else {
-        const selection = selectNutritionVariant(variants, normalizedUnit, amount);
-        let variant = selection.variant;
-        let convertedAmount = selection.convertedAmount;
-
-        if (!variant) {
-          const factorMatch = selectVariantWithFactor(
-            option.ingredient_id,
-            amount,
-            normalizedUnit,
-            variants,
-            unitFactors
-          );
-          variant = factorMatch?.variant || null;
-          convertedAmount = factorMatch?.convertedAmount ?? null;
-          if (!variant) {
-            const recipeGroup = unitDefinition(normalizedUnit)?.group || null;
-            const hasSameGroup = variants.some((entry) => {
-              const servingGroup = unitDefinition(entry?.serving_unit_norm)?.group || null;
-              return servingGroup && recipeGroup && servingGroup === recipeGroup;
-            });
-            reason = hasSameGroup ? 'no-convertible-variant' : 'missing-cross-factor';
-          }
-        }
-
-        if (!variant) {
-          const portionMatch = selectVariantWithPortion(
-            option.ingredient_id,
-            amount,
-            normalizedUnit,
-            variants,
-            ingredientPortions
-          );
-          variant = portionMatch?.variant || null;
-          convertedAmount = portionMatch?.convertedAmount ?? null;
-        }
-
-        if (!reason && (!variant || !Number.isFinite(convertedAmount))) {
-          reason = 'no-convertible-variant';
-        }
-
-        if (!reason) {
-          const required = [
-            variant.calories_kcal,
-            variant.protein_g,
-            variant.total_fat_g,
-            variant.saturated_fat_g,
-            variant.total_carbs_g,
-            variant.sugars_g,
-            variant.fiber_g,
-            variant.sodium_mg,
-            variant.calcium_mg,
-            variant.iron_mg,
-            variant.potassium_mg,
-            variant.vitamin_c_mg,
-          ];
-          if (required.some((value) => !Number.isFinite(value))) {
-            reason = 'non-numeric-fields';
-          }
-        }
-      }
-
-      if (!reason) return;
-      const key = `${option.ingredient_id}::${normalizedUnit || ''}::${reason}`;
-      if (!missing.has(key)) {
-        missing.set(key, {
-          ingredient_id: option.ingredient_id,
-          unit_norm: normalizedUnit || '',
-          reason,
-          example_recipe_id: recipe.id,
-          example_qty: option.ratio,
-          nutrition_variants_units: variantUnits.join(','),
-          suggested_target_unit: suggestedTargetUnit,
-          unit_world_mismatch_type: mismatchType,
-          count_occurrences: 0,
-        });
-      }
-      missing.get(key).count_occurrences += 1;
-    });
-  });
-  return [...missing.values()];
-}
 
-function main() {
-  const builtRecipesPath = path.join(process.cwd(), 'docs', 'built', 'recipes.json');
-  const catalogPath = path.join(process.cwd(), 'data', 'ingredient_catalog.csv');
-  if (!fs.existsSync(builtRecipesPath)) {
-    throw new Error('Missing docs/built/recipes.json. Run the build first.');
+  if (args.patch) {
+    fs.writeFileSync(args.patch, stringifyCSV(PATCH_COLUMNS, patches));
+    // Keep stdout clean for piping when the report itself went there.
+    (outputPath ? console.log : console.error)(`Wrote ${patches.length} draft patch row(s) to ${path.relative(process.cwd(), args.patch)}; ` +
+      'review the values, then run with --apply.');
   }
-  const recipes = JSON.parse(fs.readFileSync(builtRecipesPath, 'utf-8'));
-  const recipesById = new Map(recipes.map((recipe) => [recipe.id, recipe]));
-  const catalogRows = loadIngredientCatalogRows(catalogPath);
-  const unitFactors = buildIngredientUnitFactorsFromCatalog(catalogRows);
-  const ingredientPortions = buildIngredientPortionsFromCatalog(catalogRows);
-  const missing = generateNutritionCoverageReport(recipes, unitFactors, ingredientPortions, recipesById);
-  const outputPath = path.join(process.cwd(), 'docs', 'built', 'nutrition_coverage_report.csv');
-  const missingCsv = [
-    'ingredient_id,unit_norm,example_recipe_id,count_occurrences,example_qty,reason,nutrition_variants_units,suggested_target_unit,unit_world_mismatch_type',
-    ...missing.map((row) =>
-      [
-        csvEscape(row.ingredient_id),
-        csvEscape(row.unit_norm),
-        csvEscape(row.example_recipe_id),
-        csvEscape(row.count_occurrences),
-        csvEscape(row.example_qty),
-        csvEscape(row.reason),
-        csvEscape(row.nutrition_variants_units),
-        csvEscape(row.suggested_target_unit),
-        csvEscape(row.unit_world_mismatch_type),
-      ].join(',')
-    ),
-  ].join('\n');
-  fs.writeFileSync(outputPath, `${missingCsv}\n`);
-  console.log(`Wrote ${missing.length} missing rows to ${outputPath}`);
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
 }
@@ -1,48 +1,14 @@
 import fs from 'fs';
 import path from 'path';
-
-async function loadPapa() {
-  const module = await import('papaparse').catch(() => null);
-  return module ? module.default || module : null;
-}
-
-function simpleParseCSV(text) {
-  const lines = text.replace(/\r\n/g, '\n').split(/\n/).filter((line) => line.trim() !== '');
-  if (lines.length === 0) return [];
-  const headers = parseLine(lines[0]);
-  return lines.slice(1).map((line) => {
-    const values = parseLine(line);
-    const row = {};
-    headers.forEach((header, idx) => {
-      row[header] = values[idx] ?? '';
-    });
-    return row;
-  });
-}
-
-function parseLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i += 1) {
-    const char = line[i];
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      result.push(current);
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-  result.push(current);
-  return result;
-}
+import { parseCSV } from '../docs/csv-utils.js';
+import { buildCategoryTaxonomy, resolveCategory, splitCategories, suggestCategory } from '../docs/category-utils.js';
+import {
+  STEP_PAN_TOKEN,
+  parseIngredientScaling,
+  parseStepMeasure,
+  parseStepTimer,
+  tokenizeStepMeasurements,
+} from '../docs/recipe-utils.js';
 
 const UNIT_ALIASES = new Map([
   ['cloves', 'clove'],
@@ -97,37 +63,9 @@ function normalizeUnit(unit) {
   return UNIT_ALIASES.get(cleaned) || cleaned;
 }
 
-function ensureNoExtraColumns(content, filePath, label) {
-  const lines = content.replace(/\r\n/g, '\n').split(/\n/).filter((line) => line.trim() !== '');
-  if (lines.length === 0) return;
-  const headers = parseLine(lines[0]);
-  const headerCount = headers.length;
-  lines.slice(1).forEach((line, idx) => {
-    const values = parseLine(line);
-    if (values.length > headerCount) {
-      const rowNumber = idx + 2;
-      throw new Error(
-        `${label || filePath}: detected extra columns in row ${rowNumber}. ` +
-          'Check for unquoted commas in fields like notes.',
-      );
-    }
-  });
-}
-
-async function parseCSVFile(filePath, options = {}) {
-  const content = fs.readFileSync(filePath, 'utf-8');
-  if (options.expectNoExtraColumns) {
-    ensureNoExtraColumns(content, filePath, options.label);
-  }
-  const Papa = await loadPapa();
-  if (Papa) {
-    const parsed = Papa.parse(content, { header: true, skipEmptyLines: true });
-    if (parsed.errors && parsed.errors.length) {
-      throw new Error(`CSV parse error in ${filePath}: ${parsed.errors[0].message}`);
-    }
-    return parsed.data;
-  }
-  return simpleParseCSV(content);
+export function parseCSVFile(filePath, options = {}) {
+  const label = options.label || path.relative(process.cwd(), filePath);
+  return parseCSV(fs.readFileSync(filePath, 'utf-8'), { label });
 }
 
 function extractTokensFromSteps(stepsRaw) {
@@ -136,7 +74,7 @@ function extractTokensFromSteps(stepsRaw) {
   const tokens = [];
   let match;
   while ((match = tokenRegex.exec(stepsRaw)) !== null) {
-    tokens.push(match[1]);
+    if (match[1] !== STEP_PAN_TOKEN) tokens.push(match[1]);
   }
   while ((match = conditionRegex.exec(stepsRaw)) !== null) {
     tokens.push(match[1]);
@@ -144,6 +82,37 @@ function extractTokensFromSteps(stepsRaw) {
   return tokens;
 }
 
+/**
+ * Check a step's {{temp:...}}, {{len:...}}, {{size:...}} and {{timer:...}} tokens, and flag plain
+ * °F/°C or inch mentions that would not follow the reader's measurement preference.
+ */
+function checkStepTemplateTokens(text, label, hasDefaultPan) {
+  const templateRegex = /{{\s*([a-z]+)\s*:\s*([^}]*?)\s*}}/g;
+  let match;
+  while ((match = templateRegex.exec(text)) !== null) {
+    if (match[1] === 'timer') {
+      ensure(
+        parseStepTimer(match[2]),
+        `${label}: invalid timer token ${match[0]} (expected e.g. {{timer:20m|Simmer soup}} or {{timer:1h30m}})`
+      );
+      continue;
+    }
+    ensure(
+      parseStepMeasure(match[1], match[2]),
+      `${label}: invalid measurement token ${match[0]} (expected e.g. {{temp:350F}}, {{len:2in}} or {{size:9x13in}})`
+    );
+  }
+  const tokenized = tokenizeStepMeasurements(text);
+  ensure(
+    tokenized === text,
+    `${label}: write temperatures and inch sizes as tokens so they follow the measurement preference: "${tokenized}"`
+  );
+  ensure(
+    hasDefaultPan || !new RegExp(`{{\\s*${STEP_PAN_TOKEN}\\s*}}`).test(text),
+    `${label}: {{${STEP_PAN_TOKEN}}} needs a default_pan in meta.csv`
+  );
+}
+
 function ensure(condition, message) {
   if (!condition) {
     throw new Error(message);
@@ -154,12 +123,79 @@ function parseBoolean(value) {
   return ['true', '1', 'yes', 'y', 'on'].includes(String(value || '').trim().toLowerCase());
 }
 
-function parseCategories(raw) {
-  if (!raw) return [];
-  return raw
-    .split(/[;,]/)
-    .map((entry) => entry.trim())
-    .filter(Boolean);
+/**
+ * Read data/allergens.json and pair each entry with its `contains_<id>` catalog column.
+ * Every `contains_*` column needs an entry and vice versa, so a new allergen is a data-only change.
+ * Returns [{ id, key: '<id>_free', column, name, short, list_badge }] in file order.
+ */
+export function loadAllergens(allergensPath, catalogColumns) {
+  ensure(fs.existsSync(allergensPath), 'Missing data/allergens.json');
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(allergensPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Unable to parse allergens.json: ${err?.message || err}`);
+  }
+  ensure(Array.isArray(parsed), 'allergens.json must be an array');
+  const allergens = parsed.map((entry) => {
+    ensure(/^[a-z][a-z0-9_]*$/.test(entry?.id || ''), `allergens.json: invalid id ${JSON.stringify(entry?.id)}`);
+    ensure(entry.name && entry.short, `allergens.json: ${entry.id} needs a name and short label`);
+    return {
+      id: entry.id,
+      key: `${entry.id}_free`,
+      column: `contains_${entry.id}`,
+      name: entry.name,
+      short: entry.short,
+      list_badge: entry.list_badge === true,
+    };
+  });
+  const columns = new Set(allergens.map((allergen) => allergen.column));
+  ensure(columns.size === allergens.length, 'allergens.json: duplicate allergen id');
+  allergens.forEach((allergen) => {
+    ensure(catalogColumns.includes(allergen.column), `ingredient_catalog.csv missing ${allergen.column} column`);
+  });
+  catalogColumns
+    .filter((column) => column.startsWith('contains_'))
+    .forEach((column) => ensure(columns.has(column), `allergens.json has no entry for catalog column ${column}`));
+  return allergens;
+}
+
+export const ANIMAL_SOURCES = ['none', 'meat', 'poultry', 'fish', 'shellfish', 'dairy', 'egg'];
+
+/**
+ * Read data/diets.json: each diet excludes catalog rows by `animal_source`, `honey` and/or `high_fodmap`.
+ * Returns [{ id, key, name, short, list_badge, exclude_animal_sources, exclude_honey, exclude_high_fodmap }].
+ */
+export function loadDiets(dietsPath) {
+  ensure(fs.existsSync(dietsPath), 'Missing data/diets.json');
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(dietsPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Unable to parse diets.json: ${err?.message || err}`);
+  }
+  ensure(Array.isArray(parsed), 'diets.json must be an array');
+  const ids = new Set();
+  return parsed.map((entry) => {
+    ensure(/^[a-z][a-z0-9_]*$/.test(entry?.id || ''), `diets.json: invalid id ${JSON.stringify(entry?.id)}`);
+    ensure(!ids.has(entry.id), `diets.json: duplicate id ${entry.id}`);
+    ids.add(entry.id);
+    ensure(entry.name && entry.short, `diets.json: ${entry.id} needs a name and short label`);
+    const excluded = entry.exclude_animal_sources || [];
+    excluded.forEach((source) => {
+      ensure(ANIMAL_SOURCES.includes(source) && source !== 'none', `diets.json: ${entry.id} excludes unknown animal source ${source}`);
+    });
+    return {
+      id: entry.id,
+      key: entry.id,
+      name: entry.name,
+      short: entry.short,
+      list_badge: entry.list_badge === true,
+      exclude_animal_sources: excluded,
+      exclude_honey: entry.exclude_honey === true,
+      exclude_high_fodmap: entry.exclude_high_fodmap === true,
+    };
+  });
 }
 
 function loadPanCatalog(catalogPath) {
@@ -179,8 +215,7 @@ function loadPanCatalog(catalogPath) {
   return map;
 }
 
-export async function validateAll() {
-  const recipesDir = path.join(process.cwd(), 'recipes');
+export async function validateAll({ recipesDir = path.join(process.cwd(), 'recipes') } = {}) {
   const recipeDirs = fs.readdirSync(recipesDir, { withFileTypes: true }).filter((ent) => ent.isDirectory());
   const ingredientCatalogPath = path.join(process.cwd(), 'data', 'ingredient_catalog.csv');
   const nutritionGuidelinesPath = path.join(process.cwd(), 'data', 'nutrition_guidelines.json');
@@ -190,8 +225,13 @@ export async function validateAll() {
   ensure(fs.existsSync(nutritionPolicyPath), 'Missing nutrition_policy.json');
   const ingredientCatalogRows = await parseCSVFile(ingredientCatalogPath);
   const ingredientCatalog = new Set(ingredientCatalogRows.map((row) => row.ingredient_id));
+  const allergens = loadAllergens(
+    path.join(process.cwd(), 'data', 'allergens.json'),
+    Object.keys(ingredientCatalogRows[0] || {})
+  );
+  loadDiets(path.join(process.cwd(), 'data', 'diets.json'));
   const ingredientCatalogIds = new Set();
-  ingredientCatalogRows.forEach((row) => {
+  ingredientCatalogRows.forEach((row, idx) => {
     ensure(row.ingredient_id, 'ingredient_catalog.csv missing ingredient_id');
     ensure(
       [
@@ -204,6 +244,7 @@ export async function validateAll() {
         'saturated_fat_g',
         'total_carbs_g',
         'sugars_g',
+        'added_sugars_g',
         'fiber_g',
         'sodium_mg',
         'calcium_mg',
@@ -224,6 +265,35 @@ export async function validateAll() {
       ].every((field) => Object.prototype.hasOwnProperty.call(row, field)),
       'ingredient_catalog.csv missing nutrition columns'
     );
+    allergens.forEach(({ column }) => {
+      ensure(
+        row[column] === 'true' || row[column] === 'false',
+        `ingredient_catalog.csv ${column} must be true or false on row ${idx + 2}`
+      );
+    });
+    ['honey', 'high_fodmap'].forEach((column) => {
+      ensure(
+        row[column] === 'true' || row[column] === 'false',
+        `ingredient_catalog.csv ${column} must be true or false on row ${idx + 2}`
+      );
+    });
+    const animalSources = String(row.animal_source || '').split(';').map((source) => source.trim());
+    animalSources.forEach((source) => {
+      ensure(
+        ANIMAL_SOURCES.includes(source),
+        `ingredient_catalog.csv animal_source must be ${ANIMAL_SOURCES.join('/')} (separate several with ;) on row ${idx + 2}`
+      );
+    });
+    ensure(
+      !animalSources.includes('none') || animalSources.length === 1,
+      `ingredient_catalog.csv animal_source "none" cannot be combined with other sources on row ${idx + 2}`
+    );
+    ['dairy', 'egg', 'fish', 'shellfish'].forEach((source) => {
+      ensure(
+        row[`contains_${source}`] !== 'true' || animalSources.includes(source),
+        `ingredient_catalog.csv ${row.ingredient_id}: contains_${source} is true but animal_source does not list ${source}`
+      );
+    });
     ensure(row.serving_qty, 'ingredient_catalog.csv missing serving_qty');
     ensure(row.serving_unit_norm, 'ingredient_catalog.csv missing serving_unit_norm');
     ensure(!ingredientCatalogIds.has(row.ingredient_id), `ingredient_catalog.csv duplicate ingredient_id ${row.ingredient_id}`);
@@ -239,6 +309,7 @@ export async function validateAll() {
       'saturated_fat_g',
       'total_carbs_g',
       'sugars_g',
+      'added_sugars_g',
       'fiber_g',
       'sodium_mg',
       'calcium_mg',
@@ -252,6 +323,23 @@ export async function validateAll() {
         `ingredient_catalog.csv non-numeric ${field} on row ${idx + 2}`
       );
     });
+    ensure(
+      Number(row.added_sugars_g) >= 0 && Number(row.added_sugars_g) <= Number(row.sugars_g),
+      `ingredient_catalog.csv added_sugars_g must be between 0 and sugars_g on row ${idx + 2}`
+    );
+    if (row.cooked_yield) {
+      ensure(
+        Number(row.cooked_yield) > 0,
+        `ingredient_catalog.csv cooked_yield must be a positive ratio of cooked to raw weight on row ${idx + 2}`
+      );
+    }
+    if (row.fat_retention) {
+      const retention = Number(row.fat_retention);
+      ensure(
+        retention >= 0 && retention <= 1,
+        `ingredient_catalog.csv fat_retention must be between 0 and 1 on row ${idx + 2}`
+      );
+    }
     if (row.portion_unit || row.portion_grams || row.portion_source || row.portion_notes) {
       ensure(row.portion_unit, `ingredient_catalog.csv missing portion_unit on row ${idx + 2}`);
       ensure(row.portion_grams, `ingredient_catalog.csv missing portion_grams on row ${idx + 2}`);
@@ -289,6 +377,9 @@ export async function validateAll() {
     }
   });
   const panCatalog = loadPanCatalog(path.join(process.cwd(), 'data', 'pan-sizes.json'));
+  const categoriesPath = path.join(process.cwd(), 'data', 'categories.csv');
+  ensure(fs.existsSync(categoriesPath), 'Missing data/categories.csv');
+  const categoryTaxonomy = buildCategoryTaxonomy(parseCSVFile(categoriesPath));
   const ratioPattern = /^\d+(?: \d+\/\d+|\/\d+)?$/;
   const unitLintWarnings = [];
 
@@ -303,10 +394,7 @@ export async function validateAll() {
     ensure(fs.existsSync(ingredientsPath), `Missing ingredients.csv for recipe ${recipeId}`);
     ensure(fs.existsSync(stepsPath) || fs.existsSync(stepsCsvPath), `Missing steps for recipe ${recipeId}`);
 
-    const metaRows = await parseCSVFile(metaPath, {
-      expectNoExtraColumns: true,
-      label: `${recipeId}: meta.csv`,
-    });
+    const metaRows = await parseCSVFile(metaPath);
     ensure(metaRows.length === 1, `${recipeId}: meta.csv must contain exactly one data row`);
     const metaRow = metaRows[0];
     ensure(metaRow.id === recipeId, `${recipeId}: meta id must match directory name`);
@@ -316,9 +404,17 @@ export async function validateAll() {
       `${recipeId}: meta.csv missing servings_per_batch column`
     );
     ensure(
-      parseCategories(metaRow.categories).length > 0,
+      splitCategories(metaRow.categories).length > 0,
       `${recipeId}: meta.csv must include at least one category`
     );
+    splitCategories(metaRow.categories).forEach((category) => {
+      if (resolveCategory(categoryTaxonomy, category)) return;
+      const suggestion = suggestCategory(categoryTaxonomy, category);
+      throw new Error(
+        `${recipeId}: unknown category "${category}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}; ` +
+          'use a label or alias from data/categories.csv or add it there'
+      );
+    });
     const servingsRaw = String(metaRow.servings_per_batch || '').trim();
     if (servingsRaw) {
       const servingsPerBatch = Number(servingsRaw);
@@ -328,20 +424,42 @@ export async function validateAll() {
       );
     }
 
+    ['prep_minutes', 'cook_minutes', 'inactive_minutes'].forEach((field) => {
+      const raw = String(metaRow[field] || '').trim();
+      if (!raw) return;
+      const minutes = Number(raw);
+      ensure(
+        Number.isFinite(minutes) && minutes >= 0,
+        `${recipeId}: ${field} must be a non-negative number of minutes (got "${raw}")`
+      );
+    });
+    ensure(
+      !/[\r\n]/.test(String(metaRow.yield_text || '')),
+      `${recipeId}: yield_text must be a single line`
+    );
+    const finishedWeightRaw = String(metaRow.finished_weight_g || '').trim();
+    ensure(
+      !finishedWeightRaw || Number(finishedWeightRaw) > 0,
+      `${recipeId}: finished_weight_g must be a positive number of grams (got "${finishedWeightRaw}")`
+    );
+
     const ingredientRows = await parseCSVFile(ingredientsPath);
     const stepsRaw = fs.existsSync(stepsCsvPath)
       ? null
       : fs.readFileSync(stepsPath, 'utf-8');
     const stepRows = fs.existsSync(stepsCsvPath) ? await parseCSVFile(stepsCsvPath) : null;
     const stepTokens = [];
+    const hasDefaultPan = Boolean(String(metaRow.default_pan || '').trim());
     if (stepRows) {
       ensure(stepRows.length > 0, `${recipeId}: steps.csv must include at least one row`);
       stepRows.forEach((row, idx) => {
         ensure(row.text, `${recipeId}: steps.csv row ${idx + 1} missing text`);
+        checkStepTemplateTokens(row.text, `${recipeId}: steps.csv row ${idx + 1}`, hasDefaultPan);
         extractTokensFromSteps(row.text).forEach((token) => stepTokens.push(token));
       });
     } else {
       extractTokensFromSteps(stepsRaw).forEach((token) => stepTokens.push(token));
+      checkStepTemplateTokens(stepsRaw, `${recipeId}: steps.md`, hasDefaultPan);
     }
     const stepTokenSet = new Set(stepTokens);
 
@@ -353,10 +471,16 @@ export async function validateAll() {
         ensure(row[field], `${recipeId}: ingredient row missing ${field}: ${JSON.stringify(row)}`);
       }
       const token = row.token;
+      ensure(token !== STEP_PAN_TOKEN, `${recipeId}: ingredient token "${STEP_PAN_TOKEN}" is reserved for the selected pan in steps`);
       const display = (row.display || '').trim();
       ensure(display, `${recipeId}: ingredient row missing display value: ${JSON.stringify(row)}`);
       const ratio = (row.ratio || '').trim();
       ensure(!ratio || ratioPattern.test(ratio), `${recipeId}: invalid ratio for ${token}: ${row.ratio} | Row: ${JSON.stringify(row)}`);
+      ensure(
+        parseIngredientScaling(row.scaling, row.scaling_exponent),
+        `${recipeId}: invalid scaling for ${token}: "${row.scaling || ''}" with scaling_exponent "${row.scaling_exponent || ''}" ` +
+          '(use linear, fixed, round_up_whole, or sublinear with a scaling_exponent between 0 and 1)',
+      );
       ensure(
         ingredientCatalog.has(row.ingredient_id),
         `${recipeId}: unknown ingredient_id ${row.ingredient_id} for token ${token} | Row: ${JSON.stringify(row)}`,